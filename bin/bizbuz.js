@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * bizbuz CLI
+ *
+ *   bizbuz generate <input...> [options]
+ *   bizbuz serve-static <input...> [options]
+ *
+ * Each input is a .csv or .json people list or a card
+ * identifier (UUID, pubKey or emojicode) looked up through the
+ * configured profile provider. See lib/bulk.js for the input
+ * formats and README.md for the options.
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname, extname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { createProfileProvider } from '../lib/providers/index.js';
+import { loadThemes } from '../lib/themes.js';
+import { VCARD_VERSIONS, DEFAULT_VCARD_VERSION } from '../lib/vcard.js';
+import {
+    EXPORT_ASSETS,
+    QR_CONTENTS,
+    BulkInputError,
+    parsePeople,
+    resolvePeople,
+    exportCards,
+    exportSite
+} from '../lib/bulk.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const USAGE = `Usage:
+  bizbuz generate <input...> [options]      Write .vcf, QR and HTML files per person
+  bizbuz serve-static <input...> [options]  Export a static site of cards
+
+Inputs are .csv / .json people lists or card identifiers.
+
+Options:
+  -o, --out <dir>            Output directory (default: bizbuz-out / bizbuz-site)
+  -f, --formats <list>       generate only: any of ${EXPORT_ASSETS.join(',')} (default: all)
+  -b, --base-url <url>       Where the cards are served (default: PUBLIC_URL)
+  -t, --theme <name>         Default theme (default: cosmic)
+      --title <text>         serve-static only: index page title
+      --qr <content>         QR content: ${QR_CONTENTS.join(' | ')} (default: url)
+      --qr-size <px>         QR image size (default: 300)
+      --vcard-version <v>    ${VCARD_VERSIONS.join(' | ')} (default: ${DEFAULT_VCARD_VERSION})
+  -h, --help                 Show this help
+
+Identifiers are looked up with PROFILE_PROVIDER (prof, fount or
+local) and PROF_BASE_URL / FOUNT_BASE_URL / PROFILES_DIR, as the
+server does.`;
+
+const OUT_DIRS = {
+    'generate': 'bizbuz-out',
+    'serve-static': 'bizbuz-site'
+};
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'out': { type: 'string', short: 'o' },
+            'formats': { type: 'string', short: 'f' },
+            'base-url': { type: 'string', short: 'b' },
+            'theme': { type: 'string', short: 't' },
+            'title': { type: 'string' },
+            'qr': { type: 'string', default: 'url' },
+            'qr-size': { type: 'string' },
+            'vcard-version': { type: 'string', default: DEFAULT_VCARD_VERSION },
+            'help': { type: 'boolean', short: 'h' }
+        }
+    });
+
+    const [command, ...inputs] = positionals;
+    if (values.help || !command || command === 'help') {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!OUT_DIRS[command]) {
+        throw new BulkInputError(`Unknown command "${command}"\n\n${USAGE}`);
+    }
+    if (!inputs.length) {
+        throw new BulkInputError(`No input given\n\n${USAGE}`);
+    }
+
+    const assets = values.formats ? values.formats.split(',').map(format => format.trim().toLowerCase()) : EXPORT_ASSETS;
+    const unknown = assets.filter(format => !EXPORT_ASSETS.includes(format));
+    if (unknown.length) {
+        throw new BulkInputError(`Unknown format "${unknown[0]}" (expected: ${EXPORT_ASSETS.join(', ')})`);
+    }
+    if (!QR_CONTENTS.includes(values.qr)) {
+        throw new BulkInputError(`Unknown QR content "${values.qr}" (expected: ${QR_CONTENTS.join(', ')})`);
+    }
+    if (!VCARD_VERSIONS.includes(values['vcard-version'])) {
+        throw new BulkInputError(`Unsupported vCard version "${values['vcard-version']}" (expected: ${VCARD_VERSIONS.join(', ')})`);
+    }
+    const qrSize = values['qr-size'] ? Number(values['qr-size']) : undefined;
+    if (qrSize !== undefined && !(Number.isInteger(qrSize) && qrSize > 0)) {
+        throw new BulkInputError(`Invalid QR size "${values['qr-size']}"`);
+    }
+
+    const people = [];
+    for (const input of inputs) {
+        people.push(...await readPeople(input));
+    }
+
+    const provider = createProfileProvider({
+        provider: process.env.PROFILE_PROVIDER || 'prof',
+        profBaseUrl: process.env.PROF_BASE_URL || 'http://localhost:3012',
+        fountBaseUrl: process.env.FOUNT_BASE_URL || 'http://localhost:3006',
+        profilesDir: process.env.PROFILES_DIR || join(ROOT, 'profiles'),
+        timeout: Number(process.env.PROF_TIMEOUT_MS || 3000),
+        retries: Number(process.env.PROF_RETRIES || 2)
+    });
+    const themes = await loadThemes([join(ROOT, 'themes'), process.env.THEMES_DIR]);
+    if (values.theme) {
+        themes.get(values.theme);
+    }
+
+    const { cards, failed } = await resolvePeople(people, provider);
+    const options = {
+        outDir: resolve(values.out || OUT_DIRS[command]),
+        baseUrl: (values['base-url'] || process.env.PUBLIC_URL || 'https://bizbuz.planetnine.app').replace(/\/+$/, ''),
+        assets,
+        themes,
+        theme: values.theme,
+        title: values.title,
+        qr: { content: values.qr, size: qrSize },
+        vcardVersion: values['vcard-version']
+    };
+
+    const results = command === 'generate'
+        ? await exportCards(cards, options)
+        : await exportSite(cards, options);
+
+    for (const result of results) {
+        if (result.error) {
+            failed.push({ input: result.card.slug, error: result.error });
+        } else {
+            console.log(`${result.card.slug}: ${result.files.join(', ')}`);
+        }
+    }
+
+    for (const { input, error } of failed) {
+        console.error(`Failed: ${input}: ${error}`);
+    }
+    const written = results.length - results.filter(result => result.error).length;
+    console.log(`Wrote ${written} card(s) to ${options.outDir}${failed.length ? `; ${failed.length} failed` : ''}`);
+    return failed.length ? 1 : 0;
+}
+
+/**
+ * People from one CLI input: a .csv / .json file or an identifier
+ */
+async function readPeople(input) {
+    const format = extname(input).slice(1).toLowerCase();
+    if (existsSync(input)) {
+        return parsePeople(await readFile(input, 'utf8'), format);
+    }
+    if (format === 'csv' || format === 'json') {
+        throw new BulkInputError(`File not found: ${input}`);
+    }
+    return [{ identifier: input }];
+}
+
+main().then(code => {
+    process.exitCode = code;
+}).catch(error => {
+    console.error(error instanceof BulkInputError || error.status ? error.message : error);
+    process.exitCode = 1;
+});
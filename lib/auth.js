@@ -0,0 +1,88 @@
+/**
+ * Sessionless request verification
+ *
+ * Owners sign requests with their Sessionless key. The signed
+ * message is the concatenation of:
+ *
+ *   timestamp + pubKey + action + JSON.stringify(payload)
+ *
+ * where action names the operation (e.g. 'card-settings') and
+ * payload is the JSON body field being written, if any. Each
+ * signature is accepted once, and only while its timestamp is
+ * within SIGNATURE_WINDOW_MS of the server clock.
+ */
+
+import sessionless from 'sessionless-node';
+
+export const SIGNATURE_WINDOW_MS = 5 * 60 * 1000;
+
+// signature -> expiry (ms), for replay protection
+const usedSignatures = new Map();
+
+/**
+ * Thrown when a signed request fails verification
+ */
+export class AuthError extends Error {
+    constructor(message, status = 403) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+/**
+ * Build the message a client must sign
+ */
+export function signedMessage({ timestamp, pubKey, action, payload }) {
+    const body = payload === undefined ? '' : JSON.stringify(payload);
+    return `${timestamp}${pubKey}${action}${body}`;
+}
+
+/**
+ * Verify a signed request, throwing AuthError on failure
+ */
+export function verifySignedRequest({ timestamp, signature, pubKey, action, payload }) {
+    if (!timestamp || !signature) {
+        throw new AuthError('timestamp and signature are required', 401);
+    }
+
+    if (!pubKey) {
+        throw new AuthError('Card has no owner pubKey', 403);
+    }
+
+    const now = Date.now();
+    const sentAt = Number(timestamp);
+    if (!Number.isFinite(sentAt) || Math.abs(now - sentAt) > SIGNATURE_WINDOW_MS) {
+        throw new AuthError('Request timestamp is outside the allowed window', 401);
+    }
+
+    pruneUsedSignatures(now);
+    if (usedSignatures.has(signature)) {
+        throw new AuthError('Signature has already been used', 401);
+    }
+
+    let valid = false;
+    try {
+        valid = sessionless.verifySignature(
+            String(signature),
+            signedMessage({ timestamp, pubKey, action, payload }),
+            pubKey
+        );
+    } catch (error) {
+        valid = false;
+    }
+
+    if (!valid) {
+        throw new AuthError('Invalid signature', 403);
+    }
+
+    usedSignatures.set(signature, sentAt + SIGNATURE_WINDOW_MS);
+}
+
+function pruneUsedSignatures(now) {
+    for (const [signature, expiresAt] of usedSignatures) {
+        if (expiresAt < now) {
+            usedSignatures.delete(signature);
+        }
+    }
+}
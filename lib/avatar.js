@@ -0,0 +1,302 @@
+/**
+ * Card avatars
+ *
+ * Serves the profile photo when there is one, resized to a
+ * square and cached. Otherwise draws a deterministic avatar
+ * from the owner's pubKey: a two-tone gradient with a mirrored
+ * identicon pattern and the Unicode-aware initials on top.
+ */
+
+import sharp from 'sharp';
+import { createHash } from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import { BlockList, isIP } from 'net';
+import { getInitials } from './html.js';
+
+export const AVATAR_FORMATS = ['png', 'jpeg', 'webp'];
+export const DEFAULT_AVATAR_SIZE = 256;
+
+const MIN_SIZE = 32;
+const MAX_SIZE = 1024;
+const PHOTO_TIMEOUT_MS = 5000;
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+const MAX_PHOTO_REDIRECTS = 3;
+const CACHE_LIMIT = 200;
+const GRID = 5;
+
+const CONTENT_TYPES = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp'
+};
+
+// Where a photo URL may not point: loopback, private, link-local
+// (cloud metadata), shared, multicast and reserved networks, and
+// the NAT64 and 6to4 prefixes that can wrap any of those
+const PRIVATE_NETWORKS = new BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 127], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6');
+}
+
+// cache key -> rendered avatar, oldest first
+const cache = new Map();
+
+/**
+ * Thrown for avatar options that are out of range
+ */
+export class AvatarOptionsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AvatarOptionsError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Parse ?size= and ?format= for an avatar request
+ */
+export function parseAvatarOptions(query = {}) {
+    const options = { size: DEFAULT_AVATAR_SIZE, format: null };
+
+    if (query.size !== undefined) {
+        const size = Number(query.size);
+        if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) {
+            throw new AvatarOptionsError(`size must be an integer between ${MIN_SIZE} and ${MAX_SIZE}`);
+        }
+        options.size = size;
+    }
+
+    if (query.format !== undefined) {
+        options.format = String(query.format).toLowerCase().replace('jpg', 'jpeg');
+        if (!AVATAR_FORMATS.includes(options.format)) {
+            throw new AvatarOptionsError(`format must be one of: ${AVATAR_FORMATS.join(', ')}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Render a profile's avatar
+ *
+ * seed identifies the owner (pubKey, else the card identifier)
+ * for the generated avatar. Photos default to JPEG and
+ * generated avatars to PNG unless format is given.
+ *
+ * Returns { body, contentType, source } where source is
+ * 'photo' or 'generated'.
+ */
+export async function renderAvatar(profile, { seed, size = DEFAULT_AVATAR_SIZE, format = null }) {
+    const key = JSON.stringify([profile.photo || null, seed, profile.name || '', size, format]);
+    if (cache.has(key)) {
+        const hit = cache.get(key);
+        cache.delete(key);
+        cache.set(key, hit);
+        return hit;
+    }
+
+    let result = null;
+    if (profile.photo) {
+        try {
+            const photo = await loadPhoto(profile.photo);
+            const outFormat = format || 'jpeg';
+            const body = await encode(sharp(photo).rotate().resize(size, size, { fit: 'cover' }), outFormat);
+            result = { body, contentType: CONTENT_TYPES[outFormat], source: 'photo' };
+        } catch (error) {
+            console.error('Avatar photo failed, using generated avatar:', error.message);
+        }
+    }
+
+    if (!result) {
+        const outFormat = format || 'png';
+        const svg = generatedAvatarSvg(seed, profile.name, size);
+        const body = await encode(sharp(Buffer.from(svg)), outFormat);
+        result = { body, contentType: CONTENT_TYPES[outFormat], source: 'generated' };
+    }
+
+    cache.set(key, result);
+    if (cache.size > CACHE_LIMIT) {
+        cache.delete(cache.keys().next().value);
+    }
+
+    return result;
+}
+
+/**
+ * Avatar as a data: URI, e.g. for an inline vCard PHOTO
+ */
+export async function avatarDataUri(profile, options) {
+    const avatar = await renderAvatar(profile, options);
+    return `data:${avatar.contentType};base64,${avatar.body.toString('base64')}`;
+}
+
+function encode(image, format) {
+    switch (format) {
+        case 'jpeg':
+            return image.flatten({ background: '#ffffff' }).jpeg({ quality: 85 }).toBuffer();
+        case 'webp':
+            return image.webp({ quality: 85 }).toBuffer();
+        default:
+            return image.png().toBuffer();
+    }
+}
+
+/**
+ * Whether an IP address is on a loopback, private, link-local
+ * or otherwise non-public network
+ */
+export function isPrivateAddress(address) {
+    const family = isIP(address);
+    return !family || PRIVATE_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Load photo bytes from a data: URI or an http(s) URL
+ *
+ * URLs are only fetched from public addresses: the connection
+ * resolves the host through publicLookup(), so the address that
+ * was checked is the one connected to, and redirects are followed
+ * by hand so every hop is checked the same way. Profile owners
+ * pick these URLs, and the server must not be made to request its
+ * own network.
+ */
+async function loadPhoto(photo) {
+    const dataUri = /^data:image\/[a-z0-9.+-]+;base64,(.+)$/i.exec(photo);
+    if (dataUri) {
+        return Buffer.from(dataUri[1], 'base64');
+    }
+
+    const signal = AbortSignal.timeout(PHOTO_TIMEOUT_MS);
+    let url = new URL(photo);
+    let response;
+    for (let redirects = 0; ; redirects++) {
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            throw new Error(`unsupported photo URL scheme ${url.protocol}`);
+        }
+
+        // Address literals never go through lookup
+        const host = url.hostname.replace(/^\[|\]$/g, '');
+        if (isIP(host) && isPrivateAddress(host)) {
+            throw new Error(`photo host ${url.hostname} is not on a public network`);
+        }
+
+        response = await requestPhoto(url, signal);
+        const location = response.headers.location;
+        if (response.statusCode < 300 || response.statusCode >= 400 || !location) {
+            break;
+        }
+        response.resume();
+        if (redirects >= MAX_PHOTO_REDIRECTS) {
+            throw new Error('photo redirected too many times');
+        }
+        url = new URL(location, url);
+    }
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+        response.resume();
+        throw new Error(`photo responded with ${response.statusCode}`);
+    }
+
+    const type = response.headers['content-type'] || '';
+    if (!type.startsWith('image/')) {
+        response.resume();
+        throw new Error(`photo is ${type || 'untyped'}, not an image`);
+    }
+
+    if (Number(response.headers['content-length']) > MAX_PHOTO_BYTES) {
+        response.destroy();
+        throw new Error('photo is too large');
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response) {
+        size += chunk.length;
+        if (size > MAX_PHOTO_BYTES) {
+            response.destroy();
+            throw new Error('photo is too large');
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// GET url, resolving to the response once its headers are in
+function requestPhoto(url, signal) {
+    const client = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        client.get(url, { lookup: publicLookup, signal }, resolve).on('error', reject);
+    });
+}
+
+// dns.lookup() that fails unless every address is public
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+            return callback(new Error(`photo host ${hostname} is not on a public network`));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Deterministic gradient + identicon avatar as SVG
+ */
+export function generatedAvatarSvg(seed, name, size = DEFAULT_AVATAR_SIZE) {
+    const hash = createHash('sha256').update(String(seed || name || 'bizbuz')).digest();
+    const hue = Math.round(hash[0] / 255 * 360);
+    const hue2 = (hue + 40 + Math.round(hash[1] / 255 * 60)) % 360;
+    const initials = name ? getInitials(name) : '';
+    const cell = size / (GRID + 1);
+    const offset = cell / 2;
+
+    // Left half plus middle column from the hash, mirrored right
+    const cells = [];
+    for (let row = 0; row < GRID; row++) {
+        for (let col = 0; col < Math.ceil(GRID / 2); col++) {
+            if (hash[2 + row * 3 + col] % 2 === 0) continue;
+            for (const x of new Set([col, GRID - 1 - col])) {
+                cells.push(`<rect x="${offset + x * cell}" y="${offset + row * cell}" width="${cell}" height="${cell}"/>`);
+            }
+        }
+    }
+
+    const text = initials
+        ? `<text x="50%" y="50%" text-anchor="middle" dominant-baseline="central" font-family="-apple-system, 'Segoe UI', Roboto, 'Noto Sans', 'Noto Sans CJK JP', sans-serif" font-weight="700" font-size="${size * 0.4}" fill="#ffffff">${escapeXml(initials)}</text>`
+        : '';
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">`
+        + '<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">'
+        + `<stop offset="0" stop-color="hsl(${hue}, 65%, 52%)"/>`
+        + `<stop offset="1" stop-color="hsl(${hue2}, 70%, 38%)"/>`
+        + '</linearGradient></defs>'
+        + `<rect width="${size}" height="${size}" fill="url(#g)"/>`
+        + `<g fill="#ffffff" fill-opacity="${initials ? 0.14 : 0.4}">${cells.join('')}</g>`
+        + text
+        + '</svg>';
+}
+
+function escapeXml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
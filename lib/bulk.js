@@ -0,0 +1,425 @@
+/**
+ * Bulk card generation
+ *
+ * Backs the bizbuz CLI: reads a list of people (CSV or JSON,
+ * each row a profile or a card identifier), resolves them, and
+ * writes their vCards, QR codes and static card pages with the
+ * same renderers the server uses. exportSite() lays the files
+ * out as a static site with an index page.
+ */
+
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { parseIdentifier, canonicalIdentifier } from './identifier.js';
+import { normalizeProfile } from './providers/normalize.js';
+import { generateVCard } from './vcard.js';
+import { buildQr, QR_DEFAULTS } from './qr.js';
+import { buildOfflinePayload } from './offline-qr.js';
+import { generateBusinessCardPage } from './card-page.js';
+import { cardModel } from './card-data.js';
+import { renderAvatar, avatarDataUri } from './avatar.js';
+import { renderOgImage } from './og-image.js';
+import { escapeHtml } from './html.js';
+import { getCardSettings, applySettings } from './settings.js';
+
+export const EXPORT_ASSETS = ['vcf', 'png', 'svg', 'html'];
+export const QR_CONTENTS = ['url', 'vcard', 'mecard'];
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const VCARD_PHOTO_SIZE = 128;
+const AVATAR_SIZE = 200;
+
+/**
+ * Thrown for input files the CLI can't read
+ */
+export class BulkInputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BulkInputError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF)
+ * into an array of rows
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new BulkInputError('CSV has an unterminated quoted field');
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * Read a people list: [{ identifier } | { profile, settings }]
+ *
+ * format is 'csv' or 'json'. JSON is an array (or { people })
+ * of profile objects or identifier strings. CSV has a header
+ * row naming profile fields (aliases and social platforms as
+ * normalizeProfile() accepts them); links are separated by
+ * spaces or "|". A row or object with an identifier and no
+ * name is looked up; theme and accentColor style the card.
+ */
+export function parsePeople(text, format) {
+    let items;
+    if (format === 'json') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new BulkInputError(`Invalid JSON: ${error.message}`);
+        }
+        items = Array.isArray(data) ? data : data && Array.isArray(data.people) ? data.people : null;
+        if (!items) {
+            throw new BulkInputError('JSON input must be an array of people (or { "people": [...] })');
+        }
+    } else if (format === 'csv') {
+        const [header, ...rows] = parseCsv(text);
+        if (!header) {
+            throw new BulkInputError('CSV input is empty');
+        }
+        const columns = header.map(name => name.trim());
+        items = rows.map(cells => {
+            const item = {};
+            columns.forEach((column, index) => {
+                const value = (cells[index] || '').trim();
+                if (column && value) {
+                    item[column] = column === 'links' ? value.split(/[\s|]+/).filter(Boolean) : value;
+                }
+            });
+            return item;
+        });
+    } else {
+        throw new BulkInputError(`Unsupported input format "${format}" (expected csv or json)`);
+    }
+
+    return items.map((item, index) => {
+        if (typeof item === 'string') {
+            return { identifier: item.trim() };
+        }
+        if (!item || typeof item !== 'object') {
+            throw new BulkInputError(`Entry ${index + 1} is neither a profile nor an identifier`);
+        }
+
+        const { theme, accentColor, identifier, ...fields } = item;
+        const settings = {};
+        if (theme) settings.theme = String(theme);
+        if (accentColor && HEX_COLOR_PATTERN.test(accentColor)) settings.accentColor = accentColor;
+
+        const profile = normalizeProfile(fields);
+        if (identifier && !profile.name) {
+            return { identifier: String(identifier).trim(), settings };
+        }
+        if (!profile.name) {
+            throw new BulkInputError(`Entry ${index + 1} has no name or identifier`);
+        }
+        return { profile, settings };
+    });
+}
+
+/**
+ * Resolve a people list into cards
+ *
+ * Identifiers are looked up through provider (as the server
+ * does). Returns { cards, failed } where each card is
+ * { slug, identifier, hosted, profile, settings }: slug names
+ * its files, and hosted cards also exist on the BizBuz server.
+ * Hosted cards get their owner's stored settings, so fields
+ * the owner hid or kept private stay out of the export.
+ */
+export async function resolvePeople(people, provider) {
+    const cards = [];
+    const failed = [];
+    const slugs = new Set();
+
+    for (const person of people) {
+        try {
+            let profile = person.profile;
+            let identifier = null;
+
+            if (person.identifier) {
+                const parsed = parseIdentifier(person.identifier);
+                profile = await provider.getProfile(parsed);
+                if (!profile) {
+                    throw new Error('Profile not found');
+                }
+                identifier = canonicalIdentifier(profile, parsed);
+            } else if (profile.uuid || profile.pubKey) {
+                identifier = canonicalIdentifier(profile, { type: 'inline', value: null });
+            }
+
+            let settings = person.settings || {};
+            if (identifier) {
+                const stored = getCardSettings(identifier);
+                profile = applySettings(profile, stored);
+                settings = { ...stored, ...settings };
+            }
+
+            const slug = uniqueSlug(profile.name || identifier, slugs);
+            cards.push({ slug, identifier: identifier || slug, hosted: Boolean(identifier), profile, settings });
+        } catch (error) {
+            failed.push({ input: person.identifier || (person.profile && person.profile.name), error: error.message });
+        }
+    }
+
+    return { cards, failed };
+}
+
+/**
+ * Write one card's files
+ *
+ * options:
+ * - outDir: directory for the files
+ * - prefix: file name prefix (the slug in flat output, '' in a
+ *   site where each card has its own directory)
+ * - cardUrl: absolute URL of the card
+ * - pageUrl: where the written page is served, if not cardUrl
+ * - baseUrl: public origin the output will be served from
+ * - assets: subset of EXPORT_ASSETS
+ * - themes: theme registry; theme: default theme name
+ * - qr: { content: url | vcard | mecard, size }
+ * - vcardVersion: '3.0' | '4.0'
+ *
+ * Returns the written file names.
+ */
+export async function writeCardFiles(card, options) {
+    const { outDir, prefix, cardUrl, pageUrl = cardUrl, baseUrl, assets, themes, qr = {}, vcardVersion } = options;
+    const name = file => prefix ? `${prefix}-${file}` : file;
+    const theme = themes.get(card.settings.theme || options.theme);
+    const settings = { ...card.settings, theme: theme.name };
+    const seed = card.profile.pubKey || card.identifier;
+    const vcardFile = `${card.slug}.vcf`;
+    const written = [];
+
+    async function write(file, body) {
+        await writeFile(join(outDir, file), body);
+        written.push(file);
+    }
+
+    await mkdir(outDir, { recursive: true });
+
+    if (assets.includes('vcf') || assets.includes('html')) {
+        const { profile } = cardModel(card.profile, { identifier: card.identifier, baseUrl, url: cardUrl });
+        const photo = await avatarDataUri(profile, { seed, size: VCARD_PHOTO_SIZE, format: 'jpeg' });
+        await write(vcardFile, generateVCard({ ...profile, photo }, {
+            version: vcardVersion,
+            settings,
+            identifier: card.identifier
+        }));
+    }
+
+    for (const format of ['png', 'svg'].filter(format => assets.includes(format))) {
+        const payload = !qr.content || qr.content === 'url'
+            ? cardUrl
+            : buildOfflinePayload(card.profile, { mode: qr.content }).payload;
+        const built = await buildQr(payload, { format, size: qr.size || QR_DEFAULTS.size });
+        await write(name(`qr.${format}`), built.body);
+    }
+
+    if (assets.includes('html')) {
+        const avatarFile = name('avatar.png');
+        const ogFile = name('og.png');
+        const accent = settings.accentColor || theme.accent;
+        const assetUrl = file => new URL(file, pageUrl).href;
+
+        await write(avatarFile, (await renderAvatar(card.profile, { seed, size: AVATAR_SIZE, format: 'png' })).body);
+        await write(ogFile, await renderOgImage({
+            profile: card.profile,
+            identifier: card.identifier,
+            seed,
+            theme,
+            accent,
+            cardUrl,
+            version: `export:${card.slug}`
+        }));
+
+        const html = await generateBusinessCardPage(card.profile, card.identifier, settings, theme, {
+            baseUrl,
+            staticSite: {
+                cardUrl,
+                vcard: vcardFile,
+                avatar: avatarFile,
+                avatarUrl: assetUrl(avatarFile),
+                imageUrl: assetUrl(ogFile)
+            }
+        });
+        await write(prefix ? `${prefix}.html` : 'index.html', html);
+    }
+
+    return written;
+}
+
+/**
+ * Write every card's files flat into outDir (<slug>.vcf,
+ * <slug>-qr.png, <slug>.html, ...)
+ *
+ * Hosted cards' URLs (and QR codes) point at the BizBuz server;
+ * the others at their page in outDir as served from baseUrl. Returns one
+ * { card, files } or { card, error } per card.
+ */
+export async function exportCards(cards, options) {
+    return eachCard(cards, card => {
+        const pageUrl = `${options.baseUrl}/${encodeURIComponent(card.slug)}.html`;
+        return writeCardFiles(card, {
+            ...options,
+            prefix: card.slug,
+            cardUrl: card.hosted ? `${options.baseUrl}/card/${encodeURIComponent(card.identifier)}` : pageUrl,
+            pageUrl
+        });
+    });
+}
+
+/**
+ * Write a static site: index.html listing the cards, and each
+ * card in <slug>/ (index.html, <slug>.vcf, qr.png, qr.svg, ...)
+ *
+ * baseUrl is where the site will be served; card URLs and QR
+ * codes point into it. Returns results as exportCards() does.
+ */
+export async function exportSite(cards, options) {
+    const results = await eachCard(cards, async card => {
+        const files = await writeCardFiles(card, {
+            ...options,
+            outDir: join(options.outDir, card.slug),
+            prefix: '',
+            cardUrl: `${options.baseUrl}/${encodeURIComponent(card.slug)}/`,
+            assets: EXPORT_ASSETS
+        });
+        return files.map(file => `${card.slug}/${file}`);
+    });
+
+    const listed = results.filter(result => result.files).map(result => result.card);
+    await mkdir(options.outDir, { recursive: true });
+    await writeFile(join(options.outDir, 'index.html'), generateSiteIndex(listed, options.title));
+    return results;
+}
+
+// Run write for each card in turn, keeping going past failures
+async function eachCard(cards, write) {
+    const results = [];
+    for (const card of cards) {
+        try {
+            results.push({ card, files: await write(card) });
+        } catch (error) {
+            results.push({ card, error: error.message });
+        }
+    }
+    return results;
+}
+
+/**
+ * Index page of a static export
+ */
+export function generateSiteIndex(cards, title = 'Business Cards') {
+    const items = cards.map(card => `
+            <li>
+                <a href="${encodeURIComponent(card.slug)}/">
+                    <img src="${encodeURIComponent(card.slug)}/avatar.png" alt="" width="48" height="48">
+                    <span>
+                        <strong>${escapeHtml(card.profile.name)}</strong>
+                        ${card.profile.title ? `<span>${escapeHtml(card.profile.title)}</span>` : ''}
+                    </span>
+                </a>
+            </li>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            background: #f8fafc;
+            color: #0f172a;
+            padding: 32px 20px;
+        }
+        main { max-width: 720px; margin: 0 auto; }
+        h1 { font-size: 1.6em; margin-bottom: 20px; }
+        ul { list-style: none; display: grid; gap: 8px; }
+        a {
+            display: flex;
+            align-items: center;
+            gap: 14px;
+            padding: 12px;
+            background: white;
+            border: 1px solid #e2e8f0;
+            border-radius: 12px;
+            color: inherit;
+            text-decoration: none;
+        }
+        a:hover { border-color: #10b981; }
+        img { border-radius: 50%; }
+        a span { display: grid; }
+        a span span { color: #64748b; font-size: 0.9em; }
+    </style>
+</head>
+<body>
+    <main>
+        <h1>${escapeHtml(title)}</h1>
+        <ul>${items}
+        </ul>
+    </main>
+</body>
+</html>`;
+}
+
+/**
+ * File-system friendly name for a person, unique within used
+ */
+function uniqueSlug(name, used) {
+    const base = String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60) || 'card';
+
+    let slug = base;
+    for (let n = 2; used.has(slug); n++) {
+        slug = `${base}-${n}`;
+    }
+    used.add(slug);
+    return slug;
+}
@@ -0,0 +1,163 @@
+/**
+ * Machine-readable cards
+ *
+ * cardModel() turns a resolved card into the one normalized
+ * shape every representation is built from: the JSON API,
+ * schema.org JSON-LD, the card page's h-card and (through
+ * generateVCard / generateJCard) vCard and jCard. Raw source
+ * fields the model doesn't know about are left out.
+ */
+
+import { splitName } from './vcard.js';
+import { profileLinks } from './links.js';
+import { safeUrl, WEB_URL_SCHEMES } from './html.js';
+
+// Media types /card and /api/profile can answer with
+export const CARD_MEDIA_TYPES = {
+    html: 'text/html',
+    json: 'application/json',
+    jsonLd: 'application/ld+json',
+    jcard: 'application/vcard+json',
+    vcard: 'text/vcard'
+};
+
+// Profile fields the model keeps
+const PROFILE_FIELDS = [
+    'uuid', 'pubKey', 'emojicode', 'name', 'firstName', 'lastName', 'title', 'company',
+    'department', 'email', 'phone', 'website', 'location', 'address', 'bio', 'photo',
+    'social', 'categories'
+];
+
+/**
+ * Thrown when none of a route's media types is acceptable (406)
+ */
+export class NotAcceptableError extends Error {
+    constructor(types) {
+        super(`Not acceptable; available: ${types.join(', ')}`);
+        this.name = 'NotAcceptableError';
+        this.status = 406;
+    }
+}
+
+/**
+ * Pick the best of types for an Accept header
+ *
+ * Media type parameters other than q are ignored, so
+ * "text/vcard;version=4.0" still selects text/vcard. Ties go to
+ * the earlier type, which is also the answer for a missing
+ * header. Throws NotAcceptableError when nothing fits.
+ */
+export function negotiateMediaType(accept, types) {
+    const ranges = String(accept || '*/*').split(',').map(part => {
+        const [range, ...params] = part.trim().toLowerCase().split(';').map(piece => piece.trim());
+        const q = params.find(param => param.startsWith('q='));
+        return { range, q: q ? Number(q.slice(2)) : 1 };
+    }).filter(({ range, q }) => range && !Number.isNaN(q));
+
+    let best = null;
+    for (const type of types) {
+        const q = quality(type, ranges);
+        if (q > 0 && (!best || q > best.q)) {
+            best = { type, q };
+        }
+    }
+
+    if (!best) {
+        throw new NotAcceptableError(types);
+    }
+    return best.type;
+}
+
+// q of the most specific range matching type (0 if none)
+function quality(type, ranges) {
+    const [main] = type.split('/');
+    const specificity = range => range === type ? 3 : range === `${main}/*` ? 2 : range === '*/*' ? 1 : 0;
+
+    let match = null;
+    for (const range of ranges) {
+        const rank = specificity(range.range);
+        if (rank && (!match || rank > match.rank)) {
+            match = { rank, q: range.q };
+        }
+    }
+    return match ? match.q : 0;
+}
+
+/**
+ * The normalized model of a card
+ *
+ * profile is the card's visible profile (settings and persona
+ * applied). options: { identifier, persona, baseUrl, org }
+ * where org is { slug, name } or null; url and avatar replace
+ * the card and avatar URLs (for static exports).
+ *
+ * Returns { identifier, persona, url, avatar, org, profile };
+ * profile.links is the merged link list from links.js.
+ */
+export function cardModel(profile, { identifier, persona = null, baseUrl, org = null, url = null, avatar = null }) {
+    const id = encodeURIComponent(identifier);
+    const personaPath = persona ? `/${encodeURIComponent(persona.name)}` : '';
+
+    const fields = {};
+    for (const field of PROFILE_FIELDS) {
+        if (profile[field] !== undefined && profile[field] !== null && profile[field] !== '') {
+            fields[field] = profile[field];
+        }
+    }
+    if (fields.website) {
+        const website = safeUrl(fields.website, WEB_URL_SCHEMES);
+        if (website) {
+            fields.website = website;
+        } else {
+            delete fields.website;
+        }
+    }
+    fields.links = profileLinks(profile);
+
+    return {
+        identifier,
+        persona: persona ? persona.name : null,
+        url: url || `${baseUrl}/card/${id}${personaPath}`,
+        avatar: avatar || `${baseUrl}/avatar/${id}`,
+        org: org && { slug: org.slug, name: org.name, url: `${baseUrl}/org/${encodeURIComponent(org.slug)}` },
+        profile: fields
+    };
+}
+
+/**
+ * schema.org Person for a card model
+ */
+export function cardJsonLd(model) {
+    const { profile } = model;
+    const name = splitName(profile);
+    const sameAs = [profile.website, ...profile.links.map(link => link.url)].filter(Boolean);
+
+    const company = profile.company || (model.org && model.org.name);
+    const worksFor = company && {
+        '@type': 'Organization',
+        name: company,
+        ...(model.org && company === model.org.name ? { url: model.org.url } : {})
+    };
+
+    return compact({
+        '@context': 'https://schema.org',
+        '@type': 'Person',
+        '@id': model.url,
+        url: model.url,
+        name: profile.name,
+        givenName: name.given || undefined,
+        familyName: name.family || undefined,
+        jobTitle: profile.title,
+        worksFor,
+        email: profile.email,
+        telephone: profile.phone,
+        address: profile.location,
+        description: profile.bio,
+        image: model.avatar,
+        sameAs: sameAs.length ? sameAs : undefined
+    });
+}
+
+function compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
@@ -0,0 +1,697 @@
+/**
+ * Business card page renderer
+ *
+ * Renders a card as a set of HTML parts (avatar, name, contact
+ * rows, QR section, ...) and hands them to the theme's layout,
+ * or to defaultLayout() when the theme only supplies CSS.
+ * Every part is already escaped, so layouts can drop them in
+ * as-is.
+ */
+
+import { buildQr, qrDataUrl } from './qr.js';
+import { buildOfflinePayload, OfflinePayloadError } from './offline-qr.js';
+import { orderedContactFields } from './settings.js';
+import { OG_WIDTH, OG_HEIGHT } from './og-image.js';
+import { profileLinks, linkText, linkIcon } from './links.js';
+import { escapeHtml, getInitials, jsString, scriptJson, safeUrl, WEB_URL_SCHEMES } from './html.js';
+import { cardModel, cardJsonLd } from './card-data.js';
+
+const DEFAULT_BASE_URL = 'https://bizbuz.planetnine.app';
+const QR_SIZE = 150;
+const AVATAR_SIZE = 200;
+
+// Drops avatar images that failed (or fail) to load, so the
+// initials behind them show
+const AVATAR_FALLBACK_SCRIPT = `document.querySelectorAll('.avatar img').forEach(img => {
+            if (img.complete && !img.naturalWidth) img.remove();
+            else img.addEventListener('error', () => img.remove());
+        });`;
+
+// Structural rules every theme relies on
+const BASE_CSS = `
+    * {
+        margin: 0;
+        padding: 0;
+        box-sizing: border-box;
+    }
+
+    [hidden] {
+        display: none !important;
+    }
+
+    .avatar {
+        position: relative;
+        overflow: hidden;
+    }
+
+    .avatar img {
+        position: absolute;
+        inset: 0;
+        width: 100%;
+        height: 100%;
+        object-fit: cover;
+    }
+
+    .qr-present {
+        margin-top: 8px;
+        background: none;
+        border: none;
+        color: inherit;
+        font: inherit;
+        font-size: 0.85em;
+        text-decoration: underline;
+        cursor: pointer;
+        opacity: 0.8;
+    }
+
+    /* "Present my QR": the current code, as large as the screen allows */
+    .presenter {
+        position: fixed;
+        inset: 0;
+        z-index: 1000;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        gap: 16px;
+        padding: 24px;
+        background: #ffffff;
+        color: #111827;
+        text-align: center;
+        cursor: pointer;
+    }
+
+    .presenter img {
+        width: min(85vw, 70vh);
+        height: auto;
+    }
+
+    .presenter-name {
+        font-size: 1.4em;
+        font-weight: 600;
+    }
+
+    .presenter-hint {
+        font-size: 0.85em;
+        opacity: 0.6;
+    }
+
+    /* Platform marks are letters, sized to fit the icon circle */
+    .link-icon {
+        font-size: 0.7em;
+        font-weight: 700;
+    }
+
+    .org-badge {
+        display: inline-flex;
+        align-items: center;
+        gap: 6px;
+        color: inherit;
+        font-size: 0.85em;
+        text-decoration: none;
+        opacity: 0.85;
+    }
+
+    .org-badge img {
+        height: 20px;
+        max-width: 80px;
+        object-fit: contain;
+    }
+
+    .exchange {
+        display: grid;
+        gap: 8px;
+        margin-top: 16px;
+        text-align: left;
+    }
+
+    .exchange input,
+    .exchange textarea {
+        width: 100%;
+        padding: 10px 12px;
+        font: inherit;
+        border: 1px solid color-mix(in srgb, currentColor 25%, transparent);
+        border-radius: 8px;
+        background: transparent;
+        color: inherit;
+    }
+
+    .exchange-or,
+    .exchange-status {
+        font-size: 0.85em;
+        text-align: center;
+        opacity: 0.75;
+    }
+
+    /* Honeypot: off-screen for people, still filled in by bots */
+    .exchange-hp {
+        position: absolute;
+        left: -10000px;
+    }
+`;
+
+/**
+ * Generate business card HTML page
+ *
+ * Options:
+ * - baseUrl: public origin used for the card QR code and the
+ *   OpenGraph tags
+ * - persona: the persona being shown ({ name, ... }), so the
+ *   QR and Save Contact link point at the same persona
+ * - share: share link token when the card is viewed through
+ *   /s/:token; Save Contact then keeps the unlocked fields
+ * - exchange: show "Exchange contacts", for cards whose owner
+ *   can receive contacts (has a pubKey)
+ * - org: the card's organization ({ slug, name, logo }), shown
+ *   as a badge linking to its directory
+ * - nonce: the response's CSP nonce, put on the inline scripts
+ * - staticSite: for pages exported without a server,
+ *   { cardUrl, vcard, avatar, avatarUrl, imageUrl }: the page's
+ *   own URL, the vCard and avatar as the page links them, and
+ *   absolute avatar and preview image URLs. Leaves out what
+ *   needs the server (oEmbed, manifest, service worker).
+ */
+export async function generateBusinessCardPage(profile, identifier, settings = {}, theme, options = {}) {
+    const accent = settings.accentColor || theme.accent;
+    const parts = await renderCardParts(profile, identifier, settings, theme, accent, options);
+    const layout = theme.layout || defaultLayout;
+    return layout(parts);
+}
+
+/**
+ * Generate the compact, frameable card for /embed
+ *
+ * Same parts and theme CSS as the full page, laid out by
+ * embedLayout(); options as for generateBusinessCardPage().
+ */
+export async function generateEmbedPage(profile, identifier, settings = {}, theme, options = {}) {
+    const accent = settings.accentColor || theme.accent;
+    const parts = await renderCardParts(profile, identifier, settings, theme, accent, options);
+    return embedLayout(parts);
+}
+
+/**
+ * Render the escaped HTML parts a layout is built from
+ */
+export async function renderCardParts(profile, identifier, settings, theme, accent, { baseUrl = DEFAULT_BASE_URL, persona = null, share = null, exchange = false, org = null, nonce = null, staticSite = null } = {}) {
+    const personaPath = persona ? `/${encodeURIComponent(persona.name)}` : '';
+    const cardUrl = staticSite ? staticSite.cardUrl : `${baseUrl}/card/${encodeURIComponent(identifier)}${personaPath}`;
+    const vcardPath = staticSite ? escapeHtml(staticSite.vcard) : share
+        ? `/s/${encodeURIComponent(share)}/vcard`
+        : `/vcard/${encodeURIComponent(identifier)}${personaPath}`;
+    const avatarSrc = staticSite
+        ? escapeHtml(staticSite.avatar)
+        : `/avatar/${encodeURIComponent(identifier)}?size=${AVATAR_SIZE}`;
+    const imageUrl = staticSite ? staticSite.imageUrl : `${baseUrl}/og/${encodeURIComponent(identifier)}.png`;
+    const pageTitle = `${escapeHtml(profile.name || 'BizBuz')} - Digital Business Card`;
+    const description = `${escapeHtml(profile.title || '')} at ${escapeHtml(profile.company || 'Planet Nine')}`;
+
+    // Generate QR codes as data URLs
+    const pageQrOptions = {
+        format: 'svg',
+        size: QR_SIZE,
+        margin: 1,
+        fg: (theme.qr && theme.qr.fg) || accent,
+        bg: (theme.qr && theme.qr.bg) || '#ffffff'
+    };
+    const qr = await buildQr(cardUrl, pageQrOptions);
+
+    // Offline variant carries the contact itself instead of the link;
+    // left out when even the name alone is too big for a QR code
+    const offline = offlinePayload(profile, pageQrOptions.ecl);
+    const offlineQr = offline && await buildQr(offline.payload, pageQrOptions);
+    const model = cardModel(profile, {
+        identifier,
+        persona,
+        baseUrl,
+        org,
+        url: staticSite && cardUrl,
+        avatar: staticSite && staticSite.avatarUrl
+    });
+    const scriptTag = nonce ? `<script nonce="${escapeHtml(nonce)}">` : '<script>';
+
+    return {
+        theme: theme.name,
+        pageTitle,
+        description,
+        // Share links are private; keep them out of search results
+        meta: (share
+            ? '\n    <meta name="robots" content="noindex, nofollow">'
+            : `\n    <script type="application/ld+json">${scriptJson(cardJsonLd(model))}</script>`)
+            // oEmbed and install need the server
+            + (share || staticSite ? '' : `\n    <link rel="alternate" type="application/json+oembed" href="${escapeHtml(`${baseUrl}/oembed?url=${encodeURIComponent(cardUrl)}&format=json`)}" title="${escapeHtml(profile.name || 'BizBuz card')}">`
+                + `\n    <link rel="manifest" href="/manifest/${encodeURIComponent(identifier)}${personaPath}">`)
+            + (staticSite ? '' : '\n    <link rel="apple-touch-icon" href="/icon-192.png">')
+            + `\n    <meta name="theme-color" content="${escapeHtml(accent)}">`
+            + renderMetaTags(profile, settings, cardUrl, imageUrl),
+        rootCss: `
+    :root {
+        --accent: ${accent};
+        --accent-dark: color-mix(in srgb, var(--accent) 80%, black);
+    }
+`,
+        baseCss: BASE_CSS,
+        css: theme.css || '',
+        decorations: theme.decorations || '',
+
+        // Initials show until the avatar image loads, and stay if it fails
+        avatar: `<div class="avatar">${escapeHtml(getInitials(profile.name))}<img src="${avatarSrc}" alt="" class="u-photo"></div>`,
+        // Class names after the layout ones are h-card microformats
+        name: `<h1 class="name p-name">${escapeHtml(profile.name || 'Anonymous')}</h1><a class="u-uid" href="${escapeHtml(cardUrl)}" hidden></a>`,
+        title: profile.title ? `<p class="title p-job-title">${escapeHtml(profile.title)}</p>` : '',
+        company: profile.company ? `<p class="company p-org">${escapeHtml(profile.company)}</p>` : '',
+        org: org ? renderOrgBadge(org) : '',
+        tagline: settings.tagline ? `<p class="tagline">${escapeHtml(settings.tagline)}</p>` : '',
+        bio: profile.bio ? `<p class="bio">"<span class="p-note">${escapeHtml(profile.bio)}</span>"</p>` : '',
+
+        contacts: `
+            <div class="contact-info">
+                ${orderedContactFields(settings).map(field => renderContactItem(field, profile[field])).join('')}
+                ${profileLinks(profile).map(renderLinkItem).join('')}
+            </div>`,
+
+        qrSection: `
+            <div class="qr-section">${offline ? `
+                <div class="qr-toggle" role="tablist">
+                    <button class="active" data-qr="link">Link</button>
+                    <button data-qr="offline">Offline</button>
+                </div>` : ''}
+                <div class="qr-panel" data-qr="link">
+                    <div class="qr-code">
+                        <img src="${qrDataUrl(qr)}" alt="QR Code" width="${QR_SIZE}" height="${QR_SIZE}">
+                    </div>
+                    <p class="qr-label">Scan to view card</p>
+                </div>${offline ? `
+                <div class="qr-panel" data-qr="offline" hidden>
+                    <div class="qr-code">
+                        <img src="${qrDataUrl(offlineQr)}" alt="Offline contact QR Code" width="${QR_SIZE}" height="${QR_SIZE}">
+                    </div>
+                    <p class="qr-label">Scan to save contact, no connection needed</p>
+                    ${offline.dropped.length ? `<p class="qr-label">Left out to fit: ${escapeHtml(offline.dropped.join(', '))}</p>` : ''}
+                </div>` : ''}
+                <button class="qr-present" data-action="present">Present full screen</button>
+            </div>`,
+
+        actions: `
+            <div class="actions">
+                <a href="${vcardPath}" class="btn btn-primary" download>
+                    Save Contact
+                </a>
+                <button class="btn btn-secondary" data-action="share">
+                    Share
+                </button>
+                ${exchange ? `<button class="btn btn-secondary" data-action="exchange">
+                    Exchange contacts
+                </button>` : ''}
+            </div>${exchange ? renderExchangeForm(profile, identifier, persona) : ''}`,
+
+        // Compact actions for the embed; links leave the frame
+        embedActions: `
+            <div class="actions">
+                <a href="${vcardPath}" class="btn btn-primary" download>
+                    Save Contact
+                </a>
+                <a href="${escapeHtml(cardUrl)}" class="btn btn-secondary" rel="noopener">
+                    View Card
+                </a>
+            </div>`,
+
+        footer: `
+    <div class="footer">
+        <p>Powered by <a href="https://planetnine.app">Planet Nine</a></p>
+    </div>`,
+
+        // Handlers are attached here rather than in attributes, which
+        // the Content-Security-Policy blocks
+        script: `
+    ${scriptTag}
+        ${AVATAR_FALLBACK_SCRIPT}
+        document.querySelectorAll('.qr-toggle button').forEach(button => {
+            button.addEventListener('click', () => showQr(button.dataset.qr));
+        });
+        document.querySelector('[data-action="share"]').addEventListener('click', shareCard);
+        document.querySelector('[data-action="present"]').addEventListener('click', presentQr);
+        document.addEventListener('keydown', event => {
+            if (event.key === 'Escape') closePresenter();
+        });
+        document.addEventListener('fullscreenchange', () => {
+            if (!document.fullscreenElement) closePresenter();
+        });
+        if (location.hash === '#present') presentQr();
+${staticSite ? '' : `
+        // Cache viewed cards for offline use
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('/sw.js').catch(() => {});
+        }
+`}        const exchangeButton = document.querySelector('[data-action="exchange"]');
+        if (exchangeButton) {
+            exchangeButton.addEventListener('click', openExchange);
+            document.querySelector('.exchange').addEventListener('submit', sendExchange);
+        }
+
+        function showQr(name) {
+            document.querySelectorAll('[data-qr]').forEach(el => {
+                if (el.classList.contains('qr-panel')) {
+                    el.hidden = el.dataset.qr !== name;
+                } else {
+                    el.classList.toggle('active', el.dataset.qr === name);
+                }
+            });
+        }
+
+        let wakeLock = null;
+
+        // Full-screen QR for showing across a table; works offline
+        // since the codes are in the page
+        async function presentQr() {
+            if (document.querySelector('.presenter')) return;
+            const panel = document.querySelector('.qr-panel:not([hidden])');
+            const qr = panel.querySelector('img').cloneNode();
+            qr.removeAttribute('width');
+            qr.removeAttribute('height');
+
+            const presenter = document.createElement('div');
+            presenter.className = 'presenter';
+            presenter.setAttribute('role', 'dialog');
+            presenter.setAttribute('aria-label', 'QR code');
+            const name = document.createElement('p');
+            name.className = 'presenter-name';
+            name.textContent = document.querySelector('.name').textContent;
+            const label = document.createElement('p');
+            label.textContent = panel.querySelector('.qr-label').textContent;
+            const hint = document.createElement('p');
+            hint.className = 'presenter-hint';
+            hint.textContent = 'Tap to close';
+            presenter.append(qr, name, label, hint);
+            presenter.addEventListener('click', closePresenter);
+            document.body.appendChild(presenter);
+
+            try {
+                if (presenter.requestFullscreen) await presenter.requestFullscreen();
+            } catch (err) {
+                // Not allowed without a tap (e.g. #present); the overlay still fills the window
+            }
+            try {
+                if (navigator.wakeLock) wakeLock = await navigator.wakeLock.request('screen');
+            } catch (err) {
+                wakeLock = null;
+            }
+        }
+
+        function closePresenter() {
+            const presenter = document.querySelector('.presenter');
+            if (!presenter) return;
+            presenter.remove();
+            if (document.fullscreenElement) document.exitFullscreen();
+            if (wakeLock) wakeLock.release();
+            wakeLock = null;
+            if (location.hash === '#present') history.replaceState(null, '', location.pathname + location.search);
+        }
+
+        async function shareCard() {
+            const url = window.location.href;
+            const title = ${jsString(`${profile.name || 'Contact'} - Business Card`)};
+
+            if (navigator.share) {
+                try {
+                    await navigator.share({ title, url });
+                } catch (err) {
+                    copyToClipboard(url);
+                }
+            } else {
+                copyToClipboard(url);
+            }
+        }
+
+        function openExchange() {
+            const form = document.querySelector('.exchange');
+            form.hidden = !form.hidden;
+            form.dataset.startedAt = Date.now();
+        }
+
+        async function sendExchange(event) {
+            event.preventDefault();
+            const form = event.currentTarget;
+            const status = form.querySelector('.exchange-status');
+            const body = Object.fromEntries(new FormData(form));
+            body.startedAt = Number(form.dataset.startedAt);
+            if (form.dataset.persona) body.persona = form.dataset.persona;
+
+            status.textContent = 'Sending...';
+            try {
+                const res = await fetch(form.dataset.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+                const result = await res.json();
+                if (!res.ok) throw new Error(result.error);
+                form.reset();
+                status.textContent = 'Sent! Your contact is on its way.';
+            } catch (err) {
+                status.textContent = err.message || 'Could not send, please try again.';
+            }
+        }
+
+        function copyToClipboard(text) {
+            navigator.clipboard.writeText(text).then(() => {
+                alert('Link copied to clipboard!');
+            }).catch(() => {
+                prompt('Copy this link:', text);
+            });
+        }
+    </script>`,
+
+        embedScript: `
+    ${scriptTag}
+        ${AVATAR_FALLBACK_SCRIPT}
+        function postHeight() {
+            parent.postMessage({ type: 'bizbuz:resize', height: document.documentElement.scrollHeight }, '*');
+        }
+        addEventListener('load', postHeight);
+        new ResizeObserver(postHeight).observe(document.body);
+    </script>`
+    };
+}
+
+/**
+ * Standard single-column card layout
+ */
+export function defaultLayout(parts) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${parts.pageTitle}</title>
+    <meta name="description" content="${parts.description}">${parts.meta}
+    <style>${parts.rootCss}${parts.baseCss}${parts.css}
+    </style>
+</head>
+<body class="theme-${parts.theme}">
+${parts.decorations}
+
+    <div class="card">
+        <div class="card-content h-card">
+            ${parts.avatar}
+
+            ${parts.name}
+            ${parts.title}
+            ${parts.company}
+            ${parts.org}
+            ${parts.tagline}
+            ${parts.bio}
+${parts.contacts}
+${parts.qrSection}
+${parts.actions}
+        </div>
+    </div>
+${parts.footer}
+${parts.script}
+</body>
+</html>`;
+}
+
+// Embeds size to their content and sit on someone else's page
+const EMBED_CSS = `
+    body.embed {
+        min-height: 0;
+        padding: 0;
+        display: block;
+    }
+
+    body.embed .card {
+        max-width: none;
+        margin: 0;
+    }
+`;
+
+/**
+ * Compact layout for iframes: no QR, share or exchange
+ *
+ * Reports its height to the parent page so the widget script
+ * can size the iframe.
+ */
+export function embedLayout(parts) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${parts.pageTitle}</title>
+    <meta name="robots" content="noindex">
+    <base target="_blank">
+    <style>${parts.rootCss}${parts.baseCss}${parts.css}${EMBED_CSS}
+    </style>
+</head>
+<body class="theme-${parts.theme} embed">
+    <div class="card">
+        <div class="card-content h-card">
+            ${parts.avatar}
+
+            ${parts.name}
+            ${parts.title}
+            ${parts.company}
+            ${parts.org}
+${parts.contacts}
+${parts.embedActions}
+        </div>
+    </div>
+${parts.embedScript}
+</body>
+</html>`;
+}
+
+/**
+ * OpenGraph and Twitter Card tags for link unfurling
+ */
+export function renderMetaTags(profile, settings, cardUrl, imageUrl) {
+    const name = profile.name || 'BizBuz';
+    const summary = [profile.title, profile.company].filter(Boolean).join(' at ')
+        || settings.tagline || profile.bio || 'Digital business card';
+    const tags = [
+        ['og:site_name', 'BizBuz'],
+        ['og:type', 'profile'],
+        ['og:title', name],
+        ['og:description', summary],
+        ['og:url', cardUrl],
+        ['og:image', imageUrl],
+        ['og:image:type', 'image/png'],
+        ['og:image:width', OG_WIDTH],
+        ['og:image:height', OG_HEIGHT],
+        ['og:image:alt', `Business card for ${name}`],
+        ['twitter:card', 'summary_large_image'],
+        ['twitter:title', name],
+        ['twitter:description', summary],
+        ['twitter:image', imageUrl],
+        ['twitter:image:alt', `Business card for ${name}`]
+    ];
+
+    // Twitter reads name=, everyone else property=
+    return tags.map(([key, value]) => {
+        const attribute = key.startsWith('twitter:') ? 'name' : 'property';
+        return `\n    <meta ${attribute}="${key}" content="${escapeHtml(String(value))}">`;
+    }).join('');
+}
+
+/**
+ * Offline QR payload for the page, or null when it can't fit
+ */
+function offlinePayload(profile, ecl) {
+    try {
+        return buildOfflinePayload(profile, { ecl });
+    } catch (error) {
+        if (error instanceof OfflinePayloadError) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Logo and name of the card's organization, linking to its directory
+ */
+function renderOrgBadge(org) {
+    const slug = encodeURIComponent(org.slug);
+    return `<a class="org-badge" href="/org/${slug}">${org.logo ? `<img src="/org/${slug}/logo" alt="">` : ''}<span>${escapeHtml(org.name)}</span></a>`;
+}
+
+/**
+ * Form a viewer sends their own contact back with
+ *
+ * Either their BizBuz card identifier or a few typed fields;
+ * the hidden hp field is a honeypot for bots.
+ */
+function renderExchangeForm(profile, identifier, persona) {
+    return `
+            <form class="exchange" data-endpoint="/api/card/${encodeURIComponent(identifier)}/exchange"${persona ? ` data-persona="${escapeHtml(persona.name)}"` : ''} hidden>
+                <p class="exchange-or">Send your contact to ${escapeHtml(profile.name || 'this card')}</p>
+                <input name="identifier" placeholder="Your BizBuz card link, UUID or emojicode" maxlength="300" autocomplete="off">
+                <p class="exchange-or">or</p>
+                <input name="name" placeholder="Name" maxlength="100" autocomplete="name">
+                <input name="email" type="email" placeholder="Email" maxlength="254" autocomplete="email">
+                <input name="phone" type="tel" placeholder="Phone" maxlength="40" autocomplete="tel">
+                <input name="company" placeholder="Company" maxlength="100" autocomplete="organization">
+                <textarea name="note" placeholder="Note (optional)" maxlength="500" rows="2"></textarea>
+                <input name="hp" class="exchange-hp" tabindex="-1" autocomplete="off" aria-hidden="true">
+                <button type="submit" class="btn btn-primary">Send</button>
+                <p class="exchange-status" role="status"></p>
+            </form>`;
+}
+
+/**
+ * Render one social or custom link row (see links.js)
+ */
+export function renderLinkItem(link) {
+    const text = linkText(link);
+    const name = text === link.label ? text : `${link.label}: ${text}`;
+    return `
+                <a href="${escapeHtml(link.url)}" target="_blank" rel="noopener me" class="contact-item u-url" data-platform="${escapeHtml(link.platform)}" title="${escapeHtml(name)}" aria-label="${escapeHtml(name)}">
+                    <span class="contact-icon link-icon">${escapeHtml(linkIcon(link))}</span>
+                    <span>${escapeHtml(text)}</span>
+                </a>`;
+}
+
+/**
+ * Render one contact row of the business card
+ */
+export function renderContactItem(field, value) {
+    if (!value) return '';
+
+    switch (field) {
+        case 'email':
+            return `
+                <a href="mailto:${escapeHtml(value)}" class="contact-item u-email">
+                    <span class="contact-icon">@</span>
+                    <span>${escapeHtml(value)}</span>
+                </a>`;
+        case 'phone':
+            return `
+                <a href="tel:${escapeHtml(value)}" class="contact-item p-tel">
+                    <span class="contact-icon">#</span>
+                    <span>${escapeHtml(value)}</span>
+                </a>`;
+        case 'website': {
+            // Only http(s) links; anything else shows as plain text
+            const href = safeUrl(value, WEB_URL_SCHEMES);
+            const label = escapeHtml(value.replace(/^https?:\/\//, ''));
+            return href ? `
+                <a href="${escapeHtml(href)}" target="_blank" rel="noopener" class="contact-item u-url">
+                    <span class="contact-icon">~</span>
+                    <span>${label}</span>
+                </a>` : `
+                <div class="contact-item">
+                    <span class="contact-icon">~</span>
+                    <span>${label}</span>
+                </div>`;
+        }
+        case 'location':
+            return `
+                <div class="contact-item p-adr">
+                    <span class="contact-icon">*</span>
+                    <span>${escapeHtml(value)}</span>
+                </div>`;
+        default:
+            return '';
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * Embedding cards elsewhere
+ *
+ * oEmbed responses for card URLs (the HTML is an iframe of
+ * /embed/:identifier) and email signature snippets. Signatures
+ * can't use stylesheets, scripts or data URIs, so they are a
+ * table with inline styles and absolute image URLs.
+ */
+
+import { orderedContactFields } from './settings.js';
+import { escapeHtml, safeUrl, WEB_URL_SCHEMES } from './html.js';
+
+export const EMBED_WIDTH = 360;
+export const EMBED_HEIGHT = 460;
+export const SIGNATURE_FORMATS = ['html', 'text', 'json'];
+
+const MIN_EMBED_SIZE = 200;
+const SIGNATURE_AVATAR_SIZE = 72;
+const SIGNATURE_QR_SIZE = 72;
+
+/**
+ * Thrown for oEmbed requests we can't answer
+ *
+ * Per the oEmbed spec: 404 for URLs that aren't cards, 501 for
+ * formats other than json.
+ */
+export class OEmbedError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'OEmbedError';
+        this.status = status;
+    }
+}
+
+/**
+ * Parse ?url=&format=&maxwidth=&maxheight=
+ *
+ * url must be a card (or embed) URL under baseUrl. Returns
+ * { identifier, persona, maxWidth, maxHeight }.
+ */
+export function parseOEmbedRequest(query, baseUrl) {
+    const format = String(query.format || 'json').toLowerCase();
+    if (format !== 'json') {
+        throw new OEmbedError('Only format=json is supported', 501);
+    }
+
+    let url;
+    try {
+        url = new URL(String(query.url || ''));
+    } catch (error) {
+        throw new OEmbedError('url must be a BizBuz card URL');
+    }
+
+    const match = /^\/(?:card|embed)\/([^/]+)(?:\/([^/]+))?\/?$/.exec(url.pathname);
+    if (url.origin !== new URL(baseUrl).origin || !match) {
+        throw new OEmbedError('url is not a BizBuz card URL', 404);
+    }
+
+    return {
+        identifier: decodeURIComponent(match[1]),
+        persona: match[2] ? decodeURIComponent(match[2]) : null,
+        maxWidth: dimension(query.maxwidth, 'maxwidth'),
+        maxHeight: dimension(query.maxheight, 'maxheight')
+    };
+}
+
+function dimension(value, name) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new OEmbedError(`${name} must be a positive integer`);
+    }
+    return number;
+}
+
+/**
+ * oEmbed "rich" response for a card
+ *
+ * embedUrl is the card's /embed URL; the iframe shrinks to fit
+ * maxWidth / maxHeight, but not below a usable size.
+ */
+export function oembedResponse(profile, { embedUrl, baseUrl, thumbnailUrl, maxWidth, maxHeight }) {
+    const width = Math.max(MIN_EMBED_SIZE, Math.min(EMBED_WIDTH, maxWidth || EMBED_WIDTH));
+    const height = Math.max(MIN_EMBED_SIZE, Math.min(EMBED_HEIGHT, maxHeight || EMBED_HEIGHT));
+    const title = `${profile.name || 'BizBuz'} - Business Card`;
+
+    return {
+        version: '1.0',
+        type: 'rich',
+        title,
+        author_name: profile.name || undefined,
+        provider_name: 'BizBuz',
+        provider_url: baseUrl,
+        html: `<iframe src="${escapeHtml(embedUrl)}" width="${width}" height="${height}" style="border:0;max-width:100%" loading="lazy" title="${escapeHtml(title)}"></iframe>`,
+        width,
+        height,
+        thumbnail_url: thumbnailUrl,
+        thumbnail_width: 1200,
+        thumbnail_height: 630
+    };
+}
+
+/**
+ * Email signature for a card: { html, text }
+ *
+ * options: { cardUrl, avatarUrl, qrUrl (optional), accent }
+ */
+export function renderEmailSignature(profile, settings, { cardUrl, avatarUrl, qrUrl, accent }) {
+    const font = 'font-family:Arial,Helvetica,sans-serif;';
+    const role = [profile.title, profile.company].filter(Boolean).join(' · ');
+    const contacts = orderedContactFields(settings).filter(field => profile[field]);
+
+    const contactLinks = contacts.map(field => {
+        const value = String(profile[field]);
+        const label = escapeHtml(field === 'website' ? value.replace(/^https?:\/\//, '') : value);
+        const href = {
+            email: `mailto:${value}`,
+            phone: `tel:${value.replace(/[^\d+]/g, '')}`,
+            website: safeUrl(value, WEB_URL_SCHEMES)
+        }[field];
+        return href
+            ? `<a href="${escapeHtml(href)}" style="color:${accent};text-decoration:none;">${label}</a>`
+            : `<span>${label}</span>`;
+    }).join(' &nbsp;|&nbsp; ');
+
+    const html = `<table cellpadding="0" cellspacing="0" border="0" style="${font}font-size:13px;line-height:1.4;color:#1f2937;">
+  <tr>
+    <td style="padding-right:14px;vertical-align:top;">
+      <img src="${escapeHtml(avatarUrl)}" width="${SIGNATURE_AVATAR_SIZE}" height="${SIGNATURE_AVATAR_SIZE}" alt="" style="display:block;border-radius:50%;">
+    </td>
+    <td style="border-left:3px solid ${accent};padding-left:14px;vertical-align:top;">
+      <div style="font-size:15px;font-weight:bold;color:#111827;">${escapeHtml(profile.name || '')}</div>
+      ${role ? `<div style="color:#4b5563;">${escapeHtml(role)}</div>` : ''}
+      ${contactLinks ? `<div style="margin-top:4px;">${contactLinks}</div>` : ''}
+      <div style="margin-top:6px;"><a href="${escapeHtml(cardUrl)}" style="color:${accent};font-weight:bold;text-decoration:none;">View my business card &rarr;</a></div>
+    </td>${qrUrl ? `
+    <td style="padding-left:14px;vertical-align:top;">
+      <img src="${escapeHtml(qrUrl)}" width="${SIGNATURE_QR_SIZE}" height="${SIGNATURE_QR_SIZE}" alt="QR code for my business card" style="display:block;">
+    </td>` : ''}
+  </tr>
+</table>`;
+
+    const text = [
+        profile.name,
+        role,
+        ...contacts.map(field => profile[field]),
+        `Business card: ${cardUrl}`
+    ].filter(Boolean).join('\n');
+
+    return { html, text };
+}
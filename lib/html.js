@@ -0,0 +1,114 @@
+/**
+ * HTML helpers shared by the page renderers
+ */
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+const LETTER_PATTERN = /[\p{L}\p{N}]/u;
+// Scripts written without spaces between given and family name
+const UNSPACED_SCRIPT_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]/u;
+
+/**
+ * Get initials from name
+ *
+ * Unicode-aware: works on grapheme clusters, ignores leading
+ * punctuation and emoji, and takes first and last word so
+ * "Ada King Lovelace" is "AL". Names in scripts without word
+ * spaces (Han, Kana, Hangul, Thai) yield a single character.
+ */
+export function getInitials(name) {
+    const words = String(name || '')
+        .trim()
+        .split(/[\s\u3000]+/u)
+        .map(firstLetter)
+        .filter(Boolean);
+
+    if (!words.length) return '?';
+
+    if (words.length === 1 || UNSPACED_SCRIPT_PATTERN.test(words[0])) {
+        return words[0].toLocaleUpperCase();
+    }
+
+    return (words[0] + words[words.length - 1]).toLocaleUpperCase();
+}
+
+function firstLetter(word) {
+    for (const { segment } of segmenter.segment(word)) {
+        if (LETTER_PATTERN.test(segment)) {
+            return segment;
+        }
+    }
+    return '';
+}
+
+// Link schemes the renderers will put in an href
+export const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+// Schemes for web links (website, social profiles)
+export const WEB_URL_SCHEMES = ['http:', 'https:'];
+
+/**
+ * Escape HTML special characters
+ *
+ * Safe for element content and quoted attribute values; not
+ * for script, style or unquoted contexts.
+ */
+export function escapeHtml(str) {
+    if (str === undefined || str === null) return '';
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+/**
+ * Encode a value as a JavaScript string literal for an inline
+ * <script>
+ *
+ * JSON quoting plus escapes for <, > and & (so "</script>" and
+ * "<!--" can't end the script) and U+2028/U+2029.
+ */
+export function jsString(value) {
+    return scriptJson(String(value ?? ''));
+}
+
+/**
+ * JSON for an inline <script> (code or a data block such as
+ * JSON-LD), escaped as jsString() is
+ */
+export function scriptJson(value) {
+    return JSON.stringify(value)
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/&/g, '\\u0026')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * A URL that is safe to link to, or null
+ *
+ * Only absolute URLs with an allowed scheme pass, so
+ * javascript:, data: and vbscript: links (in any casing or
+ * with embedded whitespace) never reach an href. A bare domain
+ * like "example.com" is read as https.
+ */
+export function safeUrl(value, schemes = SAFE_URL_SCHEMES) {
+    if (typeof value !== 'string' || !value.trim()) {
+        return null;
+    }
+
+    const trimmed = value.trim();
+    const candidate = /^[a-z][a-z0-9+.-]*:/i.test(trimmed) || trimmed.startsWith('//')
+        ? trimmed
+        : `https://${trimmed}`;
+
+    let url;
+    try {
+        url = new URL(candidate);
+    } catch (error) {
+        return null;
+    }
+
+    return schemes.includes(url.protocol) ? url.href : null;
+}
@@ -0,0 +1,107 @@
+/**
+ * Card identifier parsing
+ *
+ * A card can be addressed by:
+ * - pubKey (66 hex chars, compressed secp256k1)
+ * - emojicode (8 emojis)
+ * - prof UUID
+ * - 'demo'
+ */
+
+const PUBKEY_PATTERN = /^0[23][0-9a-f]{64}$/i;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+const EMOJICODE_LENGTH = 8;
+
+const segmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+/**
+ * Thrown when an identifier matches none of the supported formats
+ */
+export class InvalidIdentifierError extends Error {
+    constructor(identifier) {
+        super(`Invalid card identifier: ${identifier}`);
+        this.name = 'InvalidIdentifierError';
+        this.status = 400;
+        this.identifier = identifier;
+    }
+}
+
+/**
+ * Split a string into user-perceived characters
+ */
+function graphemes(str) {
+    return Array.from(segmenter.segment(str), s => s.segment);
+}
+
+/**
+ * Check whether a string is exactly eight emoji
+ */
+export function isEmojicode(str) {
+    const chars = graphemes(str);
+    return chars.length === EMOJICODE_LENGTH && chars.every(char => EMOJI_PATTERN.test(char));
+}
+
+/**
+ * Detect the identifier type and normalize its value
+ *
+ * Returns { type, value } where type is one of
+ * 'demo' | 'pubKey' | 'uuid' | 'emojicode'.
+ * Throws InvalidIdentifierError for anything else.
+ */
+export function parseIdentifier(identifier) {
+    const raw = String(identifier || '').trim();
+
+    if (raw.toLowerCase() === 'demo') {
+        return { type: 'demo', value: 'demo' };
+    }
+
+    if (PUBKEY_PATTERN.test(raw)) {
+        return { type: 'pubKey', value: raw.toLowerCase() };
+    }
+
+    if (UUID_PATTERN.test(raw)) {
+        return { type: 'uuid', value: raw.toLowerCase() };
+    }
+
+    if (isEmojicode(raw)) {
+        return { type: 'emojicode', value: raw };
+    }
+
+    throw new InvalidIdentifierError(identifier);
+}
+
+/**
+ * Pick the one stable identifier a card should be served under
+ *
+ * Prefers the Prof UUID, then the pubKey, falling back to
+ * whatever was requested when the profile carries neither.
+ */
+export function canonicalIdentifier(profile, parsed) {
+    if (parsed.type === 'demo') {
+        return 'demo';
+    }
+
+    if (profile && profile.uuid && UUID_PATTERN.test(profile.uuid)) {
+        return profile.uuid.toLowerCase();
+    }
+
+    if (profile && profile.pubKey && PUBKEY_PATTERN.test(profile.pubKey)) {
+        return profile.pubKey.toLowerCase();
+    }
+
+    return parsed.value;
+}
+
+/**
+ * Fill an Express route path with the canonical identifier
+ *
+ * params are the request's route params; optional segments
+ * (/:persona?) without a value are dropped.
+ */
+export function canonicalPath(routePath, params, canonical) {
+    return routePath.replace(/(\/?):(\w+)(\?)?/g, (match, slash, name, optional) => {
+        const value = name === 'identifier' ? canonical : params[name];
+        return optional && value === undefined ? '' : slash + encodeURIComponent(value);
+    });
+}
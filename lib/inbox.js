@@ -0,0 +1,186 @@
+/**
+ * Contact exchange inbox
+ *
+ * When someone viewing a card sends their contact back
+ * ("Exchange contacts"), it lands in the card owner's inbox,
+ * stored by owner pubKey so every card and persona of theirs
+ * shares one inbox. An entry is either a contact typed into the
+ * form or a snapshot of the sender's own BizBuz card.
+ */
+
+import { randomUUID } from 'crypto';
+import { getStore } from './store.js';
+import { safeUrl, WEB_URL_SCHEMES } from './html.js';
+
+export const INBOX_LIMIT = 500;
+
+// Fields of the sender's card copied into the owner's inbox
+export const EXCHANGE_CARD_FIELDS = ['name', 'title', 'company', 'email', 'phone', 'website', 'location'];
+
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /https?:\/\/|www\./gi;
+const FIELD_LIMITS = {
+    name: 100,
+    email: 254,
+    phone: 40,
+    company: 100,
+    title: 100,
+    note: 500
+};
+
+/**
+ * Thrown for exchange submissions that fail validation
+ */
+export class ExchangeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ExchangeError';
+        this.status = 400;
+    }
+}
+
+const store = () => getStore('inbox');
+
+/**
+ * Spam checks on a raw submission
+ *
+ * The form carries a honeypot field (hp) real people never see
+ * and the time it was opened (startedAt, ms); bots fill the one
+ * and submit faster than the other allows. Typed contacts only
+ * come from the form, so they need startedAt; a sent card may
+ * come from elsewhere and is only timed when it has one. Returns
+ * a reason string for suspected spam, null otherwise.
+ */
+export function spamReason(input, { minFillMs = 2000 } = {}) {
+    if (input.hp) {
+        return 'honeypot';
+    }
+    if (input.startedAt === undefined || input.startedAt === null || input.startedAt === '') {
+        return input.identifier ? null : 'no-start-time';
+    }
+    const startedAt = Number(input.startedAt);
+    if (!Number.isFinite(startedAt) || startedAt <= 0) {
+        return 'bad-start-time';
+    }
+    if (Date.now() - startedAt < minFillMs) {
+        return 'too-fast';
+    }
+    return null;
+}
+
+/**
+ * Validate a contact typed into the exchange form
+ */
+export function validateExchangeContact(input) {
+    const contact = {};
+
+    for (const [field, limit] of Object.entries(FIELD_LIMITS)) {
+        const value = input[field];
+        if (value === undefined || value === null || value === '') continue;
+        if (typeof value !== 'string') {
+            throw new ExchangeError(`${field} must be a string`);
+        }
+        const trimmed = value.trim();
+        if (trimmed.length > limit) {
+            throw new ExchangeError(`${field} must be at most ${limit} characters`);
+        }
+        if (trimmed) contact[field] = trimmed;
+    }
+
+    if (!contact.name) {
+        throw new ExchangeError('name is required');
+    }
+    if (!contact.email && !contact.phone) {
+        throw new ExchangeError('email or phone is required');
+    }
+    if (contact.email && !EMAIL_PATTERN.test(contact.email)) {
+        throw new ExchangeError('email is not a valid address');
+    }
+    if (contact.phone && !/^[+\d][\d\s().-]*$/.test(contact.phone)) {
+        throw new ExchangeError('phone may only contain digits, spaces and + ( ) . -');
+    }
+    if ((contact.note || '').match(URL_PATTERN)?.length > 1) {
+        throw new ExchangeError('note may contain at most one link');
+    }
+
+    return contact;
+}
+
+/**
+ * Contact snapshot of a sender's BizBuz card
+ *
+ * profile is the card's public profile; cardUrl links back to
+ * it. The website only survives as an http(s) URL.
+ */
+export function cardContact(profile, cardUrl) {
+    const contact = Object.fromEntries(EXCHANGE_CARD_FIELDS
+        .filter(field => profile[field] && typeof profile[field] === 'string')
+        .map(field => [field, profile[field]]));
+
+    const website = contact.website && safeUrl(contact.website, WEB_URL_SCHEMES);
+    if (website) {
+        contact.website = website;
+    } else {
+        delete contact.website;
+    }
+    return { ...contact, cardUrl };
+}
+
+/**
+ * Add an entry to an owner's inbox
+ *
+ * A second submission from the same sender (email, phone or
+ * BizBuz identifier) within a day replaces the first instead of
+ * piling up. verified says whether the sender of a BizBuz card
+ * signed for it. Returns the stored entry.
+ */
+export async function addToInbox(ownerPubKey, { card, persona, contact, from, verified = false }) {
+    const entries = getInbox(ownerPubKey);
+    const now = Date.now();
+    const senderKey = from || contact.email || contact.phone;
+
+    const kept = entries.filter(entry =>
+        !(entry.senderKey === senderKey && now - Date.parse(entry.receivedAt) < DUPLICATE_WINDOW_MS));
+
+    const entry = {
+        id: randomUUID(),
+        receivedAt: new Date(now).toISOString(),
+        card,
+        persona: persona || null,
+        from: from || null,
+        verified,
+        senderKey,
+        contact
+    };
+
+    await store().set(ownerPubKey, [entry, ...kept].slice(0, INBOX_LIMIT));
+    return entry;
+}
+
+/**
+ * Inbox entries, newest first ([] when empty)
+ */
+export function getInbox(ownerPubKey) {
+    return store().get(ownerPubKey) || [];
+}
+
+/**
+ * Remove one entry; returns false when it wasn't there
+ */
+export async function removeFromInbox(ownerPubKey, id) {
+    const entries = getInbox(ownerPubKey);
+    const kept = entries.filter(entry => entry.id !== id);
+    if (kept.length === entries.length) {
+        return false;
+    }
+    await store().set(ownerPubKey, kept);
+    return true;
+}
+
+/**
+ * Entry as exposed by the inbox API
+ */
+export function publicEntry({ senderKey, ...entry }) {
+    return entry;
+}
@@ -0,0 +1,178 @@
+/**
+ * Profile links
+ *
+ * Profiles carry links in two shapes: social handles (social.<platform>,
+ * or top-level github/twitter/... which normalizeProfile() moves
+ * under social) and an ordered list of custom links:
+ *
+ *   links:
+ *     - https://ada.dev
+ *     - { label: Book a call, url: https://cal.com/ada }
+ *     - { platform: mastodon, handle: '@ada@hachyderm.io' }
+ *
+ * profileLinks() merges both into one list of
+ * { platform, label, url, handle } for the card page, vCard and
+ * API. Handles are expanded to profile URLs, known platforms are
+ * recognized from the link's host, and anything that isn't an
+ * http(s) link is dropped.
+ */
+
+import { safeUrl, WEB_URL_SCHEMES } from './html.js';
+
+export const MAX_LINKS = 20;
+
+const HANDLE_PATTERN = /^[\w.-]{1,100}$/;
+const MASTODON_HANDLE_PATTERN = /^@?([\w.-]{1,100})@([a-z0-9.-]+\.[a-z]{2,})$/i;
+const LABEL_MAX_LENGTH = 100;
+
+/**
+ * Recognized platforms
+ *
+ * icon is the short mark shown in the card's icon circle; at
+ * means handles are written @handle; url expands a handle
+ * (platforms without one only take full URLs).
+ */
+export const PLATFORMS = {
+    github: { label: 'GitHub', icon: 'GH', hosts: ['github.com'], url: handle => `https://github.com/${handle}` },
+    twitter: { label: 'X (Twitter)', icon: 'X', at: true, hosts: ['twitter.com', 'x.com'], url: handle => `https://twitter.com/${handle}` },
+    linkedin: { label: 'LinkedIn', icon: 'in', hosts: ['linkedin.com'], url: handle => `https://linkedin.com/in/${handle}` },
+    mastodon: {
+        label: 'Mastodon',
+        icon: 'M',
+        at: true,
+        hosts: ['mastodon.social', 'mastodon.online', 'mstdn.social', 'fosstodon.org', 'hachyderm.io'],
+        url: mastodonUrl
+    },
+    bluesky: {
+        label: 'Bluesky',
+        icon: 'B',
+        at: true,
+        hosts: ['bsky.app'],
+        url: handle => `https://bsky.app/profile/${handle.includes('.') ? handle : `${handle}.bsky.social`}`
+    },
+    instagram: { label: 'Instagram', icon: 'IG', at: true, hosts: ['instagram.com'], url: handle => `https://instagram.com/${handle}` },
+    threads: { label: 'Threads', icon: 'Th', at: true, hosts: ['threads.net'], url: handle => `https://threads.net/@${handle}` },
+    youtube: { label: 'YouTube', icon: 'YT', at: true, hosts: ['youtube.com', 'youtu.be'], url: handle => `https://youtube.com/@${handle}` },
+    tiktok: { label: 'TikTok', icon: 'TT', at: true, hosts: ['tiktok.com'], url: handle => `https://tiktok.com/@${handle}` },
+    facebook: { label: 'Facebook', icon: 'f', hosts: ['facebook.com', 'fb.com'], url: handle => `https://facebook.com/${handle}` },
+    calendar: { label: 'Book a meeting', icon: 'Cal', hosts: ['calendly.com', 'cal.com', 'savvycal.com', 'zcal.co'] }
+};
+
+// Platforms that may appear as top-level profile fields
+export const SOCIAL_PLATFORMS = Object.keys(PLATFORMS).filter(platform => platform !== 'calendar');
+
+// Icon for links to anything else
+const LINK_ICON = '~';
+
+/**
+ * All of a profile's links, social handles first, then the
+ * custom list in its own order
+ *
+ * Duplicates (same URL) and unusable entries are left out.
+ */
+export function profileLinks(profile) {
+    const entries = [];
+
+    if (profile.social && typeof profile.social === 'object') {
+        for (const [platform, value] of Object.entries(profile.social)) {
+            entries.push(normalizeLink({ platform, value }));
+        }
+    }
+
+    if (Array.isArray(profile.links)) {
+        for (const item of profile.links) {
+            entries.push(typeof item === 'string'
+                ? normalizeLink({ value: item })
+                : item && typeof item === 'object'
+                    ? normalizeLink({ platform: item.platform, value: item.url || item.handle, label: item.label })
+                    : null);
+        }
+    }
+
+    const seen = new Set();
+    return entries.filter(link => {
+        if (!link || seen.has(link.url)) {
+            return false;
+        }
+        seen.add(link.url);
+        return true;
+    }).slice(0, MAX_LINKS);
+}
+
+/**
+ * One link from a platform name and a handle or URL
+ */
+function normalizeLink({ platform, value, label }) {
+    if (typeof value !== 'string' || !value.trim()) {
+        return null;
+    }
+    const trimmed = value.trim();
+    const known = PLATFORMS[String(platform || '').toLowerCase()] ? String(platform).toLowerCase() : null;
+    const hasScheme = /^[a-z][a-z0-9+.-]*:/i.test(trimmed);
+
+    // Handles need a platform to build the URL from; everything
+    // else is a URL, where a bare "ada.dev" means https
+    if (hasScheme || trimmed.includes('/') || !known || !PLATFORMS[known].url) {
+        const url = safeUrl(trimmed, WEB_URL_SCHEMES);
+        if (!url || (!hasScheme && !new URL(url).hostname.includes('.'))) {
+            return null;
+        }
+        const detected = known || platformForUrl(url);
+        return {
+            platform: detected || 'link',
+            label: cleanLabel(label) || (detected ? PLATFORMS[detected].label : new URL(url).hostname.replace(/^www\./, '')),
+            url,
+            handle: null
+        };
+    }
+
+    const handle = known === 'mastodon' ? mastodonHandle(trimmed) : trimmed.replace(/^@/, '');
+    if (!handle || (known !== 'mastodon' && !HANDLE_PATTERN.test(handle))) {
+        return null;
+    }
+
+    return {
+        platform: known,
+        label: cleanLabel(label) || PLATFORMS[known].label,
+        url: PLATFORMS[known].url(handle),
+        handle
+    };
+}
+
+/**
+ * Text shown for a link: @handle, the handle, or its label
+ */
+export function linkText(link) {
+    if (!link.handle) {
+        return link.label;
+    }
+    return PLATFORMS[link.platform].at ? `@${link.handle}` : link.handle;
+}
+
+/**
+ * Short icon mark for a link's platform
+ */
+export function linkIcon(link) {
+    return PLATFORMS[link.platform] ? PLATFORMS[link.platform].icon : LINK_ICON;
+}
+
+function platformForUrl(url) {
+    const host = new URL(url).hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+    return Object.keys(PLATFORMS).find(platform =>
+        PLATFORMS[platform].hosts.some(known => host === known || host.endsWith(`.${known}`))) || null;
+}
+
+// user@instance, as written @user@instance or user@instance
+function mastodonHandle(value) {
+    const match = MASTODON_HANDLE_PATTERN.exec(value);
+    return match ? `${match[1]}@${match[2].toLowerCase()}` : null;
+}
+
+function mastodonUrl(handle) {
+    const [user, instance] = handle.split('@');
+    return `https://${instance}/@${user}`;
+}
+
+function cleanLabel(label) {
+    return typeof label === 'string' ? label.trim().slice(0, LABEL_MAX_LENGTH) : '';
+}
@@ -0,0 +1,127 @@
+/**
+ * NDEF messages for NFC tags
+ *
+ * Builds the binary NDEF message a tag writer expects: a
+ * well-known URI record for the card link, optionally followed
+ * by a MIME text/vcard record, and reports whether it fits the
+ * common NTAG chips.
+ */
+
+export const NDEF_FORMATS = ['bin', 'json'];
+
+// User memory available for the NDEF TLV, in bytes
+export const TAG_CAPACITIES = {
+    NTAG213: 144,
+    NTAG215: 504,
+    NTAG216: 888
+};
+
+const TNF_WELL_KNOWN = 0x01;
+const TNF_MIME = 0x02;
+const FLAG_MB = 0x80;
+const FLAG_ME = 0x40;
+const FLAG_SR = 0x10;
+
+// NFC Forum URI Record Type Definition abbreviations
+const URI_PREFIXES = [
+    '', 'http://www.', 'https://www.', 'http://', 'https://', 'tel:', 'mailto:',
+    'ftp://anonymous:anonymous@', 'ftp://ftp.', 'ftps://', 'sftp://', 'smb://',
+    'nfs://', 'ftp://', 'dav://', 'news:', 'telnet://', 'imap:', 'rtsp://', 'urn:',
+    'pop:', 'sip:', 'sips:', 'tftp:', 'btspp://', 'btl2cap://', 'btgoep://',
+    'tcpobex://', 'irdaobex://', 'file://', 'urn:epc:id:', 'urn:epc:tag:',
+    'urn:epc:pat:', 'urn:epc:raw:', 'urn:epc:', 'urn:nfc:'
+];
+
+/**
+ * Thrown for an unknown ?format=
+ */
+export class NdefOptionsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NdefOptionsError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Parse ?format=bin|json and ?vcard=1
+ */
+export function parseNdefOptions(query = {}) {
+    const format = String(query.format || 'bin').toLowerCase();
+    if (!NDEF_FORMATS.includes(format)) {
+        throw new NdefOptionsError(`format must be one of: ${NDEF_FORMATS.join(', ')}`);
+    }
+    return {
+        format,
+        vcard: ['1', 'true', 'yes'].includes(String(query.vcard).toLowerCase())
+    };
+}
+
+/**
+ * URI record payload: prefix code + the rest of the URI
+ */
+export function uriRecord(uri) {
+    // Longest matching prefix wins (https://www. over https://)
+    let code = 0;
+    URI_PREFIXES.forEach((prefix, index) => {
+        if (prefix && uri.startsWith(prefix) && prefix.length > URI_PREFIXES[code].length) {
+            code = index;
+        }
+    });
+
+    return {
+        tnf: TNF_WELL_KNOWN,
+        type: Buffer.from('U'),
+        payload: Buffer.concat([Buffer.from([code]), Buffer.from(uri.slice(URI_PREFIXES[code].length), 'utf8')])
+    };
+}
+
+export function mimeRecord(mimeType, payload) {
+    return {
+        tnf: TNF_MIME,
+        type: Buffer.from(mimeType, 'ascii'),
+        payload: Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8')
+    };
+}
+
+/**
+ * Encode records as one NDEF message
+ */
+export function encodeNdefMessage(records) {
+    return Buffer.concat(records.map((record, index) => {
+        const short = record.payload.length < 256;
+        let flags = record.tnf;
+        if (index === 0) flags |= FLAG_MB;
+        if (index === records.length - 1) flags |= FLAG_ME;
+        if (short) flags |= FLAG_SR;
+
+        const header = short
+            ? Buffer.from([flags, record.type.length, record.payload.length])
+            : Buffer.alloc(6);
+        if (!short) {
+            header.writeUInt8(flags, 0);
+            header.writeUInt8(record.type.length, 1);
+            header.writeUInt32BE(record.payload.length, 2);
+        }
+
+        return Buffer.concat([header, record.type, record.payload]);
+    }));
+}
+
+/**
+ * Size of the message on a Type 2 tag and which NTAGs hold it
+ *
+ * On the tag the message sits in an NDEF TLV (1 type byte, 1
+ * or 3 length bytes) followed by a terminator TLV byte.
+ */
+export function ndefSizeReport(message) {
+    const tlvBytes = 1 + (message.length < 255 ? 1 : 3) + message.length + 1;
+    const tags = Object.entries(TAG_CAPACITIES).map(([tag, capacity]) => ({
+        tag,
+        capacity,
+        fits: tlvBytes <= capacity,
+        free: capacity - tlvBytes
+    }));
+
+    return { messageBytes: message.length, tlvBytes, tags };
+}
@@ -0,0 +1,117 @@
+/**
+ * Offline contact payloads for QR codes
+ *
+ * Instead of a link back to /card/:identifier, these QR codes
+ * carry the contact itself (compact vCard or MECARD) so a phone
+ * camera can add it with no connectivity. Fields are dropped,
+ * least important first, until the payload fits.
+ */
+
+import { generateVCard, splitName } from './vcard.js';
+import { qrVersionFor, QrOptionsError } from './qr.js';
+import { safeUrl, WEB_URL_SCHEMES } from './html.js';
+
+export const QR_MODES = ['url', 'vcard', 'mecard'];
+
+// Beyond this, codes get too dense for phone cameras at card size
+export const OFFLINE_MAX_VERSION = 25;
+
+// Dropped in this order when the payload is too large
+const DROP_ORDER = ['bio', 'links', 'social', 'location', 'website', 'title', 'company', 'email', 'phone'];
+
+/**
+ * Thrown when even the bare name will not fit in a QR code
+ */
+export class OfflinePayloadError extends Error {
+    constructor() {
+        super('Contact is too large to encode in a QR code');
+        this.name = 'OfflinePayloadError';
+        this.status = 422;
+    }
+}
+
+/**
+ * Parse the ?mode= query option (url when absent)
+ */
+export function parseQrMode(value) {
+    if (value === undefined || value === '') {
+        return 'url';
+    }
+
+    const mode = String(value).toLowerCase();
+    if (!QR_MODES.includes(mode)) {
+        throw new QrOptionsError(`mode must be one of: ${QR_MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+/**
+ * Build the largest offline payload that fits
+ *
+ * Returns { payload, dropped, version } where dropped lists the
+ * profile fields left out to stay within maxVersion at the
+ * given error correction level.
+ */
+export function buildOfflinePayload(profile, { mode = 'vcard', ecl = 'M', maxVersion = OFFLINE_MAX_VERSION } = {}) {
+    const serialize = mode === 'mecard' ? generateMecard : p => generateVCard(p, { compact: true });
+    const present = DROP_ORDER.filter(field => hasValue(profile[field]));
+    const trimmed = { ...profile };
+    const dropped = [];
+
+    for (let i = 0; i <= present.length; i++) {
+        const payload = serialize(trimmed);
+        const version = qrVersionFor(payload, ecl);
+
+        if (version && version <= maxVersion) {
+            return { payload, dropped, version };
+        }
+
+        if (i < present.length) {
+            delete trimmed[present[i]];
+            dropped.push(present[i]);
+        }
+    }
+
+    throw new OfflinePayloadError();
+}
+
+function hasValue(value) {
+    if (value && typeof value === 'object') {
+        return Object.values(value).some(Boolean);
+    }
+    return Boolean(value);
+}
+
+/**
+ * Generate a MECARD payload
+ *
+ * MECARD is the compact format from NTT DoCoMo that most QR
+ * readers understand: MECARD:N:Last,First;TEL:...;;
+ */
+export function generateMecard(profile) {
+    const fields = [];
+    const add = (key, value) => fields.push(`${key}:${escapeMecard(value)}`);
+
+    const n = splitName(profile);
+    const name = n.family ? `${n.family},${n.given}` : n.given || profile.company || 'Contact';
+    // Name parts are joined with an unescaped comma
+    fields.push(`N:${name.split(',').map(escapeMecard).join(',')}`);
+
+    const website = safeUrl(profile.website, WEB_URL_SCHEMES);
+
+    if (profile.company) add('ORG', profile.company);
+    if (profile.title) add('TITLE', profile.title);
+    if (profile.phone) add('TEL', profile.phone);
+    if (profile.email) add('EMAIL', profile.email);
+    if (website) add('URL', website);
+    if (profile.location) add('ADR', profile.location);
+    if (profile.bio) add('NOTE', profile.bio);
+
+    return `MECARD:${fields.join(';')};;`;
+}
+
+function escapeMecard(value) {
+    return String(value)
+        .replace(/\r\n|\r|\n/g, ' ')
+        .replace(/([\\;,:"])/g, '\\$1');
+}
@@ -0,0 +1,92 @@
+/**
+ * Link preview images
+ *
+ * Renders the 1200x630 card image that Slack, iMessage,
+ * LinkedIn and friends show when a card link is pasted. The
+ * image is drawn as SVG (name, title, company, avatar and card
+ * QR in the theme's colors) and rasterized with sharp, so no
+ * browser is needed.
+ */
+
+import sharp from 'sharp';
+import { buildQr, qrDataUrl } from './qr.js';
+import { themeColors } from './themes.js';
+import { avatarDataUri } from './avatar.js';
+import { escapeHtml } from './html.js';
+
+export const OG_WIDTH = 1200;
+export const OG_HEIGHT = 630;
+
+const AVATAR_SIZE = 180;
+const QR_SIZE = 360;
+const CACHE_LIMIT = 100;
+const FONT_FAMILY = "-apple-system, 'Segoe UI', Roboto, 'Noto Sans', 'Noto Sans CJK JP', sans-serif";
+
+// version key -> PNG buffer, oldest first
+const cache = new Map();
+
+/**
+ * Render the preview PNG for a card
+ *
+ * version identifies the profile + settings revision; renders
+ * are cached under it, so an edited profile gets a new image.
+ */
+export async function renderOgImage({ profile, identifier, seed, theme, accent, cardUrl, version }) {
+    const key = `${version}|${theme.name}|${accent}|${cardUrl}`;
+    if (cache.has(key)) {
+        const hit = cache.get(key);
+        cache.delete(key);
+        cache.set(key, hit);
+        return hit;
+    }
+
+    const colors = themeColors(theme, accent);
+    const qr = await buildQr(cardUrl, {
+        format: 'svg',
+        size: QR_SIZE,
+        margin: 1,
+        fg: colors.qrFg,
+        bg: colors.background
+    });
+    const avatar = await avatarDataUri(profile, { seed: seed || identifier, size: AVATAR_SIZE * 2, format: 'png' });
+
+    const svg = previewSvg({ profile, colors, avatar, qr: qrDataUrl(qr), host: new URL(cardUrl).host });
+    const body = await sharp(Buffer.from(svg)).png().toBuffer();
+
+    cache.set(key, body);
+    if (cache.size > CACHE_LIMIT) {
+        cache.delete(cache.keys().next().value);
+    }
+
+    return body;
+}
+
+function previewSvg({ profile, colors, avatar, qr, host }) {
+    const { background, text, accent } = colors;
+    const name = truncate(profile.name || 'Anonymous', 19);
+    const nameSize = Array.from(name).length > 12 ? 52 : 68;
+    const lines = [
+        profile.title && { value: truncate(profile.title, 28), size: 36, y: 420, opacity: 1 },
+        profile.company && { value: truncate(profile.company, 28), size: 32, y: 470, opacity: 0.7 }
+    ].filter(Boolean);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${OG_WIDTH}" height="${OG_HEIGHT}" viewBox="0 0 ${OG_WIDTH} ${OG_HEIGHT}">`
+        + `<defs><clipPath id="avatar"><circle cx="${96 + AVATAR_SIZE / 2}" cy="${80 + AVATAR_SIZE / 2}" r="${AVATAR_SIZE / 2}"/></clipPath></defs>`
+        + `<rect width="${OG_WIDTH}" height="${OG_HEIGHT}" fill="${background}"/>`
+        + `<rect width="24" height="${OG_HEIGHT}" fill="${accent}"/>`
+        + `<image href="${avatar}" x="96" y="80" width="${AVATAR_SIZE}" height="${AVATAR_SIZE}" clip-path="url(#avatar)"/>`
+        + `<g font-family="${FONT_FAMILY}" fill="${text}">`
+        + `<text x="96" y="350" font-size="${nameSize}" font-weight="700">${escapeHtml(name)}</text>`
+        + lines.map(line =>
+            `<text x="96" y="${line.y}" font-size="${line.size}" fill-opacity="${line.opacity}">${escapeHtml(line.value)}</text>`).join('')
+        + `<text x="96" y="560" font-size="26" font-weight="600" fill="${accent}">${escapeHtml(host)}</text>`
+        + '</g>'
+        + `<rect x="${OG_WIDTH - QR_SIZE - 110}" y="${(OG_HEIGHT - QR_SIZE) / 2 - 20}" width="${QR_SIZE + 40}" height="${QR_SIZE + 40}" rx="24" fill="${background}" stroke="${accent}" stroke-width="4"/>`
+        + `<image href="${qr}" x="${OG_WIDTH - QR_SIZE - 90}" y="${(OG_HEIGHT - QR_SIZE) / 2}" width="${QR_SIZE}" height="${QR_SIZE}"/>`
+        + '</svg>';
+}
+
+function truncate(value, max) {
+    const chars = Array.from(String(value).trim());
+    return chars.length > max ? `${chars.slice(0, max - 1).join('').trimEnd()}…` : chars.join('');
+}
@@ -0,0 +1,189 @@
+/**
+ * Organization directory page
+ *
+ * Lists an org's member cards with the org logo and accent
+ * color. ?q= filters on the server so search works without
+ * JavaScript; the script filters as you type.
+ */
+
+import { DEFAULT_ACCENT } from './settings.js';
+import { escapeHtml, getInitials } from './html.js';
+
+const AVATAR_SIZE = 96;
+
+/**
+ * Members whose name, title, company, email or location contain query
+ */
+export function searchMembers(members, query) {
+    const needle = String(query || '').trim().toLowerCase();
+    if (!needle) {
+        return members;
+    }
+    return members.filter(member => searchText(member.profile).includes(needle));
+}
+
+function searchText(profile) {
+    return [profile.name, profile.title, profile.company, profile.email, profile.location]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+}
+
+/**
+ * Render the directory
+ *
+ * members is [{ identifier, role, profile }], already filtered;
+ * total is the full member count; nonce is the response's CSP
+ * nonce for the inline script.
+ */
+export function generateOrgDirectoryPage(org, members, { query = '', total = members.length, nonce } = {}) {
+    const slug = encodeURIComponent(org.slug);
+    const accent = org.branding.accentColor || DEFAULT_ACCENT;
+    const count = query ? `${members.length} of ${total} members` : `${total} member${total === 1 ? '' : 's'}`;
+
+    const items = members.map(({ identifier, role, profile }) => {
+        const path = encodeURIComponent(identifier);
+        return `
+            <li class="member" data-search="${escapeHtml(searchText(profile))}">
+                <a href="/card/${path}">
+                    <span class="avatar">${escapeHtml(getInitials(profile.name))}<img src="/avatar/${path}?size=${AVATAR_SIZE}" alt="" loading="lazy"></span>
+                    <span class="details">
+                        <span class="name">${escapeHtml(profile.name || 'Anonymous')}${role === 'admin' ? ' <span class="role">admin</span>' : ''}</span>
+                        ${profile.title ? `<span class="title">${escapeHtml(profile.title)}</span>` : ''}
+                    </span>
+                </a>
+            </li>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(org.name)} - Team Directory</title>
+    <meta name="description" content="Business cards of the ${escapeHtml(org.name)} team">
+    <style>
+        :root { --accent: ${accent}; }
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            background: #f8fafc;
+            color: #0f172a;
+            padding: 32px 20px;
+        }
+        main { max-width: 720px; margin: 0 auto; }
+        header { display: flex; align-items: center; gap: 16px; margin-bottom: 24px; }
+        header img { height: 48px; max-width: 160px; object-fit: contain; }
+        h1 { font-size: 1.6em; }
+        .count { color: #64748b; font-size: 0.9em; }
+        form { display: flex; gap: 8px; margin-bottom: 20px; }
+        input {
+            flex: 1;
+            padding: 10px 14px;
+            font: inherit;
+            border: 1px solid #cbd5e1;
+            border-radius: 10px;
+        }
+        button, .btn {
+            padding: 10px 16px;
+            font: inherit;
+            border: none;
+            border-radius: 10px;
+            background: var(--accent);
+            color: white;
+            text-decoration: none;
+            cursor: pointer;
+        }
+        ul { list-style: none; display: grid; gap: 8px; }
+        .member a {
+            display: flex;
+            align-items: center;
+            gap: 14px;
+            padding: 12px;
+            background: white;
+            border: 1px solid #e2e8f0;
+            border-radius: 12px;
+            color: inherit;
+            text-decoration: none;
+        }
+        .member a:hover { border-color: var(--accent); }
+        .avatar {
+            position: relative;
+            overflow: hidden;
+            flex: none;
+            width: 48px;
+            height: 48px;
+            border-radius: 50%;
+            background: var(--accent);
+            color: white;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-weight: 600;
+        }
+        .avatar img { position: absolute; inset: 0; width: 100%; height: 100%; object-fit: cover; }
+        .details { display: grid; }
+        .name { font-weight: 600; }
+        .title { color: #64748b; font-size: 0.9em; }
+        .role {
+            font-size: 0.7em;
+            font-weight: 500;
+            color: var(--accent);
+            border: 1px solid var(--accent);
+            border-radius: 6px;
+            padding: 0 5px;
+            vertical-align: middle;
+        }
+        .empty { color: #64748b; text-align: center; padding: 24px; }
+        .team-actions { display: flex; gap: 8px; margin-top: 24px; flex-wrap: wrap; }
+        [hidden] { display: none !important; }
+    </style>
+</head>
+<body>
+    <main>
+        <header>
+            ${org.branding.logo ? `<img src="/org/${slug}/logo" alt="">` : ''}
+            <div>
+                <h1>${escapeHtml(org.name)}</h1>
+                <p class="count">${count}</p>
+            </div>
+        </header>
+
+        <form method="get" role="search">
+            <input type="search" name="q" value="${escapeHtml(query)}" placeholder="Search by name, title or location">
+            <button type="submit">Search</button>
+        </form>
+
+        <ul>${items}
+        </ul>
+        <p class="empty"${members.length ? ' hidden' : ''}>No matching members</p>
+
+        <div class="team-actions">
+            <a class="btn" href="/org/${slug}/print">Print team cards</a>
+            <a class="btn" href="/org/${slug}/qr.zip">Download QR codes</a>
+        </div>
+    </main>
+
+    <script${nonce ? ` nonce="${escapeHtml(nonce)}"` : ''}>
+        // Initials show until an avatar loads, and stay if it fails
+        document.querySelectorAll('.avatar img').forEach(img => {
+            if (img.complete && !img.naturalWidth) img.remove();
+            else img.addEventListener('error', () => img.remove());
+        });
+        document.querySelector('input[name="q"]').addEventListener('input', event => {
+            filterMembers(event.target.value);
+        });
+
+        function filterMembers(query) {
+            const needle = query.trim().toLowerCase();
+            let shown = 0;
+            document.querySelectorAll('.member').forEach(el => {
+                el.hidden = !el.dataset.search.includes(needle);
+                if (!el.hidden) shown++;
+            });
+            document.querySelector('.empty').hidden = shown > 0;
+        }
+    </script>
+</body>
+</html>`;
+}
@@ -0,0 +1,283 @@
+/**
+ * Organizations
+ *
+ * Groups member cards under a slug for the /org/:slug directory,
+ * with org branding member cards inherit. Stored by slug:
+ *
+ *   {
+ *     name, owner,           // owner: pubKey that created the org
+ *     branding: { logo, accentColor, theme },
+ *     members: [{ identifier, role, pubKey, addedAt }],
+ *     createdAt, updatedAt
+ *   }
+ *
+ * The owner and members with role 'admin' manage the org with
+ * signed requests. A member card is only listed, and only takes
+ * on the branding, once its owner opted in by naming the org in
+ * their settings.
+ */
+
+import { getStore } from './store.js';
+import { AuthError } from './auth.js';
+
+export const ORG_SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,47}$/;
+export const ORG_ROLES = ['member', 'admin'];
+export const MAX_ORG_MEMBERS = 500;
+
+const NAME_MAX_LENGTH = 80;
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const LOGO_PATTERN = /^data:(image\/(?:png|jpeg|webp));base64,([A-Za-z0-9+/]+={0,2})$/;
+const LOGO_MAX_BYTES = 200 * 1024;
+
+/**
+ * Thrown for org input that fails validation
+ */
+export class OrgError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'OrgError';
+        this.status = status;
+    }
+}
+
+/**
+ * Thrown when no org has the slug
+ */
+export class OrgNotFoundError extends Error {
+    constructor(slug) {
+        super(`Organization "${slug}" not found`);
+        this.name = 'OrgNotFoundError';
+        this.status = 404;
+    }
+}
+
+const store = () => getStore('orgs');
+
+/**
+ * An org; throws OrgNotFoundError when missing
+ */
+export function getOrg(slug) {
+    return { slug, ...storedOrg(slug) };
+}
+
+function storedOrg(slug) {
+    const org = ORG_SLUG_PATTERN.test(slug || '') ? store().get(slug) : null;
+    if (!org) {
+        throw new OrgNotFoundError(slug);
+    }
+    return org;
+}
+
+/**
+ * An org or null, for lookups that shouldn't fail
+ */
+export function findOrg(slug) {
+    const org = ORG_SLUG_PATTERN.test(slug || '') ? store().get(slug) : null;
+    return org ? { slug, ...org } : null;
+}
+
+export async function createOrg(slug, input, ownerPubKey) {
+    if (!ORG_SLUG_PATTERN.test(slug || '')) {
+        throw new OrgError('slug must be 2-48 lowercase letters, digits or dashes');
+    }
+    if (store().has(slug)) {
+        throw new OrgError(`Organization "${slug}" already exists`, 409);
+    }
+    if (!input.name) {
+        throw new OrgError('name is required');
+    }
+
+    const now = new Date().toISOString();
+    const org = {
+        name: input.name,
+        owner: ownerPubKey,
+        branding: input.branding || {},
+        members: [],
+        createdAt: now,
+        updatedAt: now
+    };
+    await store().set(slug, org);
+    return { slug, ...org };
+}
+
+/**
+ * Change an org's name or branding (branding replaces the old one)
+ */
+export async function updateOrg(slug, input) {
+    const org = storedOrg(slug);
+    const updated = { ...org, ...input, updatedAt: new Date().toISOString() };
+    await store().set(slug, updated);
+    return { slug, ...updated };
+}
+
+/**
+ * Add a member, or change an existing member's role
+ */
+export async function addOrgMember(slug, { identifier, pubKey, role }) {
+    const org = storedOrg(slug);
+    const existing = org.members.find(member => member.identifier === identifier);
+
+    if (!existing && org.members.length >= MAX_ORG_MEMBERS) {
+        throw new OrgError(`An organization can have at most ${MAX_ORG_MEMBERS} members`, 409);
+    }
+    if (role === 'admin' && !pubKey) {
+        throw new OrgError('Only cards with a pubKey can be admins');
+    }
+
+    const member = {
+        identifier,
+        role,
+        pubKey: pubKey || null,
+        addedAt: existing ? existing.addedAt : new Date().toISOString()
+    };
+    const members = existing
+        ? org.members.map(other => (other === existing ? member : other))
+        : [...org.members, member];
+
+    await store().set(slug, { ...org, members, updatedAt: new Date().toISOString() });
+    return { member, created: !existing };
+}
+
+/**
+ * Remove a member; returns false when they weren't one
+ */
+export async function removeOrgMember(slug, identifier) {
+    const org = storedOrg(slug);
+    const members = org.members.filter(member => member.identifier !== identifier);
+    if (members.length === org.members.length) {
+        return false;
+    }
+
+    await store().set(slug, { ...org, members, updatedAt: new Date().toISOString() });
+    return true;
+}
+
+export function isOrgAdmin(org, pubKey) {
+    return Boolean(pubKey) && (org.owner === pubKey
+        || org.members.some(member => member.role === 'admin' && member.pubKey === pubKey));
+}
+
+/**
+ * Throw AuthError unless pubKey administers the org
+ */
+export function assertOrgAdmin(org, pubKey) {
+    if (!isOrgAdmin(org, pubKey)) {
+        throw new AuthError('Only organization admins can do this', 403);
+    }
+}
+
+export function isOrgMember(org, identifier) {
+    return org.members.some(member => member.identifier === identifier);
+}
+
+/**
+ * Whether a card belongs to the org with both sides agreeing:
+ * the org lists it and its owner named the org in settings
+ */
+export function hasJoinedOrg(org, identifier, settings = {}) {
+    return settings.org === org.slug && isOrgMember(org, identifier);
+}
+
+/**
+ * Validate org name and branding
+ *
+ * themes is the theme registry, used to check the theme name.
+ */
+export function validateOrg(input, { themes } = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new OrgError('org must be an object');
+    }
+
+    const org = {};
+
+    if (input.name !== undefined) {
+        if (typeof input.name !== 'string' || !input.name.trim() || input.name.trim().length > NAME_MAX_LENGTH) {
+            throw new OrgError(`name must be 1-${NAME_MAX_LENGTH} characters`);
+        }
+        org.name = input.name.trim();
+    }
+
+    if (input.branding !== undefined) {
+        org.branding = validateBranding(input.branding, themes);
+    }
+
+    return org;
+}
+
+function validateBranding(input, themes) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new OrgError('branding must be an object');
+    }
+
+    const branding = {};
+
+    if (input.logo !== undefined && input.logo !== null) {
+        const match = LOGO_PATTERN.exec(input.logo);
+        if (!match) {
+            throw new OrgError('logo must be a base64 PNG, JPEG or WebP data URI');
+        }
+        if (Buffer.byteLength(match[2], 'base64') > LOGO_MAX_BYTES) {
+            throw new OrgError(`logo must be at most ${LOGO_MAX_BYTES / 1024} KB`);
+        }
+        branding.logo = input.logo;
+    }
+
+    if (input.accentColor !== undefined && input.accentColor !== null) {
+        if (!HEX_COLOR_PATTERN.test(input.accentColor)) {
+            throw new OrgError('accentColor must be a hex color like #10b981');
+        }
+        branding.accentColor = input.accentColor.toLowerCase();
+    }
+
+    if (input.theme !== undefined && input.theme !== null) {
+        if (typeof input.theme !== 'string' || (themes && !themes.has(input.theme))) {
+            const available = themes ? themes.list().map(theme => theme.name).join(', ') : '';
+            throw new OrgError(`theme must be one of: ${available}`);
+        }
+        branding.theme = input.theme;
+    }
+
+    return branding;
+}
+
+/**
+ * Validate a member an admin adds: { card, role }
+ */
+export function validateOrgMember(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new OrgError('member must be an object');
+    }
+    if (!input.card || typeof input.card !== 'string') {
+        throw new OrgError('member.card is required');
+    }
+
+    const role = input.role || 'member';
+    if (!ORG_ROLES.includes(role)) {
+        throw new OrgError(`role must be one of: ${ORG_ROLES.join(', ')}`);
+    }
+
+    return { card: input.card, role };
+}
+
+/**
+ * Decoded logo image: { body, contentType } or null
+ */
+export function orgLogo(org) {
+    const match = LOGO_PATTERN.exec(org.branding.logo || '');
+    return match ? { body: Buffer.from(match[2], 'base64'), contentType: match[1] } : null;
+}
+
+/**
+ * Member card settings with the org branding underneath
+ *
+ * Branding fills in the theme and accent color; the member's
+ * own choices win.
+ */
+export function withOrgBranding(settings, org) {
+    const { theme, accentColor } = org.branding;
+    return {
+        ...(theme ? { theme } : {}),
+        ...(accentColor ? { accentColor } : {}),
+        ...settings
+    };
+}
@@ -0,0 +1,169 @@
+/**
+ * Card personas
+ *
+ * Named variants of one profile's card (work, personal,
+ * conference, ...), stored per canonical card identifier:
+ * - label: display name for the persona
+ * - fields: profile fields the persona shows (others are left
+ *   off the card, vCard, QR and API)
+ * - title, company: replace the profile's values
+ *
+ * Personas apply on top of the owner's card settings, so a
+ * field hidden in the settings stays hidden everywhere.
+ */
+
+import { getStore } from './store.js';
+import { HIDEABLE_FIELDS, pickFields } from './settings.js';
+
+export const PERSONA_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+export const MAX_PERSONAS = 20;
+
+const LABEL_MAX_LENGTH = 40;
+const OVERRIDE_MAX_LENGTH = 100;
+
+/**
+ * Thrown for persona input that fails validation
+ */
+export class PersonaError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PersonaError';
+        this.status = status;
+    }
+}
+
+/**
+ * Thrown when a card has no persona by that name
+ */
+export class PersonaNotFoundError extends Error {
+    constructor(name) {
+        super(`Persona "${name}" not found`);
+        this.name = 'PersonaNotFoundError';
+        this.status = 404;
+    }
+}
+
+const store = () => getStore('personas');
+
+/**
+ * All personas of a card, by name ({} when there are none)
+ */
+export function getPersonas(identifier) {
+    return store().get(identifier) || {};
+}
+
+/**
+ * One persona; throws PersonaNotFoundError when missing
+ */
+export function getPersona(identifier, name) {
+    const persona = getPersonas(identifier)[name];
+    if (!persona) {
+        throw new PersonaNotFoundError(name);
+    }
+    return persona;
+}
+
+export async function savePersona(identifier, name, persona) {
+    const personas = getPersonas(identifier);
+    if (!personas[name] && Object.keys(personas).length >= MAX_PERSONAS) {
+        throw new PersonaError(`A card can have at most ${MAX_PERSONAS} personas`, 409);
+    }
+
+    const saved = { ...persona, updatedAt: new Date().toISOString() };
+    await store().set(identifier, { ...personas, [name]: saved });
+    return saved;
+}
+
+/**
+ * Remove a persona; returns false when it didn't exist
+ */
+export async function deletePersona(identifier, name) {
+    const personas = getPersonas(identifier);
+    if (!personas[name]) {
+        return false;
+    }
+
+    delete personas[name];
+    if (Object.keys(personas).length) {
+        await store().set(identifier, personas);
+    } else {
+        await store().delete(identifier);
+    }
+    return true;
+}
+
+export function validatePersonaName(name) {
+    if (!PERSONA_NAME_PATTERN.test(name || '')) {
+        throw new PersonaError('persona name must be 1-32 lowercase letters, digits or dashes');
+    }
+    return name;
+}
+
+/**
+ * Validate and normalize owner-submitted persona
+ */
+export function validatePersona(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new PersonaError('persona must be an object');
+    }
+
+    const persona = {};
+
+    persona.label = optionalString(input.label, 'label', LABEL_MAX_LENGTH);
+
+    if (input.fields !== undefined) {
+        if (!Array.isArray(input.fields)) {
+            throw new PersonaError('fields must be an array');
+        }
+        const unknown = input.fields.filter(field => !HIDEABLE_FIELDS.includes(field));
+        if (unknown.length) {
+            throw new PersonaError(`fields has unknown fields: ${unknown.join(', ')} (allowed: ${HIDEABLE_FIELDS.join(', ')})`);
+        }
+        persona.fields = [...new Set(input.fields)];
+    }
+
+    persona.title = optionalString(input.title, 'title', OVERRIDE_MAX_LENGTH);
+    persona.company = optionalString(input.company, 'company', OVERRIDE_MAX_LENGTH);
+
+    // Drop unset keys so stored personas stay minimal
+    return Object.fromEntries(Object.entries(persona).filter(([, value]) => value !== undefined));
+}
+
+function optionalString(value, name, maxLength) {
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+    if (typeof value !== 'string') {
+        throw new PersonaError(`${name} must be a string`);
+    }
+    const trimmed = value.trim();
+    if (trimmed.length > maxLength) {
+        throw new PersonaError(`${name} must be at most ${maxLength} characters`);
+    }
+    return trimmed || undefined;
+}
+
+/**
+ * Profile copy as the persona presents it
+ *
+ * Without fields, the persona shows every field; title and
+ * company overrides show even when not listed in fields.
+ */
+export function applyPersona(profile, persona) {
+    const visible = persona.fields ? pickFields(profile, persona.fields) : { ...profile };
+
+    if (persona.title) visible.title = persona.title;
+    if (persona.company) visible.company = persona.company;
+
+    return visible;
+}
+
+/**
+ * Persona summaries that are safe to list publicly
+ */
+export function publicPersonas(personas) {
+    return Object.entries(personas).map(([name, persona]) => ({
+        name,
+        label: persona.label || name
+    }));
+}
@@ -0,0 +1,353 @@
+/**
+ * Print-ready card export
+ *
+ * Draws the front (name, title, company, contacts) and back
+ * (card QR) of a physical business card as SVG in points, then
+ * either serves the SVG or converts it to a vector PDF with
+ * pdfkit. Single cards get bleed and crop marks; the sheet
+ * layout imposes 10 cards (2 x 5, edge to edge) on Letter or A4
+ * with crop marks along the cut lines. Team sheets put a
+ * different card in each slot.
+ */
+
+import PDFDocument from 'pdfkit';
+import SVGtoPDF from 'svg-to-pdfkit';
+import { buildQr } from './qr.js';
+import { themeColors } from './themes.js';
+import { orderedContactFields } from './settings.js';
+import { escapeHtml } from './html.js';
+
+const POINTS_PER_INCH = 72;
+const POINTS_PER_MM = 72 / 25.4;
+
+export const PRINT_SIZES = {
+    us: { label: 'US 3.5 x 2 in', width: 3.5 * POINTS_PER_INCH, height: 2 * POINTS_PER_INCH, bleed: 0.125 * POINTS_PER_INCH, paper: 'letter' },
+    eu: { label: 'EU 85 x 55 mm', width: 85 * POINTS_PER_MM, height: 55 * POINTS_PER_MM, bleed: 3 * POINTS_PER_MM, paper: 'a4' }
+};
+
+export const PAPER_SIZES = {
+    letter: { width: 8.5 * POINTS_PER_INCH, height: 11 * POINTS_PER_INCH },
+    a4: { width: 210 * POINTS_PER_MM, height: 297 * POINTS_PER_MM }
+};
+
+export const PRINT_FORMATS = ['pdf', 'svg'];
+export const PRINT_SIDES = ['front', 'back', 'both'];
+export const PRINT_LAYOUTS = ['single', 'sheet'];
+
+const SHEET_COLUMNS = 2;
+const SHEET_ROWS = 5;
+const MARK_LENGTH = 12;
+const MARK_GAP = 3;
+const PADDING = 16;
+const FONT_FAMILY = "'DejaVu Sans', 'Helvetica Neue', Helvetica, Arial, sans-serif";
+
+/**
+ * Thrown for print options that don't combine
+ */
+export class PrintOptionsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PrintOptionsError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Parse print query options
+ *
+ * format pdf|svg, size us|eu, side front|back|both, layout
+ * single|sheet, paper letter|a4 (defaults to the size's usual
+ * paper), marks and bleed (on unless 0/false).
+ */
+export function parsePrintOptions(query = {}) {
+    const format = pick(query.format, PRINT_FORMATS, 'pdf', 'format');
+    const size = pick(query.size, Object.keys(PRINT_SIZES), 'us', 'size');
+    const side = pick(query.side, PRINT_SIDES, format === 'svg' ? 'front' : 'both', 'side');
+    const layout = pick(query.layout, PRINT_LAYOUTS, 'single', 'layout');
+    const paper = pick(query.paper, Object.keys(PAPER_SIZES), PRINT_SIZES[size].paper, 'paper');
+
+    if (format === 'svg' && side === 'both') {
+        throw new PrintOptionsError('An SVG holds one side; use side=front or side=back');
+    }
+
+    return {
+        format,
+        size,
+        side,
+        layout,
+        paper,
+        marks: !isOff(query.marks),
+        bleed: !isOff(query.bleed)
+    };
+}
+
+function pick(value, allowed, fallback, name) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const normalized = String(value).toLowerCase();
+    if (!allowed.includes(normalized)) {
+        throw new PrintOptionsError(`${name} must be one of: ${allowed.join(', ')}`);
+    }
+    return normalized;
+}
+
+function isOff(value) {
+    return ['0', 'false', 'no', 'off'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Render a card for print
+ *
+ * card is { profile, settings, identifier }; design is
+ * { theme, accent, cardUrl, fonts } where fonts optionally
+ * names TrueType files { regular, bold } for the PDF (the
+ * built-in Helvetica only covers Latin text).
+ *
+ * Returns { body, contentType, filename }.
+ */
+export async function renderPrint(card, design, options) {
+    const size = PRINT_SIZES[options.size];
+    const content = await renderSides(card, design, size);
+
+    const sides = options.side === 'both' ? ['front', 'back'] : [options.side];
+    const pages = sides.map(side => (options.layout === 'sheet'
+        ? sheetPage(Array(SHEET_COLUMNS * SHEET_ROWS).fill(content[side]), size, PAPER_SIZES[options.paper], options)
+        : singlePage(content[side], size, options)));
+
+    const basename = `${card.profile.name || 'card'}-${options.size}-${options.layout}`.replace(/[^a-zA-Z0-9.-]/g, '_');
+
+    if (options.format === 'svg') {
+        return {
+            body: pages[0],
+            contentType: 'image/svg+xml; charset=utf-8',
+            filename: `${basename}-${sides[0]}.svg`
+        };
+    }
+
+    return {
+        body: await toPdf(pages, card.profile.name, design.fonts),
+        contentType: 'application/pdf',
+        filename: `${basename}.pdf`
+    };
+}
+
+/**
+ * Render a whole team's cards as one PDF of sheets
+ *
+ * members is [{ card, design }] as for renderPrint(); each card
+ * is printed once, ten to a sheet. With side=both every sheet of
+ * fronts is followed by its backs, columns mirrored so they line
+ * up when printed duplex (flip on the long edge). fonts is as in
+ * design.fonts.
+ */
+export async function renderTeamPrint(members, { title, fonts }, options) {
+    if (options.format !== 'pdf') {
+        throw new PrintOptionsError('Team sheets are PDF only');
+    }
+    if (!members.length) {
+        throw new PrintOptionsError('There are no cards to print');
+    }
+
+    const size = PRINT_SIZES[options.size];
+    const paper = PAPER_SIZES[options.paper];
+    const perSheet = SHEET_COLUMNS * SHEET_ROWS;
+    const contents = await Promise.all(members.map(({ card, design }) => renderSides(card, design, size)));
+
+    const pages = [];
+    for (let start = 0; start < contents.length; start += perSheet) {
+        const batch = contents.slice(start, start + perSheet);
+        if (options.side !== 'back') {
+            pages.push(sheetPage(batch.map(content => content.front), size, paper, options));
+        }
+        if (options.side !== 'front') {
+            pages.push(sheetPage(batch.map(content => content.back), size, paper, options, { mirror: true }));
+        }
+    }
+
+    return {
+        body: await toPdf(pages, title, fonts),
+        contentType: 'application/pdf',
+        filename: `${title || 'team'}-${options.size}-sheets.pdf`.replace(/[^a-zA-Z0-9.-]/g, '_')
+    };
+}
+
+/**
+ * Front and back artwork of one card
+ */
+async function renderSides(card, design, size) {
+    const colors = themeColors(design.theme, design.accent);
+    const qr = await buildQr(design.cardUrl, {
+        format: 'svg',
+        size: 300,
+        margin: 0,
+        fg: colors.qrFg,
+        bg: colors.background
+    });
+
+    return {
+        front: renderFront(card, size, colors),
+        back: renderBack(size, colors, qr.body, design.cardUrl)
+    };
+}
+
+/**
+ * Front side in trim coordinates; the background runs out
+ * into the bleed.
+ */
+function renderFront({ profile, settings }, size, colors) {
+    const { width, height, bleed } = size;
+    const contacts = orderedContactFields(settings)
+        .map(field => profile[field] && String(profile[field]).replace(/^https?:\/\//, ''))
+        .filter(Boolean);
+
+    const lines = [
+        `<text x="${PADDING + 4}" y="${PADDING + 14}" font-size="14" font-weight="bold">${escapeHtml(truncate(profile.name || 'Anonymous', 26))}</text>`
+    ];
+    if (profile.title) {
+        lines.push(`<text x="${PADDING + 4}" y="${PADDING + 28}" font-size="8">${escapeHtml(truncate(profile.title, 48))}</text>`);
+    }
+    if (profile.company) {
+        lines.push(`<text x="${PADDING + 4}" y="${PADDING + 39}" font-size="8" fill-opacity="0.7">${escapeHtml(truncate(profile.company, 48))}</text>`);
+    }
+    contacts.forEach((value, index) => {
+        const y = height - PADDING - (contacts.length - 1 - index) * 10;
+        lines.push(`<text x="${PADDING + 4}" y="${y}" font-size="7">${escapeHtml(truncate(value, 56))}</text>`);
+    });
+
+    return `<rect x="${-bleed}" y="${-bleed}" width="${width + 2 * bleed}" height="${height + 2 * bleed}" fill="${colors.background}"/>`
+        + `<rect x="${-bleed}" y="${-bleed}" width="${bleed + 6}" height="${height + 2 * bleed}" fill="${colors.accent}"/>`
+        + `<g font-family="${FONT_FAMILY}" fill="${colors.text}">${lines.join('')}</g>`;
+}
+
+/**
+ * Back side: the card QR with the card URL under it
+ */
+function renderBack(size, colors, qrSvg, cardUrl) {
+    const { width, height, bleed } = size;
+    const qrSize = height - 2 * PADDING - 12;
+    const qr = qrSvg.replace(/^[\s\S]*?<svg[^>]*?(viewBox="[^"]*")[^>]*>/,
+        `<svg x="${(width - qrSize) / 2}" y="${PADDING}" width="${qrSize}" height="${qrSize}" $1 shape-rendering="crispEdges">`);
+
+    return `<rect x="${-bleed}" y="${-bleed}" width="${width + 2 * bleed}" height="${height + 2 * bleed}" fill="${colors.background}"/>`
+        + qr
+        + `<text x="${width / 2}" y="${height - PADDING + 4}" font-family="${FONT_FAMILY}" font-size="6" text-anchor="middle" fill="${colors.text}">${escapeHtml(truncate(cardUrl.replace(/^https?:\/\//, ''), 70))}</text>`;
+}
+
+/**
+ * One card centered on a page sized to its bleed and marks
+ */
+function singlePage(content, size, options) {
+    const bleed = options.bleed ? size.bleed : 0;
+    const margin = bleed + (options.marks ? MARK_GAP + MARK_LENGTH : 0);
+    const pageWidth = size.width + 2 * margin;
+    const pageHeight = size.height + 2 * margin;
+
+    // Without bleed the background must stop at the trim line
+    const clip = bleed ? '' : ` clip-path="url(#trim)"`;
+    const body = `<defs><clipPath id="trim"><rect width="${size.width}" height="${size.height}"/></clipPath></defs>`
+        + `<g transform="translate(${margin} ${margin})"${clip}>${content}</g>`
+        + (options.marks ? cropMarks([margin, margin + size.width], [margin, margin + size.height], margin, bleed + MARK_GAP, pageWidth, pageHeight) : '');
+
+    return svgDocument(pageWidth, pageHeight, body);
+}
+
+/**
+ * Up to ten cards edge to edge on a sheet of paper
+ *
+ * contents fill the grid row by row; mirror fills each row
+ * right to left, for the backs of a duplex sheet.
+ */
+function sheetPage(contents, size, paper, options, { mirror = false } = {}) {
+    const gridWidth = SHEET_COLUMNS * size.width;
+    const gridHeight = SHEET_ROWS * size.height;
+    const left = (paper.width - gridWidth) / 2;
+    const top = (paper.height - gridHeight) / 2;
+
+    const cards = contents.map((content, index) => {
+        const row = Math.floor(index / SHEET_COLUMNS);
+        const col = mirror ? SHEET_COLUMNS - 1 - (index % SHEET_COLUMNS) : index % SHEET_COLUMNS;
+        return `<g transform="translate(${left + col * size.width} ${top + row * size.height})" clip-path="url(#trim)">${content}</g>`;
+    });
+
+    const xs = Array.from({ length: SHEET_COLUMNS + 1 }, (_, col) => left + col * size.width);
+    const ys = Array.from({ length: SHEET_ROWS + 1 }, (_, row) => top + row * size.height);
+    const body = `<defs><clipPath id="trim"><rect width="${size.width}" height="${size.height}"/></clipPath></defs>`
+        + cards.join('')
+        + (options.marks ? cropMarks(xs, ys, Math.min(left, top), MARK_GAP, paper.width, paper.height) : '');
+
+    return svgDocument(paper.width, paper.height, body);
+}
+
+/**
+ * Crop marks outside the trim area on every cut line
+ *
+ * xs / ys are the vertical / horizontal cut lines; marks run
+ * from gap outside the outermost cut to the page margin.
+ */
+function cropMarks(xs, ys, margin, gap, pageWidth, pageHeight) {
+    const length = Math.min(MARK_LENGTH, margin - gap);
+    const first = { x: xs[0], y: ys[0] };
+    const last = { x: xs[xs.length - 1], y: ys[ys.length - 1] };
+    const lines = [];
+
+    for (const x of xs) {
+        lines.push([x, first.y - gap - length, x, first.y - gap]);
+        lines.push([x, last.y + gap, x, last.y + gap + length]);
+    }
+    for (const y of ys) {
+        lines.push([first.x - gap - length, y, first.x - gap, y]);
+        lines.push([last.x + gap, y, last.x + gap + length, y]);
+    }
+
+    return `<g stroke="#000000" stroke-width="0.25">`
+        + lines
+            .filter(([x1, y1, x2, y2]) => Math.min(x1, y1, x2, y2) >= 0 && Math.max(x1, x2) <= pageWidth && Math.max(y1, y2) <= pageHeight)
+            .map(([x1, y1, x2, y2]) => `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"/>`)
+            .join('')
+        + '</g>';
+}
+
+function svgDocument(width, height, body) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}pt" height="${height}pt" viewBox="0 0 ${width} ${height}">${body}</svg>`;
+}
+
+/**
+ * Vector PDF with one page per SVG
+ */
+function toPdf(pages, title, fonts = {}) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            autoFirstPage: false,
+            info: { Title: `${title || 'Business card'} - BizBuz`, Creator: 'BizBuz' }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        try {
+            if (fonts.regular) doc.registerFont('print', fonts.regular);
+            if (fonts.bold) doc.registerFont('print-bold', fonts.bold);
+
+            const fontCallback = (family, bold) => {
+                if (bold) return fonts.bold ? 'print-bold' : fonts.regular ? 'print' : 'Helvetica-Bold';
+                return fonts.regular ? 'print' : 'Helvetica';
+            };
+
+            for (const svg of pages) {
+                const [, width, height] = /viewBox="0 0 ([\d.]+) ([\d.]+)"/.exec(svg).map(Number);
+                doc.addPage({ size: [width, height], margin: 0 });
+                SVGtoPDF(doc, svg, 0, 0, { width, height, fontCallback, assumePt: true });
+            }
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+function truncate(value, max) {
+    const chars = Array.from(String(value).trim());
+    return chars.length > max ? `${chars.slice(0, max - 1).join('').trimEnd()}…` : chars.join('');
+}
@@ -0,0 +1,272 @@
+/**
+ * Prof client
+ *
+ * Wraps profile lookups against the Prof service with:
+ * - a per-request timeout
+ * - bounded retries with exponential backoff for transient
+ *   failures (network errors, timeouts, 429, 502-504)
+ * - a circuit breaker that stops calling Prof after repeated
+ *   failures and lets one trial request through after a cooldown
+ *
+ * Failures surface as typed errors carrying the HTTP status the
+ * caller should respond with.
+ */
+
+const TRANSIENT_STATUSES = [429, 502, 503, 504];
+const MAX_RETRY_AFTER_MS = 5000;
+
+/**
+ * Prof has no profile for the identifier (404)
+ */
+export class ProfNotFoundError extends Error {
+    constructor() {
+        super('Profile not found');
+        this.name = 'ProfNotFoundError';
+        this.status = 404;
+    }
+}
+
+/**
+ * Prof answered, but with an error or garbage (502)
+ */
+export class ProfUpstreamError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProfUpstreamError';
+        this.status = 502;
+    }
+}
+
+/**
+ * Prof can't be reached, timed out, is rate limiting us, or
+ * the circuit is open (503)
+ */
+export class ProfUnavailableError extends Error {
+    constructor(message, retryAfter = null) {
+        super(message);
+        this.name = 'ProfUnavailableError';
+        this.status = 503;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Create a client for the Prof service at baseUrl
+ *
+ * lookupPath and extract can be overridden to talk to another
+ * Planet Nine service with the same request semantics (Fount).
+ */
+export function createProfClient({
+    baseUrl,
+    lookupPath = profLookupPath,
+    extract = data => data.profile || data,
+    timeout = 3000,
+    retries = 2,
+    backoff = 200,
+    failureThreshold = 5,
+    cooldown = 30 * 1000
+}) {
+    const breaker = {
+        state: 'closed',
+        consecutiveFailures: 0,
+        openedAt: null,
+        probing: false,
+        lastError: null,
+        lastSuccessAt: null,
+        lastFailureAt: null
+    };
+
+    function retryAfterSeconds() {
+        return Math.max(1, Math.ceil((breaker.openedAt + cooldown - Date.now()) / 1000));
+    }
+
+    /**
+     * Throws while the circuit is open. Once the cooldown is over
+     * one request becomes the half-open trial (returns true); the
+     * rest keep failing until it settles.
+     */
+    function checkBreaker() {
+        if (breaker.state === 'open' && Date.now() - breaker.openedAt >= cooldown) {
+            breaker.state = 'half-open';
+        }
+        if (breaker.state === 'closed') {
+            return false;
+        }
+        if (breaker.state === 'half-open' && !breaker.probing) {
+            breaker.probing = true;
+            return true;
+        }
+        throw new ProfUnavailableError('Profile service is temporarily unavailable', retryAfterSeconds());
+    }
+
+    function recordSuccess() {
+        breaker.state = 'closed';
+        breaker.consecutiveFailures = 0;
+        breaker.lastSuccessAt = new Date();
+    }
+
+    function recordFailure(error) {
+        breaker.consecutiveFailures++;
+        breaker.lastError = error.message;
+        breaker.lastFailureAt = new Date();
+
+        if (breaker.state === 'half-open' || breaker.consecutiveFailures >= failureThreshold) {
+            if (breaker.state !== 'open') {
+                console.error(`Prof circuit opened after ${breaker.consecutiveFailures} failures`);
+            }
+            breaker.state = 'open';
+            breaker.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * One attempt: resolves to the parsed JSON body, throws a
+     * typed error otherwise. error.transient marks retryable ones.
+     */
+    async function attempt(path) {
+        let response;
+        try {
+            response = await fetch(`${baseUrl}${path}`, {
+                headers: { Accept: 'application/json' },
+                signal: AbortSignal.timeout(timeout)
+            });
+        } catch (error) {
+            const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+            const wrapped = new ProfUnavailableError(timedOut
+                ? `Profile service timed out after ${timeout}ms`
+                : 'Profile service is unreachable');
+            wrapped.transient = true;
+            wrapped.cause = error;
+            throw wrapped;
+        }
+
+        if (response.status === 404) {
+            throw new ProfNotFoundError();
+        }
+
+        if (!response.ok) {
+            const error = response.status === 429 || response.status === 503
+                ? new ProfUnavailableError('Profile service is temporarily unavailable', parseRetryAfter(response))
+                : new ProfUpstreamError(`Profile service responded with ${response.status}`);
+            error.transient = TRANSIENT_STATUSES.includes(response.status);
+            throw error;
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new ProfUpstreamError('Profile service sent an invalid response');
+        }
+    }
+
+    async function request(path) {
+        const probe = checkBreaker();
+
+        try {
+            for (let tryNumber = 0; ; tryNumber++) {
+                try {
+                    const data = await attempt(path);
+                    recordSuccess();
+                    return data;
+                } catch (error) {
+                    if (error instanceof ProfNotFoundError) {
+                        // A clean 404 means Prof is healthy
+                        recordSuccess();
+                        throw error;
+                    }
+
+                    if (!error.transient || tryNumber >= retries || breaker.state === 'half-open') {
+                        recordFailure(error);
+                        throw error;
+                    }
+
+                    await sleep(retryDelay(tryNumber, error));
+                }
+            }
+        } finally {
+            if (probe) {
+                breaker.probing = false;
+            }
+        }
+    }
+
+    function retryDelay(tryNumber, error) {
+        if (error.retryAfter) {
+            return Math.min(error.retryAfter * 1000, MAX_RETRY_AFTER_MS);
+        }
+        const base = backoff * 2 ** tryNumber;
+        return base + Math.random() * base;
+    }
+
+    return {
+        /**
+         * Look up a profile by parsed identifier
+         *
+         * pubKey and emojicode identifiers are mapped to the
+         * owning profile by Prof. Throws ProfNotFoundError,
+         * ProfUpstreamError or ProfUnavailableError.
+         */
+        async getProfile(parsed) {
+            const data = await request(lookupPath(parsed));
+            const profile = extract(data);
+            return {
+                ...profile,
+                uuid: profile.uuid || data.uuid,
+                pubKey: profile.pubKey || data.pubKey
+            };
+        },
+
+        /**
+         * Probe Prof and report breaker state
+         *
+         * Any HTTP response counts as reachable; the probe does
+         * not count toward the breaker.
+         */
+        async health() {
+            const started = Date.now();
+            let reachable = false;
+            let error = null;
+
+            try {
+                await fetch(`${baseUrl}/`, { signal: AbortSignal.timeout(timeout) });
+                reachable = true;
+            } catch (probeError) {
+                error = probeError.name === 'TimeoutError'
+                    ? `timed out after ${timeout}ms`
+                    : probeError.message;
+            }
+
+            return {
+                url: baseUrl,
+                reachable,
+                latencyMs: reachable ? Date.now() - started : null,
+                error,
+                circuit: breaker.state,
+                consecutiveFailures: breaker.consecutiveFailures,
+                lastError: breaker.lastError,
+                lastSuccessAt: breaker.lastSuccessAt,
+                lastFailureAt: breaker.lastFailureAt
+            };
+        }
+    };
+}
+
+function profLookupPath(parsed) {
+    switch (parsed.type) {
+        case 'pubKey':
+            return `/profile/pubKey/${parsed.value}`;
+        case 'emojicode':
+            return `/profile/emojicode/${encodeURIComponent(parsed.value)}`;
+        default:
+            return `/profile/${encodeURIComponent(parsed.value)}`;
+    }
+}
+
+function parseRetryAfter(response) {
+    const seconds = Number(response.headers.get('Retry-After'));
+    return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
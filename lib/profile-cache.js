@@ -0,0 +1,130 @@
+/**
+ * In-process profile cache
+ *
+ * Sits in front of the profile lookup so card, vCard, QR and
+ * API requests don't each hit Prof:
+ * - fresh entries (younger than ttl) are served directly
+ * - stale entries (up to ttl + staleTtl) are served while a
+ *   background refresh runs
+ * - if the lookup fails, any entry younger than maxStale is
+ *   served instead of an error
+ * - concurrent lookups of the same key share one request
+ * - "not found" results are remembered for negativeTtl
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Create a cache around load(parsed) -> profile | null
+ */
+export function createProfileCache({
+    load,
+    ttl = 60 * 1000,
+    staleTtl = 10 * 60 * 1000,
+    maxStale = 24 * 60 * 60 * 1000,
+    negativeTtl = 30 * 1000,
+    maxEntries = 1000
+}) {
+    // key -> { profile, etag, lastModified, fetchedAt }
+    const entries = new Map();
+    // key -> Promise of entry
+    const inflight = new Map();
+
+    function keyFor(parsed) {
+        return `${parsed.type}:${parsed.value}`;
+    }
+
+    function store(key, profile) {
+        const previous = entries.get(key);
+        const etag = profile ? versionOf(profile) : null;
+        const now = Date.now();
+
+        const entry = {
+            profile,
+            etag,
+            // Only move Last-Modified when the content actually changed
+            lastModified: previous && previous.etag === etag ? previous.lastModified : new Date(now),
+            fetchedAt: now
+        };
+
+        entries.delete(key);
+        entries.set(key, entry);
+        if (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+
+        return entry;
+    }
+
+    function refresh(key, parsed) {
+        if (!inflight.has(key)) {
+            const request = Promise.resolve()
+                .then(() => load(parsed))
+                .then(profile => store(key, profile))
+                .finally(() => inflight.delete(key));
+            inflight.set(key, request);
+        }
+        return inflight.get(key);
+    }
+
+    return {
+        /**
+         * Cached entry for a parsed identifier
+         *
+         * Resolves to { profile, etag, lastModified } where
+         * profile is null when no profile owns the identifier.
+         */
+        async get(parsed) {
+            const key = keyFor(parsed);
+            const entry = entries.get(key);
+            const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+            const freshFor = entry && !entry.profile ? negativeTtl : ttl;
+
+            if (entry && age < freshFor) {
+                return entry;
+            }
+
+            if (entry && entry.profile && age < ttl + staleTtl) {
+                refresh(key, parsed).catch(error =>
+                    console.error(`Background refresh failed for ${key}:`, error.message));
+                return entry;
+            }
+
+            try {
+                return await refresh(key, parsed);
+            } catch (error) {
+                if (entry && entry.profile && age < maxStale) {
+                    console.error(`Serving stale profile for ${key}:`, error.message);
+                    return entry;
+                }
+                throw error;
+            }
+        },
+
+        /**
+         * Drop every cached lookup that resolved to a profile
+         * matching the predicate (e.g. same uuid or pubKey)
+         */
+        purge(matches) {
+            let purged = 0;
+            for (const [key, entry] of entries) {
+                if (entry.profile && matches(entry.profile)) {
+                    entries.delete(key);
+                    purged++;
+                }
+            }
+            return purged;
+        },
+
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+/**
+ * Stable content hash of a profile, used as its version
+ */
+export function versionOf(value) {
+    return createHash('sha1').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
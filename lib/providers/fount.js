@@ -0,0 +1,59 @@
+/**
+ * Fount profile provider
+ *
+ * Reads the profile stored on a Fount user record. Fount speaks
+ * the same HTTP semantics as Prof, so this reuses the Prof
+ * client with Fount's lookup paths.
+ */
+
+import { createProfClient, ProfNotFoundError } from '../prof-client.js';
+import { normalizeProfile } from './normalize.js';
+
+function fountLookupPath(parsed) {
+    switch (parsed.type) {
+        case 'pubKey':
+            return `/user/pubKey/${parsed.value}`;
+        case 'emojicode':
+            return `/user/emojicode/${encodeURIComponent(parsed.value)}`;
+        default:
+            return `/user/${encodeURIComponent(parsed.value)}`;
+    }
+}
+
+function extractFountProfile(data) {
+    const user = data.user || data;
+    return {
+        ...(user.profile || user),
+        uuid: user.uuid,
+        pubKey: user.pubKey
+    };
+}
+
+export function createFountProvider({ baseUrl, timeout, retries }) {
+    const client = createProfClient({
+        baseUrl,
+        timeout,
+        retries,
+        lookupPath: fountLookupPath,
+        extract: extractFountProfile
+    });
+
+    return {
+        name: 'fount',
+
+        async getProfile(parsed) {
+            try {
+                return normalizeProfile(await client.getProfile(parsed));
+            } catch (error) {
+                if (error instanceof ProfNotFoundError) {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        health() {
+            return client.health();
+        }
+    };
+}
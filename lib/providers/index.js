@@ -0,0 +1,35 @@
+/**
+ * Profile providers
+ *
+ * Every provider exposes:
+ * - name
+ * - getProfile(parsed) -> normalized profile, or null if none
+ * - health() -> status object for /health
+ *
+ * and may throw errors carrying an HTTP status when its
+ * upstream fails. PROFILE_PROVIDER picks one of PROVIDERS.
+ */
+
+import { createProfProvider } from './prof.js';
+import { createFountProvider } from './fount.js';
+import { createLocalProvider } from './local.js';
+
+export const PROVIDERS = ['prof', 'fount', 'local'];
+
+export { normalizeProfile } from './normalize.js';
+
+/**
+ * Create the provider named by config.provider
+ */
+export function createProfileProvider(config) {
+    switch (config.provider) {
+        case 'prof':
+            return createProfProvider({ baseUrl: config.profBaseUrl, timeout: config.timeout, retries: config.retries });
+        case 'fount':
+            return createFountProvider({ baseUrl: config.fountBaseUrl, timeout: config.timeout, retries: config.retries });
+        case 'local':
+            return createLocalProvider({ directory: config.profilesDir });
+        default:
+            throw new Error(`Unknown PROFILE_PROVIDER "${config.provider}" (expected one of: ${PROVIDERS.join(', ')})`);
+    }
+}
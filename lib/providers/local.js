@@ -0,0 +1,101 @@
+/**
+ * Local directory profile provider
+ *
+ * Serves profiles from a directory of .json, .yaml or .yml
+ * files, one profile per file, for local development, demos
+ * and self-hosting without the Planet Nine stack.
+ *
+ * A profile is found by its uuid, pubKey or emojicode field;
+ * a file named demo.json (or .yaml) replaces the demo card.
+ * Files are re-read when they change on disk.
+ */
+
+import { readdir, readFile, stat } from 'fs/promises';
+import { join, extname, basename } from 'path';
+import YAML from 'yaml';
+import { parseIdentifier } from '../identifier.js';
+import { normalizeProfile } from './normalize.js';
+
+const EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+export function createLocalProvider({ directory }) {
+    // file path -> { mtimeMs, profile }
+    const files = new Map();
+
+    async function loadAll() {
+        const names = (await readdir(directory))
+            .filter(name => EXTENSIONS.includes(extname(name).toLowerCase()));
+        const seen = new Set();
+        const profiles = [];
+
+        for (const name of names) {
+            const path = join(directory, name);
+            seen.add(path);
+
+            const { mtimeMs } = await stat(path);
+            let entry = files.get(path);
+
+            if (!entry || entry.mtimeMs !== mtimeMs) {
+                entry = { mtimeMs, profile: await readProfile(path) };
+                files.set(path, entry);
+            }
+
+            if (entry.profile) {
+                profiles.push({ file: basename(name, extname(name)).toLowerCase(), profile: entry.profile });
+            }
+        }
+
+        for (const path of files.keys()) {
+            if (!seen.has(path)) files.delete(path);
+        }
+
+        return profiles;
+    }
+
+    return {
+        name: 'local',
+
+        async getProfile(parsed) {
+            const profiles = await loadAll();
+            const match = profiles.find(({ file, profile }) => matches(parsed, file, profile));
+            return match ? match.profile : null;
+        },
+
+        async health() {
+            try {
+                const profiles = await loadAll();
+                return { directory, reachable: true, profiles: profiles.length, error: null };
+            } catch (error) {
+                return { directory, reachable: false, profiles: 0, error: error.message };
+            }
+        }
+    };
+}
+
+async function readProfile(path) {
+    try {
+        const text = await readFile(path, 'utf-8');
+        const data = extname(path).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+        return normalizeProfile(data && data.profile ? { ...data.profile, uuid: data.uuid, pubKey: data.pubKey } : data);
+    } catch (error) {
+        console.error(`Could not load profile ${path}:`, error.message);
+        return null;
+    }
+}
+
+function matches(parsed, file, profile) {
+    if (parsed.type === 'demo') {
+        return file === 'demo';
+    }
+
+    const field = parsed.type === 'uuid' ? profile.uuid : profile[parsed.type];
+    if (!field) {
+        return false;
+    }
+
+    try {
+        return parseIdentifier(field).value === parsed.value;
+    } catch (error) {
+        return false;
+    }
+}
@@ -0,0 +1,77 @@
+/**
+ * Profile normalization
+ *
+ * Profile sources name things differently (jobTitle vs title,
+ * top-level twitter vs social.twitter, ...). Every provider runs
+ * its raw records through normalizeProfile() so the renderers
+ * always see the same shape:
+ *
+ *   { uuid, pubKey, emojicode, name, title, company, email,
+ *     phone, website, location, bio, photo, social: {...}, links }
+ *
+ * Unrecognized fields are passed through untouched; links are
+ * read by profileLinks() (links.js).
+ */
+
+import { SOCIAL_PLATFORMS } from '../links.js';
+
+const FIELD_ALIASES = {
+    name: ['name', 'fullName', 'displayName'],
+    title: ['title', 'jobTitle', 'role', 'position'],
+    company: ['company', 'organization', 'org', 'employer'],
+    email: ['email', 'emailAddress', 'mail'],
+    phone: ['phone', 'phoneNumber', 'tel', 'mobile'],
+    website: ['website', 'url', 'homepage', 'web'],
+    location: ['location', 'city', 'place'],
+    bio: ['bio', 'description', 'about', 'summary'],
+    photo: ['photo', 'avatar', 'image', 'photoUrl', 'picture']
+};
+
+/**
+ * Map a raw profile record onto the standard profile shape
+ */
+export function normalizeProfile(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return null;
+    }
+
+    const profile = { ...raw };
+
+    for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+        const value = aliases.map(alias => raw[alias]).find(isPresent);
+        for (const alias of aliases) {
+            delete profile[alias];
+        }
+        if (isPresent(value)) {
+            profile[field] = typeof value === 'string' ? value.trim() : value;
+        }
+    }
+
+    if (!profile.name && (raw.firstName || raw.lastName)) {
+        profile.name = [raw.firstName, raw.lastName].filter(Boolean).join(' ');
+    }
+
+    // Social handles may be top-level (README shape) or nested
+    const social = { ...(isObject(raw.social) ? raw.social : {}) };
+    for (const network of SOCIAL_PLATFORMS) {
+        if (isPresent(raw[network]) && !social[network]) {
+            social[network] = raw[network];
+        }
+        delete profile[network];
+    }
+    if (Object.keys(social).length) {
+        profile.social = social;
+    } else {
+        delete profile.social;
+    }
+
+    return profile;
+}
+
+function isPresent(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+function isObject(value) {
+    return value && typeof value === 'object' && !Array.isArray(value);
+}
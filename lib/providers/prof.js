@@ -0,0 +1,32 @@
+/**
+ * Prof profile provider
+ *
+ * The default source: profiles live in the Planet Nine Prof
+ * service and are fetched through the resilient Prof client.
+ */
+
+import { createProfClient, ProfNotFoundError } from '../prof-client.js';
+import { normalizeProfile } from './normalize.js';
+
+export function createProfProvider({ baseUrl, timeout, retries }) {
+    const client = createProfClient({ baseUrl, timeout, retries });
+
+    return {
+        name: 'prof',
+
+        async getProfile(parsed) {
+            try {
+                return normalizeProfile(await client.getProfile(parsed));
+            } catch (error) {
+                if (error instanceof ProfNotFoundError) {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        health() {
+            return client.health();
+        }
+    };
+}
@@ -0,0 +1,87 @@
+/**
+ * Installable web app
+ *
+ * Web app manifests for the landing page and for each card, so
+ * either can be added to the home screen, and the app icon
+ * rendered from public/icon.svg. The offline side is the service
+ * worker in public/sw.js.
+ */
+
+import sharp from 'sharp';
+import { promises as fs } from 'fs';
+import { DEFAULT_ACCENT } from './settings.js';
+
+export const APP_ICON_SIZES = [192, 512];
+export const MANIFEST_CONTENT_TYPE = 'application/manifest+json';
+
+const BACKGROUND_COLOR = '#0a0a0f';
+const SHORT_NAME_LENGTH = 12;
+
+// size -> PNG buffer
+const iconCache = new Map();
+
+function icons() {
+    return APP_ICON_SIZES.map(size => ({
+        src: `/icon-${size}.png`,
+        sizes: `${size}x${size}`,
+        type: 'image/png',
+        purpose: 'any maskable'
+    }));
+}
+
+/**
+ * Manifest for the landing page app
+ */
+export function siteManifest() {
+    return {
+        id: '/',
+        name: 'BizBuz - Digital Business Cards',
+        short_name: 'BizBuz',
+        description: 'Privacy-first digital business cards',
+        start_url: '/',
+        scope: '/',
+        display: 'standalone',
+        background_color: BACKGROUND_COLOR,
+        theme_color: DEFAULT_ACCENT,
+        icons: icons()
+    };
+}
+
+/**
+ * Manifest that installs one card as its own app
+ *
+ * cardPath is the card's path (/card/:identifier/:persona?);
+ * the "Present my QR" shortcut opens it in present mode.
+ */
+export function cardManifest(profile, { cardPath, accent }) {
+    const name = profile.name || 'My card';
+    return {
+        id: cardPath,
+        name: `${name} - BizBuz`,
+        short_name: name.length > SHORT_NAME_LENGTH ? name.split(/\s+/)[0].slice(0, SHORT_NAME_LENGTH) : name,
+        description: [profile.title, profile.company].filter(Boolean).join(' at ') || 'Digital business card',
+        start_url: cardPath,
+        scope: '/',
+        display: 'standalone',
+        background_color: BACKGROUND_COLOR,
+        theme_color: accent || DEFAULT_ACCENT,
+        icons: icons(),
+        shortcuts: [
+            { name: 'Present my QR', short_name: 'Present', url: `${cardPath}#present`, icons: icons().slice(0, 1) }
+        ]
+    };
+}
+
+/**
+ * The app icon as a size x size PNG (null for other sizes)
+ */
+export async function renderAppIcon(svgPath, size) {
+    if (!APP_ICON_SIZES.includes(size)) {
+        return null;
+    }
+    if (!iconCache.has(size)) {
+        const svg = await fs.readFile(svgPath);
+        iconCache.set(size, await sharp(svg, { density: 72 * size / 512 }).resize(size, size).png().toBuffer());
+    }
+    return iconCache.get(size);
+}
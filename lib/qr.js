@@ -0,0 +1,273 @@
+/**
+ * QR code builder
+ *
+ * One place to turn a payload plus display options into a PNG,
+ * SVG or terminal (utf8) QR code. Both /qr/:identifier and the
+ * card page go through buildQr() so they stay consistent.
+ */
+
+import QRCode from 'qrcode';
+import sharp from 'sharp';
+import { createHash } from 'crypto';
+
+export const QR_FORMATS = ['png', 'svg', 'utf8'];
+export const QR_ERROR_LEVELS = ['L', 'M', 'Q', 'H'];
+export const QR_LOGOS = ['initials'];
+
+export const QR_DEFAULTS = {
+    format: 'png',
+    size: 300,
+    margin: 2,
+    fg: '#10b981',  // Planet Nine green
+    bg: '#0a001a',  // Dark background
+    ecl: 'M',
+    logo: null
+};
+
+const MIN_SIZE = 64;
+const MAX_SIZE = 2048;
+const MAX_MARGIN = 16;
+const MIN_CONTRAST = 3;
+const LOGO_SCALE = 0.24;
+const CACHE_LIMIT = 256;
+
+const CONTENT_TYPES = {
+    png: 'image/png',
+    svg: 'image/svg+xml',
+    utf8: 'text/plain; charset=utf-8'
+};
+
+// cache key -> built QR, oldest first
+const cache = new Map();
+
+/**
+ * Thrown for QR options that are out of range or unreadable
+ */
+export class QrOptionsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QrOptionsError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Parse QR options from a query string object
+ *
+ * Supported: format, size, margin, fg, bg, ecl, logo. Colors
+ * may be given with or without the leading '#'.
+ */
+export function parseQrOptions(query = {}, defaults = QR_DEFAULTS) {
+    const options = { ...QR_DEFAULTS, ...defaults };
+
+    if (query.format !== undefined) {
+        options.format = String(query.format).toLowerCase();
+        if (!QR_FORMATS.includes(options.format)) {
+            throw new QrOptionsError(`format must be one of: ${QR_FORMATS.join(', ')}`);
+        }
+    }
+
+    if (query.size !== undefined) {
+        options.size = parseInteger(query.size, 'size', MIN_SIZE, MAX_SIZE);
+    }
+
+    if (query.margin !== undefined) {
+        options.margin = parseInteger(query.margin, 'margin', 0, MAX_MARGIN);
+    }
+
+    if (query.fg !== undefined) {
+        options.fg = parseColor(query.fg, 'fg');
+    }
+
+    if (query.bg !== undefined) {
+        options.bg = parseColor(query.bg, 'bg');
+    }
+
+    if (query.ecl !== undefined) {
+        options.ecl = String(query.ecl).toUpperCase();
+        if (!QR_ERROR_LEVELS.includes(options.ecl)) {
+            throw new QrOptionsError(`ecl must be one of: ${QR_ERROR_LEVELS.join(', ')}`);
+        }
+    }
+
+    if (query.logo !== undefined && query.logo !== '' && query.logo !== 'none') {
+        options.logo = String(query.logo).toLowerCase();
+        if (!QR_LOGOS.includes(options.logo)) {
+            throw new QrOptionsError(`logo must be one of: none, ${QR_LOGOS.join(', ')}`);
+        }
+    }
+
+    const ratio = contrastRatio(options.fg, options.bg);
+    if (ratio < MIN_CONTRAST) {
+        throw new QrOptionsError(
+            `fg/bg contrast is ${ratio.toFixed(2)}:1, at least ${MIN_CONTRAST}:1 is needed for reliable scanning`
+        );
+    }
+
+    return options;
+}
+
+function parseInteger(value, name, min, max) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new QrOptionsError(`${name} must be an integer between ${min} and ${max}`);
+    }
+    return number;
+}
+
+function parseColor(value, name) {
+    const hex = String(value).trim().replace(/^#/, '').toLowerCase();
+    if (/^[0-9a-f]{3}$/.test(hex)) {
+        return '#' + hex.split('').map(c => c + c).join('');
+    }
+    if (/^[0-9a-f]{6}$/.test(hex)) {
+        return '#' + hex;
+    }
+    throw new QrOptionsError(`${name} must be a hex color like 10b981`);
+}
+
+/**
+ * WCAG contrast ratio between two #rrggbb colors
+ */
+export function contrastRatio(a, b) {
+    const [lighter, darker] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+function relativeLuminance(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => {
+        const channel = parseInt(hex.slice(i, i + 2), 16) / 255;
+        return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Build a QR code
+ *
+ * options are as returned by parseQrOptions(), except logo is
+ * either null or a resolved overlay: { text } for initials or
+ * { image, mime } for an image buffer. Any logo forces error
+ * correction level H so the covered modules can be recovered.
+ *
+ * Returns { body, contentType, etag }.
+ */
+export async function buildQr(text, options = QR_DEFAULTS) {
+    const opts = { ...QR_DEFAULTS, ...options };
+    if (opts.logo) {
+        opts.ecl = 'H';
+    }
+
+    const key = cacheKey(text, opts);
+    if (cache.has(key)) {
+        const hit = cache.get(key);
+        cache.delete(key);
+        cache.set(key, hit);
+        return hit;
+    }
+
+    const body = await render(text, opts);
+    const result = {
+        body,
+        contentType: CONTENT_TYPES[opts.format],
+        etag: `"${createHash('sha1').update(key).digest('hex')}"`
+    };
+
+    cache.set(key, result);
+    if (cache.size > CACHE_LIMIT) {
+        cache.delete(cache.keys().next().value);
+    }
+
+    return result;
+}
+
+/**
+ * QR version (1-40) needed to encode text, or null if it won't fit
+ */
+export function qrVersionFor(text, ecl = QR_DEFAULTS.ecl) {
+    try {
+        return QRCode.create(text, { errorCorrectionLevel: ecl }).version;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * data: URL for embedding a built QR in HTML
+ */
+export function qrDataUrl(result) {
+    const body = Buffer.isBuffer(result.body) ? result.body : Buffer.from(result.body);
+    return `data:${result.contentType.split(';')[0]};base64,${body.toString('base64')}`;
+}
+
+function cacheKey(text, opts) {
+    const logo = opts.logo && (opts.logo.text
+        ? { text: opts.logo.text }
+        : { image: createHash('sha1').update(opts.logo.image).digest('hex') });
+    return JSON.stringify([text, opts.format, opts.size, opts.margin, opts.fg, opts.bg, opts.ecl, logo]);
+}
+
+async function render(text, opts) {
+    const qrOptions = {
+        width: opts.size,
+        margin: opts.margin,
+        errorCorrectionLevel: opts.ecl,
+        color: {
+            dark: opts.fg,
+            light: opts.bg
+        }
+    };
+
+    if (opts.format === 'utf8') {
+        return QRCode.toString(text, { type: 'utf8', margin: opts.margin, errorCorrectionLevel: opts.ecl });
+    }
+
+    if (opts.format === 'png' && !opts.logo) {
+        return QRCode.toBuffer(text, { ...qrOptions, type: 'png' });
+    }
+
+    let svg = await QRCode.toString(text, { ...qrOptions, type: 'svg' });
+    if (opts.logo) {
+        svg = addLogo(svg, opts);
+    }
+
+    if (opts.format === 'svg') {
+        return svg;
+    }
+
+    return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+/**
+ * Overlay a centered logo box on a qrcode-generated SVG
+ *
+ * qrcode draws in module units, so the box is sized from the
+ * viewBox and stays well within what level H can recover.
+ */
+function addLogo(svg, opts) {
+    const viewBox = /viewBox="0 0 (\d+) (\d+)"/.exec(svg);
+    const units = viewBox ? Number(viewBox[1]) : opts.size;
+    const box = Math.round(units * LOGO_SCALE);
+    const offset = (units - box) / 2;
+    const center = units / 2;
+
+    let content;
+    if (opts.logo.image) {
+        const href = `data:${opts.logo.mime};base64,${Buffer.from(opts.logo.image).toString('base64')}`;
+        const inset = box * 0.1;
+        content = `<image x="${offset + inset}" y="${offset + inset}" width="${box - inset * 2}" height="${box - inset * 2}" href="${href}" preserveAspectRatio="xMidYMid slice"/>`;
+    } else {
+        content = `<text x="${center}" y="${center}" text-anchor="middle" dominant-baseline="central" font-family="-apple-system, 'Segoe UI', Roboto, sans-serif" font-weight="700" font-size="${box * 0.45}" fill="${opts.fg}">${escapeXml(opts.logo.text)}</text>`;
+    }
+
+    const overlay = `<rect x="${offset}" y="${offset}" width="${box}" height="${box}" rx="${box * 0.2}" fill="${opts.bg}" stroke="${opts.fg}" stroke-width="${Math.max(box * 0.04, 0.3)}"/>${content}`;
+    return svg.replace('</svg>', `${overlay}</svg>`);
+}
+
+function escapeXml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
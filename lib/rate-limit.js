@@ -0,0 +1,84 @@
+/**
+ * In-memory rate limiting
+ *
+ * Fixed-window counters per key (usually a client IP or a card
+ * owner). Good enough for a single BizBuz process; limits reset
+ * on restart.
+ */
+
+/**
+ * Thrown when a key is over its limit (429)
+ */
+export class RateLimitError extends Error {
+    constructor(message, retryAfter) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.status = 429;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Create a limiter allowing max hits per key every windowMs
+ *
+ * At most maxKeys windows are kept; past that, expired ones are
+ * swept and then the oldest evicted, so many distinct keys can't
+ * grow the map without bound.
+ */
+export function createRateLimiter({ windowMs, max, maxKeys = 10000, message = 'Too many requests, try again later' }) {
+    // key -> { count, resetAt }, oldest window first
+    const windows = new Map();
+
+    function sweep(now) {
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) {
+                windows.delete(key);
+            }
+        }
+    }
+
+    return {
+        /**
+         * Count one hit for key; throws RateLimitError when over
+         */
+        consume(key) {
+            const now = Date.now();
+            let window = windows.get(key);
+
+            if (!window || window.resetAt <= now) {
+                windows.delete(key);
+                if (windows.size >= maxKeys) {
+                    sweep(now);
+                }
+                while (windows.size >= maxKeys) {
+                    windows.delete(windows.keys().next().value);
+                }
+                window = { count: 0, resetAt: now + windowMs };
+                windows.set(key, window);
+            }
+
+            window.count++;
+            if (window.count > max) {
+                throw new RateLimitError(message, Math.max(1, Math.ceil((window.resetAt - now) / 1000)));
+            }
+
+            return { remaining: max - window.count, resetAt: window.resetAt };
+        },
+
+        /**
+         * Throw RateLimitError if key is already over, without
+         * counting a hit (for limits counted after the response)
+         */
+        check(key) {
+            const now = Date.now();
+            const window = windows.get(key);
+            if (window && window.resetAt > now && window.count >= max) {
+                throw new RateLimitError(message, Math.max(1, Math.ceil((window.resetAt - now) / 1000)));
+            }
+        },
+
+        get size() {
+            return windows.size;
+        }
+    };
+}
@@ -0,0 +1,222 @@
+/**
+ * Rolodex of saved cards
+ *
+ * Other people's BizBuz cards an owner has saved, with their
+ * own tags and notes. Stored per owner pubKey, keyed by the
+ * saved card's canonical identifier. Each entry keeps a snapshot
+ * of the card's public profile so exports work offline; the
+ * snapshot is refreshed from the profile source on request.
+ */
+
+import { getStore } from './store.js';
+import { safeUrl, WEB_URL_SCHEMES } from './html.js';
+
+export const MAX_ROLODEX_ENTRIES = 2000;
+export const MAX_TAGS = 20;
+export const ROLODEX_FORMATS = ['json', 'vcf', 'csv', 'jcard'];
+
+const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} _-]{0,31}$/u;
+const NOTE_MAX_LENGTH = 1000;
+
+// Profile fields kept in snapshots
+const SNAPSHOT_FIELDS = [
+    'name', 'title', 'company', 'email', 'phone', 'website',
+    'location', 'bio', 'social', 'links', 'uuid', 'pubKey'
+];
+
+const CSV_COLUMNS = [
+    'identifier', 'name', 'title', 'company', 'email', 'phone', 'website',
+    'location', 'tags', 'note', 'cardUrl', 'savedAt', 'refreshedAt'
+];
+
+/**
+ * Thrown for rolodex input that fails validation
+ */
+export class RolodexError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'RolodexError';
+        this.status = status;
+    }
+}
+
+const store = () => getStore('rolodex');
+
+/**
+ * Validate an owner's tags and note for a saved card
+ *
+ * input: { card, tags, note } - card is checked by the caller
+ */
+export function validateRolodexEntry(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new RolodexError('entry must be an object');
+    }
+
+    const entry = {};
+
+    if (input.tags !== undefined) {
+        if (!Array.isArray(input.tags) || input.tags.length > MAX_TAGS) {
+            throw new RolodexError(`tags must be an array of at most ${MAX_TAGS} tags`);
+        }
+        const tags = input.tags.map(tag => (typeof tag === 'string' ? tag.trim().toLowerCase() : tag));
+        const invalid = tags.filter(tag => typeof tag !== 'string' || !TAG_PATTERN.test(tag));
+        if (invalid.length) {
+            throw new RolodexError('tags must be 1-32 letters, digits, spaces, dashes or underscores');
+        }
+        entry.tags = [...new Set(tags)];
+    }
+
+    if (input.note !== undefined && input.note !== null) {
+        if (typeof input.note !== 'string' || input.note.length > NOTE_MAX_LENGTH) {
+            throw new RolodexError(`note must be a string of at most ${NOTE_MAX_LENGTH} characters`);
+        }
+        entry.note = input.note.trim();
+    }
+
+    return entry;
+}
+
+/**
+ * Saved cards, by name, optionally only those with a tag
+ */
+export function getRolodex(ownerPubKey, { tag } = {}) {
+    const entries = Object.values(store().get(ownerPubKey) || {});
+    return entries
+        .filter(entry => !tag || entry.tags.includes(tag.toLowerCase()))
+        .sort((a, b) => (a.profile.name || '').localeCompare(b.profile.name || ''));
+}
+
+/**
+ * Save a card, or update its tags and note when already saved
+ *
+ * Returns { entry, created }.
+ */
+export async function saveRolodexEntry(ownerPubKey, identifier, { tags, note }, profile) {
+    const entries = store().get(ownerPubKey) || {};
+    const existing = entries[identifier];
+
+    if (!existing && Object.keys(entries).length >= MAX_ROLODEX_ENTRIES) {
+        throw new RolodexError(`A rolodex can hold at most ${MAX_ROLODEX_ENTRIES} cards`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+        identifier,
+        tags: tags || (existing ? existing.tags : []),
+        note: note !== undefined ? note : (existing ? existing.note : ''),
+        profile: snapshotProfile(profile),
+        savedAt: existing ? existing.savedAt : now,
+        updatedAt: now,
+        refreshedAt: now
+    };
+
+    await store().set(ownerPubKey, { ...entries, [identifier]: entry });
+    return { entry, created: !existing };
+}
+
+/**
+ * Remove a saved card; returns false when it wasn't saved
+ */
+export async function removeRolodexEntry(ownerPubKey, identifier) {
+    const entries = store().get(ownerPubKey) || {};
+    if (!entries[identifier]) {
+        return false;
+    }
+
+    delete entries[identifier];
+    await store().set(ownerPubKey, entries);
+    return true;
+}
+
+/**
+ * Refresh every snapshot with load(identifier)
+ *
+ * load resolves to the card's current public profile, or null
+ * when the card no longer exists (the entry keeps its last
+ * snapshot and is flagged missing). Failed loads leave the entry
+ * untouched. Returns { refreshed, changed, missing, failed }.
+ */
+export async function refreshRolodex(ownerPubKey, load) {
+    const entries = store().get(ownerPubKey) || {};
+    const result = { refreshed: 0, changed: 0, missing: 0, failed: 0 };
+    const now = new Date().toISOString();
+
+    // One at a time, to go easy on the profile source
+    for (const [identifier, entry] of Object.entries(entries)) {
+        let profile;
+        try {
+            profile = await load(identifier);
+        } catch (error) {
+            result.failed++;
+            continue;
+        }
+
+        if (!profile) {
+            entries[identifier] = { ...entry, missing: true, refreshedAt: now };
+            result.missing++;
+            continue;
+        }
+
+        const snapshot = snapshotProfile(profile);
+        const changed = JSON.stringify(snapshot) !== JSON.stringify(entry.profile);
+        const { missing, ...rest } = entry;
+        entries[identifier] = {
+            ...rest,
+            profile: snapshot,
+            refreshedAt: now,
+            ...(changed ? { updatedAt: now } : {})
+        };
+        result.refreshed++;
+        if (changed) result.changed++;
+    }
+
+    await store().set(ownerPubKey, entries);
+    return result;
+}
+
+/**
+ * Saved cards as CSV (RFC 4180), one row per card
+ */
+export function rolodexCsv(entries, cardUrl) {
+    const rows = entries.map(entry => {
+        const values = {
+            ...entry.profile,
+            identifier: entry.identifier,
+            tags: entry.tags.join('; '),
+            note: entry.note,
+            cardUrl: cardUrl(entry.identifier),
+            savedAt: entry.savedAt,
+            refreshedAt: entry.refreshedAt
+        };
+        return CSV_COLUMNS.map(column => csvField(values[column])).join(',');
+    });
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// Websites are kept only as http(s) URLs, as cardModel() does
+function snapshotProfile(profile) {
+    const snapshot = Object.fromEntries(SNAPSHOT_FIELDS
+        .filter(field => profile[field])
+        .map(field => [field, profile[field]]));
+
+    const website = snapshot.website && safeUrl(snapshot.website, WEB_URL_SCHEMES);
+    if (website) {
+        snapshot.website = website;
+    } else {
+        delete snapshot.website;
+    }
+    return snapshot;
+}
+
+function csvField(value) {
+    let str = value === undefined || value === null ? '' : String(value);
+
+    // Keep spreadsheets from running cell contents as formulas
+    // (phone numbers like +1 555 0100 are left alone)
+    if (/^[=@\t\r]|^[+-](?![\d\s().-]*$)/.test(str)) {
+        str = `'${str}`;
+    }
+
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
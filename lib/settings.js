@@ -0,0 +1,209 @@
+/**
+ * Owner-controlled card settings
+ *
+ * Settings are stored per canonical card identifier:
+ * - hiddenFields: profile fields left off the card, vCard and API
+ * - publicFields: the fields anyone can see besides the
+ *   IDENTITY_FIELDS; the others are only shown through a share
+ *   link that unlocks them (see shares.js). Defaults to
+ *   DEFAULT_PUBLIC_FIELDS
+ * - fieldOrder: display order of the contact fields
+ * - accentColor: '#rrggbb' used for the card highlights
+ * - tagline: short line shown under the company
+ * - theme: name of an installed card theme
+ * - org: slug of the organization whose branding the card
+ *   takes on (see orgs.js)
+ */
+
+import { getStore } from './store.js';
+import { ORG_SLUG_PATTERN } from './orgs.js';
+
+export const HIDEABLE_FIELDS = ['title', 'company', 'email', 'phone', 'website', 'location', 'bio', 'photo', 'social', 'links'];
+export const CONTACT_FIELDS = ['email', 'phone', 'website', 'location'];
+export const DEFAULT_ACCENT = '#10b981';
+
+// Shown on every card: who it is, not how to reach them
+export const IDENTITY_FIELDS = ['uuid', 'pubKey', 'emojicode', 'name', 'firstName', 'lastName'];
+
+// Profile keys that go with a hideable field besides its own
+export const FIELD_KEYS = {
+    company: ['company', 'department'],
+    location: ['location', 'address']
+};
+
+// Public until the owner makes some private
+export const DEFAULT_PUBLIC_FIELDS = HIDEABLE_FIELDS;
+
+const TAGLINE_MAX_LENGTH = 140;
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Thrown for settings that fail validation
+ */
+export class SettingsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SettingsError';
+        this.status = 400;
+    }
+}
+
+const store = () => getStore('card-settings');
+
+/**
+ * Stored settings for a card ({} when the owner never set any)
+ */
+export function getCardSettings(identifier) {
+    return store().get(identifier) || {};
+}
+
+export async function saveCardSettings(identifier, settings) {
+    return store().set(identifier, { ...settings, updatedAt: new Date().toISOString() });
+}
+
+export async function deleteCardSettings(identifier) {
+    return store().delete(identifier);
+}
+
+/**
+ * Validate and normalize owner-submitted settings
+ *
+ * themes is the theme registry, used to check the theme name.
+ */
+export function validateSettings(input, { themes } = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new SettingsError('settings must be an object');
+    }
+
+    const settings = {};
+
+    if (input.hiddenFields !== undefined) {
+        settings.hiddenFields = validateFieldList(input.hiddenFields, HIDEABLE_FIELDS, 'hiddenFields');
+    }
+
+    if (input.publicFields !== undefined) {
+        settings.publicFields = validateFieldList(input.publicFields, HIDEABLE_FIELDS, 'publicFields');
+    }
+
+    if (input.fieldOrder !== undefined) {
+        settings.fieldOrder = validateFieldList(input.fieldOrder, CONTACT_FIELDS, 'fieldOrder');
+    }
+
+    if (input.accentColor !== undefined && input.accentColor !== null) {
+        if (!HEX_COLOR_PATTERN.test(input.accentColor)) {
+            throw new SettingsError('accentColor must be a hex color like #10b981');
+        }
+        settings.accentColor = input.accentColor.toLowerCase();
+    }
+
+    if (input.tagline !== undefined && input.tagline !== null) {
+        if (typeof input.tagline !== 'string') {
+            throw new SettingsError('tagline must be a string');
+        }
+        const tagline = input.tagline.trim();
+        if (tagline.length > TAGLINE_MAX_LENGTH) {
+            throw new SettingsError(`tagline must be at most ${TAGLINE_MAX_LENGTH} characters`);
+        }
+        if (tagline) {
+            settings.tagline = tagline;
+        }
+    }
+
+    if (input.theme !== undefined && input.theme !== null) {
+        if (typeof input.theme !== 'string' || (themes && !themes.has(input.theme))) {
+            const available = themes ? themes.list().map(theme => theme.name).join(', ') : '';
+            throw new SettingsError(`theme must be one of: ${available}`);
+        }
+        settings.theme = input.theme;
+    }
+
+    if (input.org !== undefined && input.org !== null) {
+        if (typeof input.org !== 'string' || !ORG_SLUG_PATTERN.test(input.org)) {
+            throw new SettingsError('org must be an organization slug');
+        }
+        settings.org = input.org;
+    }
+
+    return settings;
+}
+
+function validateFieldList(list, allowed, name) {
+    if (!Array.isArray(list)) {
+        throw new SettingsError(`${name} must be an array`);
+    }
+
+    const unknown = list.filter(field => !allowed.includes(field));
+    if (unknown.length) {
+        throw new SettingsError(`${name} has unknown fields: ${unknown.join(', ')} (allowed: ${allowed.join(', ')})`);
+    }
+
+    return [...new Set(list)];
+}
+
+/**
+ * Profile copy with only the fields the public may see
+ *
+ * That is the identity fields plus the public ones and those
+ * in unlocked (the fields a share link grants), less any the
+ * owner hid. Everything else is left out.
+ */
+export function applySettings(profile, settings = {}, unlocked = []) {
+    const hidden = settings.hiddenFields || [];
+    return pickFields(profile, [...publicFieldList(settings), ...unlocked].filter(field => !hidden.includes(field)));
+}
+
+/**
+ * Profile copy with the identity fields and the given hideable ones
+ */
+export function pickFields(profile, fields) {
+    const keys = [
+        ...IDENTITY_FIELDS,
+        ...HIDEABLE_FIELDS.filter(field => fields.includes(field)).flatMap(field => FIELD_KEYS[field] || [field])
+    ];
+    const visible = {};
+    for (const key of keys) {
+        if (profile[key] !== undefined) {
+            visible[key] = profile[key];
+        }
+    }
+    return visible;
+}
+
+/**
+ * The fields a card shows publicly
+ *
+ * Settings saved before publicFields existed list the
+ * non-public ones as privateFields instead.
+ */
+export function publicFieldList(settings = {}) {
+    if (settings.publicFields) {
+        return settings.publicFields;
+    }
+    if (settings.privateFields) {
+        return HIDEABLE_FIELDS.filter(field => !settings.privateFields.includes(field));
+    }
+    return DEFAULT_PUBLIC_FIELDS;
+}
+
+/**
+ * Contact fields in the owner's preferred order
+ *
+ * Fields missing from fieldOrder keep their default relative
+ * order after the ones the owner listed.
+ */
+export function orderedContactFields(settings = {}) {
+    const preferred = settings.fieldOrder || [];
+    return [...preferred, ...CONTACT_FIELDS.filter(field => !preferred.includes(field))];
+}
+
+/**
+ * Settings that are safe to expose publicly alongside the profile
+ */
+export function publicSettings(settings = {}) {
+    return {
+        accentColor: settings.accentColor || DEFAULT_ACCENT,
+        tagline: settings.tagline || null,
+        theme: settings.theme || null,
+        fieldOrder: orderedContactFields(settings)
+    };
+}
@@ -0,0 +1,210 @@
+/**
+ * Share links
+ *
+ * An owner mints a share token for their card; /s/:token shows
+ * the card with some of the card's private fields unlocked.
+ * Tokens can expire at a time, after a number of views, or be
+ * revoked by the owner. Stored by token:
+ *
+ *   {
+ *     identifier, persona,  // card (and persona) being shared
+ *     unlock: ['phone'],    // private fields the link reveals
+ *     label,                // owner's note, e.g. "Recruiter"
+ *     expiresAt, maxViews,  // both optional
+ *     views, lastViewedAt, revokedAt, createdAt
+ *   }
+ */
+
+import { randomBytes } from 'crypto';
+import { getStore } from './store.js';
+import { HIDEABLE_FIELDS } from './settings.js';
+import { PERSONA_NAME_PATTERN } from './personas.js';
+
+export const MAX_SHARE_TTL = 365 * 24 * 60 * 60;   // seconds
+export const MAX_SHARE_VIEWS = 10000;
+
+// How long the vCard and QR of a link keep working after its last allowed view
+const VIEW_GRACE_MS = 15 * 60 * 1000;
+const LABEL_MAX_LENGTH = 60;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{22,64}$/;
+
+// Link unfurlers (Slack, iMessage, WhatsApp, ...) and crawlers
+// that fetch a pasted link before the recipient opens it
+const PREVIEW_AGENTS = /slackbot|facebookexternalhit|facebot|twitterbot|linkedinbot|whatsapp|telegrambot|discordbot|skypeuripreview|google-pagerenderer|googlebot|bingbot|applebot|redditbot|pinterest|embedly|iframely|mastodon|vkshare|bot\b|crawler|spider/i;
+
+/**
+ * Thrown for share requests that fail validation
+ */
+export class ShareError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ShareError';
+        this.status = status;
+    }
+}
+
+/**
+ * Thrown when a link is unknown (404) or no longer usable (410)
+ */
+export class ShareUnavailableError extends Error {
+    constructor(message, status = 410) {
+        super(message);
+        this.name = 'ShareUnavailableError';
+        this.status = status;
+    }
+}
+
+const store = () => getStore('share-tokens');
+
+/**
+ * Validate an owner's share request
+ *
+ * input: { unlock, expiresIn (seconds), maxViews, persona, label }
+ */
+export function validateShareRequest(input = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new ShareError('share must be an object');
+    }
+
+    const share = { unlock: [] };
+
+    if (input.unlock !== undefined) {
+        if (!Array.isArray(input.unlock)) {
+            throw new ShareError('unlock must be an array');
+        }
+        const unknown = input.unlock.filter(field => !HIDEABLE_FIELDS.includes(field));
+        if (unknown.length) {
+            throw new ShareError(`unlock has unknown fields: ${unknown.join(', ')} (allowed: ${HIDEABLE_FIELDS.join(', ')})`);
+        }
+        share.unlock = [...new Set(input.unlock)];
+    }
+
+    if (input.expiresIn !== undefined && input.expiresIn !== null) {
+        const seconds = Number(input.expiresIn);
+        if (!Number.isInteger(seconds) || seconds < 60 || seconds > MAX_SHARE_TTL) {
+            throw new ShareError(`expiresIn must be a number of seconds between 60 and ${MAX_SHARE_TTL}`);
+        }
+        share.expiresAt = new Date(Date.now() + seconds * 1000).toISOString();
+    }
+
+    if (input.maxViews !== undefined && input.maxViews !== null) {
+        const views = Number(input.maxViews);
+        if (!Number.isInteger(views) || views < 1 || views > MAX_SHARE_VIEWS) {
+            throw new ShareError(`maxViews must be an integer between 1 and ${MAX_SHARE_VIEWS}`);
+        }
+        share.maxViews = views;
+    }
+
+    if (input.persona !== undefined && input.persona !== null) {
+        if (!PERSONA_NAME_PATTERN.test(input.persona)) {
+            throw new ShareError('persona must be a persona name');
+        }
+        share.persona = input.persona;
+    }
+
+    if (input.label !== undefined && input.label !== null) {
+        if (typeof input.label !== 'string' || input.label.length > LABEL_MAX_LENGTH) {
+            throw new ShareError(`label must be a string of at most ${LABEL_MAX_LENGTH} characters`);
+        }
+        share.label = input.label.trim();
+    }
+
+    return share;
+}
+
+/**
+ * Store a new share link for a card; returns { token, share }
+ */
+export async function createShare(identifier, share) {
+    const token = randomBytes(18).toString('base64url');
+    const stored = {
+        ...share,
+        identifier,
+        views: 0,
+        createdAt: new Date().toISOString()
+    };
+    await store().set(token, stored);
+    return { token, share: stored };
+}
+
+/**
+ * Share links of one card, newest first
+ */
+export function listShares(identifier) {
+    return store().entries()
+        .filter(([, share]) => share.identifier === identifier)
+        .map(([token, share]) => ({ token, ...share, status: shareStatus(share) }))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Mark a card's link revoked; returns false when it isn't theirs
+ */
+export async function revokeShare(identifier, token) {
+    const share = store().get(token);
+    if (!share || share.identifier !== identifier) {
+        return false;
+    }
+    if (!share.revokedAt) {
+        await store().set(token, { ...share, revokedAt: new Date().toISOString() });
+    }
+    return true;
+}
+
+/**
+ * 'active', 'revoked', 'expired' or 'used-up'
+ */
+export function shareStatus(share, now = Date.now()) {
+    if (share.revokedAt) return 'revoked';
+    if (share.expiresAt && Date.parse(share.expiresAt) <= now) return 'expired';
+    if (share.maxViews && share.views >= share.maxViews) return 'used-up';
+    return 'active';
+}
+
+/**
+ * Whether a request is a link preview or prefetch rather than
+ * someone opening the link: HEAD requests, browser prefetches
+ * and known unfurler user agents. These don't use up a view.
+ *
+ * headers is a Node request's (lower-cased) header object.
+ */
+export function isPreviewRequest(method, headers = {}) {
+    if (method === 'HEAD') {
+        return true;
+    }
+    const purpose = [headers['sec-purpose'], headers.purpose, headers['x-purpose'], headers['x-moz']].filter(Boolean).join(' ');
+    return /prefetch|prerender|preview/i.test(purpose) || PREVIEW_AGENTS.test(headers['user-agent'] || '');
+}
+
+/**
+ * Look up a usable link
+ *
+ * countView is true for the card page, which uses up one view.
+ * The link's vCard and QR don't count, and keep working for a
+ * short grace period after the last allowed view so the viewer
+ * can still save the contact.
+ */
+export async function openShare(token, { countView = false } = {}) {
+    const share = TOKEN_PATTERN.test(token || '') ? store().get(token) : null;
+    if (!share) {
+        throw new ShareUnavailableError('Share link not found', 404);
+    }
+
+    const status = shareStatus(share);
+    const inGrace = status === 'used-up' && !countView
+        && Date.now() - Date.parse(share.lastViewedAt) < VIEW_GRACE_MS;
+
+    if (status !== 'active' && !inGrace) {
+        throw new ShareUnavailableError(status === 'revoked'
+            ? 'This share link has been revoked'
+            : 'This share link has expired');
+    }
+
+    if (!countView) {
+        return share;
+    }
+
+    const viewed = { ...share, views: share.views + 1, lastViewedAt: new Date().toISOString() };
+    await store().set(token, viewed);
+    return viewed;
+}
@@ -0,0 +1,81 @@
+/**
+ * JSON file store
+ *
+ * Small key/value collections persisted as one JSON file each
+ * under DATA_DIR. Everything is held in memory and flushed to
+ * disk after every write, which is plenty for per-card data.
+ */
+
+import { readFileSync, mkdirSync } from 'fs';
+import { writeFile, rename } from 'fs/promises';
+import { join } from 'path';
+
+const DATA_DIR = process.env.DATA_DIR || join(process.cwd(), 'data');
+
+const stores = new Map();
+
+/**
+ * Get (or open) the named collection
+ */
+export function getStore(name) {
+    if (!stores.has(name)) {
+        stores.set(name, openStore(name));
+    }
+    return stores.get(name);
+}
+
+function openStore(name) {
+    const file = join(DATA_DIR, `${name}.json`);
+    const data = new Map(Object.entries(readJson(file)));
+    let pending = Promise.resolve();
+
+    // Serialize writes so a slow flush never lands after a newer one
+    function flush() {
+        pending = pending
+            .then(async () => {
+                mkdirSync(DATA_DIR, { recursive: true });
+                const tmp = `${file}.${process.pid}.tmp`;
+                await writeFile(tmp, JSON.stringify(Object.fromEntries(data), null, 2));
+                await rename(tmp, file);
+            })
+            .catch(error => console.error(`Store ${name} write error:`, error.message));
+        return pending;
+    }
+
+    return {
+        get(key) {
+            return data.get(key);
+        },
+
+        has(key) {
+            return data.has(key);
+        },
+
+        entries() {
+            return Array.from(data.entries());
+        },
+
+        async set(key, value) {
+            data.set(key, value);
+            await flush();
+            return value;
+        },
+
+        async delete(key) {
+            const existed = data.delete(key);
+            await flush();
+            return existed;
+        }
+    };
+}
+
+function readJson(file) {
+    try {
+        return JSON.parse(readFileSync(file, 'utf-8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Could not read ${file}:`, error.message);
+        }
+        return {};
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * Card theme registry
+ *
+ * A theme is an ES module whose default export looks like:
+ *
+ *   {
+ *     name: 'my-theme',          // used in ?theme= and settings
+ *     label: 'My Theme',
+ *     accent: '#0ea5e9',         // default accent color
+ *     qr: { fg, bg },            // optional QR colors (fg defaults to accent)
+ *     css: '...',                // page CSS; may use var(--accent)
+ *     decorations: '...',        // optional extra markup after <body>
+ *     layout: parts => '<html>'  // optional, replaces defaultLayout()
+ *   }
+ *
+ * Built-in themes live in themes/. Self-hosters can point
+ * THEMES_DIR at their own directory; a theme there with the same
+ * name as a built-in replaces it.
+ */
+
+import { readdir } from 'fs/promises';
+import { join, extname } from 'path';
+import { pathToFileURL } from 'url';
+import { contrastRatio } from './qr.js';
+
+export const DEFAULT_THEME = 'cosmic';
+
+const THEME_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Thrown when a card asks for a theme that isn't installed
+ */
+export class UnknownThemeError extends Error {
+    constructor(name, available) {
+        super(`Unknown theme "${name}" (available: ${available.join(', ')})`);
+        this.name = 'UnknownThemeError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Load themes from each directory in order
+ *
+ * Returns a registry with get(name), has(name) and list().
+ */
+export async function loadThemes(directories) {
+    const themes = new Map();
+
+    for (const directory of directories.filter(Boolean)) {
+        for (const theme of await loadDirectory(directory)) {
+            themes.set(theme.name, theme);
+        }
+    }
+
+    if (!themes.has(DEFAULT_THEME)) {
+        throw new Error(`Default theme "${DEFAULT_THEME}" is missing`);
+    }
+
+    return {
+        has(name) {
+            return themes.has(name);
+        },
+
+        /**
+         * Theme by name; the default theme when name is empty
+         */
+        get(name) {
+            if (!name) {
+                return themes.get(DEFAULT_THEME);
+            }
+            if (!themes.has(name)) {
+                throw new UnknownThemeError(name, Array.from(themes.keys()));
+            }
+            return themes.get(name);
+        },
+
+        list() {
+            return Array.from(themes.values()).map(({ name, label, accent }) => ({ name, label, accent }));
+        }
+    };
+}
+
+/**
+ * Flat colors for renderers that draw outside the page CSS
+ * (preview images, print, wallet passes)
+ *
+ * background is the theme's QR background, text whichever of
+ * white / near-black reads better on it.
+ */
+export function themeColors(theme, accent = theme.accent) {
+    const background = (theme.qr && theme.qr.bg) || '#ffffff';
+    return {
+        background,
+        text: contrastRatio(background, '#ffffff') >= contrastRatio(background, '#111827') ? '#ffffff' : '#111827',
+        accent,
+        qrFg: (theme.qr && theme.qr.fg) || accent
+    };
+}
+
+async function loadDirectory(directory) {
+    let files;
+    try {
+        files = await readdir(directory);
+    } catch (error) {
+        console.error(`Could not read themes from ${directory}:`, error.message);
+        return [];
+    }
+
+    const themes = [];
+    for (const file of files.filter(name => ['.js', '.mjs'].includes(extname(name))).sort()) {
+        const path = join(directory, file);
+        try {
+            const { default: theme } = await import(pathToFileURL(path).href);
+            validateTheme(theme, path);
+            themes.push(theme);
+        } catch (error) {
+            console.error(`Skipping theme ${path}:`, error.message);
+        }
+    }
+    return themes;
+}
+
+function validateTheme(theme, path) {
+    if (!theme || typeof theme !== 'object') {
+        throw new Error('theme module must have a default export');
+    }
+    if (!THEME_NAME_PATTERN.test(theme.name || '')) {
+        throw new Error(`theme name must match ${THEME_NAME_PATTERN}`);
+    }
+    if (typeof theme.css !== 'string' && typeof theme.layout !== 'function') {
+        throw new Error('theme needs css or a layout function');
+    }
+    if (theme.layout !== undefined && typeof theme.layout !== 'function') {
+        throw new Error('layout must be a function');
+    }
+    theme.label = theme.label || theme.name;
+    theme.accent = theme.accent || '#10b981';
+    theme.source = path;
+}
@@ -0,0 +1,528 @@
+/**
+ * vCard serializer and parser
+ *
+ * Produces vCard 3.0 (RFC 2426) or 4.0 (RFC 6350) with proper
+ * value escaping, structured N/ADR/ORG properties and line
+ * folding at 75 octets. parseVCards() reverses the process so
+ * generated cards can be read back and checked; generateJCard()
+ * emits the same card as RFC 7095 JSON.
+ */
+
+import { orderedContactFields } from './settings.js';
+import { safeUrl, WEB_URL_SCHEMES } from './html.js';
+import { profileLinks, PLATFORMS } from './links.js';
+
+export const VCARD_VERSIONS = ['3.0', '4.0'];
+export const DEFAULT_VCARD_VERSION = '3.0';
+
+const MAX_LINE_OCTETS = 75;
+const PRODID = '-//Planet Nine//BizBuz//EN';
+
+const NAME_PREFIXES = ['mr', 'mrs', 'ms', 'mx', 'miss', 'dr', 'prof', 'sir', 'dame', 'rev', 'hon'];
+const NAME_SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv', 'v', 'phd', 'md', 'esq', 'mba', 'dds', 'cpa'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Thrown for an unsupported vCard version
+ */
+export class VCardVersionError extends Error {
+    constructor(version) {
+        super(`Unsupported vCard version: ${version} (supported: ${VCARD_VERSIONS.join(', ')})`);
+        this.name = 'VCardVersionError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Pick the vCard version from ?version= or the Accept header
+ *
+ * Accept: text/vcard;version=4.0 selects 4.0. An explicit
+ * query parameter wins over the header.
+ */
+export function negotiateVCardVersion(queryVersion, acceptHeader) {
+    if (queryVersion !== undefined) {
+        const version = normalizeVersion(queryVersion);
+        if (!VCARD_VERSIONS.includes(version)) {
+            throw new VCardVersionError(queryVersion);
+        }
+        return version;
+    }
+
+    const match = /(?:text\/vcard|text\/x-vcard)\s*;[^,]*version\s*=\s*"?([\d.]+)/i.exec(acceptHeader || '');
+    if (match && VCARD_VERSIONS.includes(normalizeVersion(match[1]))) {
+        return normalizeVersion(match[1]);
+    }
+
+    return DEFAULT_VCARD_VERSION;
+}
+
+function normalizeVersion(version) {
+    const str = String(version).trim();
+    return /^\d+$/.test(str) ? `${str}.0` : str;
+}
+
+/**
+ * Generate a vCard for a profile
+ *
+ * options:
+ * - version: '3.0' | '4.0'
+ * - settings: owner card settings (contact field order)
+ * - identifier: canonical card identifier, used for UID when
+ *   the profile has no Prof UUID
+ * - compact: minimal card for embedding in a QR code - no
+ *   PRODID, KIND, PHOTO or UID and no line folding
+ */
+export function generateVCard(profile, options = {}) {
+    const props = vcardProperties(profile, options);
+    const lines = ['BEGIN:VCARD', ...props.map(serializeProperty), 'END:VCARD'];
+
+    return options.compact
+        ? lines.join('\r\n')
+        : lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Generate a jCard (RFC 7095, the JSON form of vCard 4.0)
+ *
+ * Same properties as generateVCard() at version 4.0; options
+ * as there, minus version and compact.
+ */
+export function generateJCard(profile, options = {}) {
+    const props = vcardProperties(profile, { ...options, version: '4.0', compact: false });
+    return ['vcard', props.map(jcardProperty)];
+}
+
+/**
+ * Build the property list both serializations share
+ */
+function vcardProperties(profile, options) {
+    const version = options.version || DEFAULT_VCARD_VERSION;
+    if (!VCARD_VERSIONS.includes(version)) {
+        throw new VCardVersionError(version);
+    }
+
+    const v4 = version === '4.0';
+    const compact = Boolean(options.compact);
+    const props = [];
+    const add = (name, params, value) => props.push({ name, params, value });
+
+    add('VERSION', {}, raw(version));
+
+    if (!compact) {
+        add('PRODID', {}, raw(PRODID));
+    }
+
+    if (v4 && !compact) {
+        add('KIND', {}, raw('individual'));
+    }
+
+    const name = profile.name || [profile.firstName, profile.lastName].filter(Boolean).join(' ');
+    if (name) {
+        add('FN', {}, text(name));
+        const n = splitName(profile);
+        add('N', {}, structured([n.family, n.given, n.additional, n.prefix, n.suffix]));
+    } else if (profile.company) {
+        // FN is required; fall back to the organization name
+        add('FN', {}, text(profile.company));
+        add('N', {}, structured(['', '', '', '', '']));
+    } else {
+        add('FN', {}, text('Contact'));
+        add('N', {}, structured(['', '', '', '', '']));
+    }
+
+    if (profile.title) {
+        add('TITLE', {}, text(profile.title));
+    }
+
+    if (profile.company) {
+        add('ORG', {}, structured([profile.company, profile.department].filter(Boolean)));
+    }
+
+    const contactProps = {
+        email: value => add('EMAIL', v4 ? { TYPE: 'work' } : { TYPE: 'INTERNET' }, text(value)),
+        phone: value => v4
+            ? add('TEL', { TYPE: 'cell', VALUE: 'uri' }, uri(`tel:${telUri(value)}`))
+            : add('TEL', { TYPE: 'CELL' }, text(value)),
+        website: value => {
+            const url = safeUrl(value, WEB_URL_SCHEMES);
+            if (url) add('URL', {}, uri(url));
+        },
+        location: value => add('ADR', { TYPE: v4 ? 'work' : 'WORK' }, structured(splitAddress(profile.address, value)))
+    };
+
+    for (const field of orderedContactFields(options.settings)) {
+        if (profile[field]) {
+            contactProps[field](profile[field]);
+        }
+    }
+
+    if (profile.bio) {
+        add('NOTE', {}, text(profile.bio));
+    }
+
+    if (profile.categories && profile.categories.length) {
+        add('CATEGORIES', {}, list(profile.categories));
+    }
+
+    // Booking links are calendar URIs, other platforms social
+    // profiles, anything else a plain URL
+    for (const link of profileLinks(profile)) {
+        if (link.platform === 'calendar') {
+            add('CALURI', {}, uri(link.url));
+        } else if (PLATFORMS[link.platform]) {
+            add('X-SOCIALPROFILE', { TYPE: link.platform }, uri(link.url));
+        } else {
+            add('URL', {}, uri(link.url));
+        }
+    }
+
+    if (compact) {
+        return props;
+    }
+
+    if (profile.photo) {
+        addPhoto(add, profile.photo, v4);
+    }
+
+    const uid = vcardUid(profile, options.identifier, v4);
+    if (uid) {
+        add('UID', {}, uri(uid));
+    }
+
+    return props;
+}
+
+/**
+ * PHOTO as a URI (4.0 allows data: URIs) or inline base64 (3.0)
+ */
+function addPhoto(add, photo, v4) {
+    const dataUri = /^data:image\/([a-z+]+);base64,(.+)$/i.exec(photo);
+
+    if (v4) {
+        add('PHOTO', {}, uri(photo));
+    } else if (dataUri) {
+        add('PHOTO', { ENCODING: 'b', TYPE: dataUri[1].replace(/\+.*$/, '').toUpperCase() }, uri(dataUri[2]));
+    } else {
+        add('PHOTO', { VALUE: 'uri' }, uri(photo));
+    }
+}
+
+function vcardUid(profile, identifier, v4) {
+    if (profile.uuid && UUID_PATTERN.test(profile.uuid)) {
+        return v4 ? `urn:uuid:${profile.uuid.toLowerCase()}` : profile.uuid.toLowerCase();
+    }
+
+    const id = profile.pubKey || identifier;
+    return id ? `urn:bizbuz:${id}` : null;
+}
+
+/**
+ * Split a display name into vCard N components
+ *
+ * Honors explicit firstName/lastName fields, "Last, First"
+ * ordering and common honorific prefixes/suffixes. A single
+ * word is treated as the given name.
+ */
+export function splitName(profile) {
+    const result = { family: '', given: '', additional: '', prefix: '', suffix: '' };
+
+    if (profile.firstName || profile.lastName) {
+        result.given = profile.firstName || '';
+        result.family = profile.lastName || '';
+        return result;
+    }
+
+    let name = String(profile.name || '').trim().replace(/\s+/g, ' ');
+    if (!name) {
+        return result;
+    }
+
+    const isAffix = (word, list) => list.includes(word.toLowerCase().replace(/\./g, ''));
+
+    // "Hopper, Grace" or "Hopper, Grace, PhD"
+    const commaParts = name.split(',').map(part => part.trim()).filter(Boolean);
+    if (commaParts.length >= 2 && !isAffix(commaParts[1], NAME_SUFFIXES)) {
+        result.family = commaParts[0];
+        name = commaParts[1];
+        result.suffix = commaParts.slice(2).join(' ');
+    } else if (commaParts.length >= 2) {
+        name = commaParts[0];
+        result.suffix = commaParts.slice(1).join(' ');
+    }
+
+    const words = name.split(' ');
+    const prefixes = [];
+    const suffixes = [];
+
+    while (words.length > 1 && isAffix(words[0], NAME_PREFIXES)) {
+        prefixes.push(words.shift());
+    }
+    while (words.length > 1 && isAffix(words[words.length - 1], NAME_SUFFIXES)) {
+        suffixes.unshift(words.pop());
+    }
+
+    if (!result.family && words.length >= 2) {
+        result.family = words.pop();
+    }
+    result.given = words.shift() || '';
+    result.additional = words.join(' ');
+    result.prefix = prefixes.join(' ');
+    result.suffix = [...suffixes, result.suffix].filter(Boolean).join(' ');
+
+    return result;
+}
+
+/**
+ * ADR components from a structured address or a location string
+ *
+ * Components: PO box; extended; street; locality; region;
+ * postal code; country. A free-form location like
+ * "Portland, OR, USA" fills locality, region and country.
+ */
+function splitAddress(address, location) {
+    if (address && typeof address === 'object') {
+        return [
+            '',
+            '',
+            address.street || '',
+            address.city || address.locality || '',
+            address.region || address.state || '',
+            address.postalCode || '',
+            address.country || ''
+        ];
+    }
+
+    const parts = String(location).split(',').map(part => part.trim()).filter(Boolean);
+    const [locality = '', region = '', ...rest] = parts;
+    return ['', '', '', locality, region, '', rest.join(', ')];
+}
+
+function telUri(phone) {
+    return String(phone).replace(/[^\d+*#]/g, '');
+}
+
+// Value wrappers record how each value must be escaped
+function text(value) {
+    return { kind: 'text', value: String(value) };
+}
+
+function uri(value) {
+    return { kind: 'uri', value: String(value) };
+}
+
+function raw(value) {
+    return { kind: 'raw', value: String(value) };
+}
+
+function structured(components) {
+    return { kind: 'structured', value: components.map(String) };
+}
+
+function list(values) {
+    return { kind: 'list', value: values.map(String) };
+}
+
+/**
+ * Escape a text value per RFC 6350 section 3.4
+ */
+export function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/,/g, '\\,')
+        .replace(/;/g, '\\;')
+        .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+function serializeValue({ kind, value }) {
+    switch (kind) {
+        case 'structured':
+            return value.map(escapeText).join(';');
+        case 'list':
+            return value.map(escapeText).join(',');
+        case 'uri':
+        case 'raw':
+            return value.replace(/[\r\n]/g, '');
+        default:
+            return escapeText(value);
+    }
+}
+
+/**
+ * One property as a jCard [name, params, type, value] array
+ *
+ * VALUE moves from the parameters into the type slot; raw
+ * values (VERSION, PRODID, KIND) are plain text.
+ */
+function jcardProperty({ name, params, value }) {
+    const { VALUE: valueType, ...rest } = params;
+    const jparams = Object.fromEntries(Object.entries(rest)
+        .map(([key, paramValue]) => [key.toLowerCase(), String(paramValue)]));
+    const type = valueType || (value.kind === 'uri' ? 'uri' : 'text');
+    const values = value.kind === 'list' ? value.value : [value.value];
+    return [name.toLowerCase(), jparams, type, ...values];
+}
+
+function serializeParam(value) {
+    const str = String(value).replace(/[\r\n"]/g, '');
+    return /[:;,]/.test(str) ? `"${str}"` : str;
+}
+
+function serializeProperty({ name, params, value }) {
+    const paramStr = Object.entries(params)
+        .map(([key, paramValue]) => `;${key}=${serializeParam(paramValue)}`)
+        .join('');
+    return `${name}${paramStr}:${serializeValue(value)}`;
+}
+
+/**
+ * Fold a content line at 75 octets without splitting a character
+ */
+export function foldLine(line) {
+    if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+        return line;
+    }
+
+    const chunks = [];
+    let current = '';
+    let currentOctets = 0;
+    // Continuation lines start with a space, which counts toward the limit
+    let limit = MAX_LINE_OCTETS;
+
+    for (const char of line) {
+        const octets = Buffer.byteLength(char);
+        if (currentOctets + octets > limit) {
+            chunks.push(current);
+            current = '';
+            currentOctets = 0;
+            limit = MAX_LINE_OCTETS - 1;
+        }
+        current += char;
+        currentOctets += octets;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+}
+
+/**
+ * Parse one or more vCards
+ *
+ * Returns [{ version, properties: [{ group, name, params, value }] }]
+ * where params maps upper-cased names to arrays of values and
+ * value is unescaped (an array of components for N, ADR, ORG).
+ */
+export function parseVCards(input) {
+    const lines = String(input)
+        .replace(/\r\n|\r/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n')
+        .filter(line => line.trim());
+
+    const cards = [];
+    let card = null;
+
+    for (const line of lines) {
+        const property = parseContentLine(line);
+
+        if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+            card = { version: null, properties: [] };
+        } else if (property.name === 'END' && card) {
+            cards.push(card);
+            card = null;
+        } else if (card) {
+            if (property.name === 'VERSION') {
+                card.version = property.value;
+            }
+            card.properties.push(property);
+        }
+    }
+
+    return cards;
+}
+
+const STRUCTURED_PROPERTIES = ['N', 'ADR', 'ORG', 'GENDER'];
+
+function parseContentLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+
+    const head = colon === -1 ? line : line.slice(0, colon);
+    const rawValue = colon === -1 ? '' : line.slice(colon + 1);
+
+    const [nameWithGroup, ...paramParts] = splitUnquoted(head, ';');
+    const dot = nameWithGroup.lastIndexOf('.');
+    const group = dot === -1 ? null : nameWithGroup.slice(0, dot);
+    const name = nameWithGroup.slice(dot + 1).toUpperCase();
+
+    const params = {};
+    for (const part of paramParts) {
+        const eq = part.indexOf('=');
+        const key = (eq === -1 ? 'TYPE' : part.slice(0, eq)).toUpperCase();
+        const values = splitUnquoted(eq === -1 ? part : part.slice(eq + 1), ',')
+            .map(value => value.replace(/^"|"$/g, ''));
+        params[key] = [...(params[key] || []), ...values];
+    }
+
+    const isUri = params.VALUE && params.VALUE.some(value => value.toLowerCase() === 'uri');
+    let value;
+    if (STRUCTURED_PROPERTIES.includes(name)) {
+        value = splitEscaped(rawValue, ';').map(unescapeText);
+    } else if (isUri || ['URL', 'PHOTO', 'UID', 'X-SOCIALPROFILE', 'CALURI', 'SOURCE'].includes(name)) {
+        value = rawValue;
+    } else {
+        value = unescapeText(rawValue);
+    }
+
+    return { group, name, params, value };
+}
+
+function splitUnquoted(str, separator) {
+    const parts = [];
+    let current = '';
+    let inQuotes = false;
+    for (const char of str) {
+        if (char === '"') inQuotes = !inQuotes;
+        if (char === separator && !inQuotes) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+function splitEscaped(str, separator) {
+    const parts = [];
+    let current = '';
+    for (let i = 0; i < str.length; i++) {
+        if (str[i] === '\\' && i + 1 < str.length) {
+            current += str[i] + str[i + 1];
+            i++;
+        } else if (str[i] === separator) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += str[i];
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+/**
+ * Reverse escapeText()
+ */
+export function unescapeText(value) {
+    return String(value).replace(/\\([\\,;nN])/g, (match, char) =>
+        char === 'n' || char === 'N' ? '\n' : char);
+}
@@ -0,0 +1,254 @@
+/**
+ * Wallet passes
+ *
+ * Apple Wallet: a .pkpass is a ZIP of pass.json, images, a
+ * manifest of their SHA-1 hashes and a detached PKCS #7
+ * signature of the manifest, made with the pass type
+ * certificate and Apple's WWDR intermediate. Certificates are
+ * read from PEM files, so self-signed test certificates work
+ * locally (Wallet itself only accepts Apple-issued ones).
+ *
+ * Google Wallet: a generic pass class + object, optionally
+ * wrapped in a service-account-signed "Add to Google Wallet"
+ * link.
+ */
+
+import forge from 'node-forge';
+import { readFileSync } from 'fs';
+import { createHash, createSign } from 'crypto';
+import { createZip } from './zip.js';
+import { renderAvatar } from './avatar.js';
+import { themeColors } from './themes.js';
+
+const GOOGLE_SAVE_URL = 'https://pay.google.com/gp/v/save';
+const GOOGLE_CLASS_SUFFIX = 'bizbuz_card';
+
+// Apple's image names and pixel sizes
+const PASS_IMAGES = {
+    'icon.png': 29,
+    'icon@2x.png': 58,
+    'icon@3x.png': 87,
+    'thumbnail.png': 90,
+    'thumbnail@2x.png': 180,
+    'thumbnail@3x.png': 270
+};
+
+/**
+ * Thrown when a pass is requested but signing isn't set up
+ */
+export class WalletNotConfiguredError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WalletNotConfiguredError';
+        this.status = 501;
+    }
+}
+
+/**
+ * Load the Apple pass signer from PEM files
+ *
+ * Returns null when no certificate is configured. Throws when
+ * the files are configured but unreadable, so a broken setup
+ * shows up at startup rather than on the first download.
+ */
+export function loadPassSigner({ certPath, keyPath, keyPassphrase, wwdrPath, passTypeIdentifier, teamIdentifier }) {
+    if (!certPath) {
+        return null;
+    }
+    if (!keyPath || !wwdrPath || !passTypeIdentifier || !teamIdentifier) {
+        throw new Error('Apple Wallet needs a key, WWDR certificate, pass type identifier and team identifier with the certificate');
+    }
+
+    const certificate = forge.pki.certificateFromPem(readFileSync(certPath, 'utf8'));
+    const wwdr = forge.pki.certificateFromPem(readFileSync(wwdrPath, 'utf8'));
+    const keyPem = readFileSync(keyPath, 'utf8');
+    const key = keyPassphrase
+        ? forge.pki.decryptRsaPrivateKey(keyPem, keyPassphrase)
+        : forge.pki.privateKeyFromPem(keyPem);
+
+    if (!key) {
+        throw new Error('Could not decrypt the Apple Wallet key');
+    }
+
+    return {
+        passTypeIdentifier,
+        teamIdentifier,
+
+        /**
+         * Detached PKCS #7 signature (DER) of the manifest
+         */
+        sign(manifest) {
+            const p7 = forge.pkcs7.createSignedData();
+            p7.content = forge.util.createBuffer(manifest.toString('binary'));
+            p7.addCertificate(certificate);
+            p7.addCertificate(wwdr);
+            p7.addSigner({
+                key,
+                certificate,
+                digestAlgorithm: forge.pki.oids.sha256,
+                authenticatedAttributes: [
+                    { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+                    { type: forge.pki.oids.messageDigest },
+                    { type: forge.pki.oids.signingTime, value: new Date() }
+                ]
+            });
+            p7.sign({ detached: true });
+            return Buffer.from(forge.asn1.toDer(p7.toAsn1()).getBytes(), 'binary');
+        }
+    };
+}
+
+/**
+ * Build a signed .pkpass for a card
+ *
+ * card is a resolved card ({ profile, identifier, pubKey });
+ * design is { theme, accent, cardUrl, organizationName }.
+ */
+export async function createApplePass(card, design, signer) {
+    if (!signer) {
+        throw new WalletNotConfiguredError('Apple Wallet passes are not configured on this server');
+    }
+
+    const files = {
+        'pass.json': JSON.stringify(applePassJson(card, design, signer), null, 2)
+    };
+
+    for (const [name, size] of Object.entries(PASS_IMAGES)) {
+        const avatar = await renderAvatar(card.profile, {
+            seed: card.pubKey || card.identifier,
+            size,
+            format: 'png'
+        });
+        files[name] = avatar.body;
+    }
+
+    const manifest = {};
+    for (const [name, content] of Object.entries(files)) {
+        manifest[name] = createHash('sha1').update(content).digest('hex');
+    }
+    files['manifest.json'] = Buffer.from(JSON.stringify(manifest));
+    files.signature = signer.sign(files['manifest.json']);
+
+    return createZip(files);
+}
+
+function applePassJson({ profile, identifier }, { theme, accent, cardUrl, organizationName }, signer) {
+    const colors = themeColors(theme, accent);
+    const name = profile.name || 'Anonymous';
+
+    return {
+        formatVersion: 1,
+        passTypeIdentifier: signer.passTypeIdentifier,
+        teamIdentifier: signer.teamIdentifier,
+        serialNumber: identifier,
+        organizationName,
+        description: `Business card for ${name}`,
+        logoText: organizationName,
+        backgroundColor: rgb(colors.background),
+        foregroundColor: rgb(colors.text),
+        labelColor: rgb(colors.accent),
+        barcodes: [{
+            format: 'PKBarcodeFormatQR',
+            message: cardUrl,
+            messageEncoding: 'iso-8859-1'
+        }],
+        generic: {
+            primaryFields: [field('name', 'Name', name)],
+            secondaryFields: [
+                field('title', 'Title', profile.title),
+                field('company', 'Company', profile.company)
+            ].filter(Boolean),
+            auxiliaryFields: [
+                field('email', 'Email', profile.email),
+                field('phone', 'Phone', profile.phone)
+            ].filter(Boolean),
+            backFields: [
+                field('website', 'Website', profile.website),
+                field('location', 'Location', profile.location),
+                field('bio', 'About', profile.bio),
+                field('card', 'Card', cardUrl)
+            ].filter(Boolean)
+        }
+    };
+}
+
+function field(key, label, value) {
+    return value ? { key, label, value: String(value) } : null;
+}
+
+function rgb(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    return `rgb(${r}, ${g}, ${b})`;
+}
+
+/**
+ * Load the Google Wallet service account key
+ *
+ * Returns null when not configured.
+ */
+export function loadGoogleWalletConfig({ issuerId, keyPath }) {
+    if (!issuerId) {
+        return null;
+    }
+    const serviceAccount = keyPath ? JSON.parse(readFileSync(keyPath, 'utf8')) : null;
+    return { issuerId, serviceAccount };
+}
+
+/**
+ * Google Wallet generic class and object for a card
+ *
+ * With a service account key, also returns saveUrl: an
+ * "Add to Google Wallet" link carrying both as a signed JWT.
+ */
+export function createGooglePass(card, { theme, accent, cardUrl, avatarUrl, organizationName }, config) {
+    if (!config) {
+        throw new WalletNotConfiguredError('Google Wallet passes are not configured on this server');
+    }
+
+    const { profile, identifier } = card;
+    const colors = themeColors(theme, accent);
+    const classId = `${config.issuerId}.${GOOGLE_CLASS_SUFFIX}`;
+    const text = value => ({ defaultValue: { language: 'en', value } });
+
+    const genericClass = { id: classId };
+    const genericObject = {
+        id: `${config.issuerId}.${identifier.replace(/[^\w.-]/g, '_')}`,
+        classId,
+        state: 'ACTIVE',
+        cardTitle: text(organizationName),
+        header: text(profile.name || 'Anonymous'),
+        subheader: profile.title ? text(profile.title) : undefined,
+        hexBackgroundColor: colors.background,
+        logo: { sourceUri: { uri: avatarUrl } },
+        barcode: { type: 'QR_CODE', value: cardUrl },
+        textModulesData: [
+            ['company', 'Company', profile.company],
+            ['email', 'Email', profile.email],
+            ['phone', 'Phone', profile.phone],
+            ['website', 'Website', profile.website]
+        ].filter(([, , value]) => value).map(([id, header, body]) => ({ id, header, body: String(body) })),
+        linksModuleData: { uris: [{ id: 'card', uri: cardUrl, description: 'Business card' }] }
+    };
+
+    const result = { genericClass, genericObject };
+
+    if (config.serviceAccount) {
+        const jwt = signJwt({
+            iss: config.serviceAccount.client_email,
+            aud: 'google',
+            typ: 'savetowallet',
+            iat: Math.floor(Date.now() / 1000),
+            payload: { genericClasses: [genericClass], genericObjects: [genericObject] }
+        }, config.serviceAccount.private_key);
+        result.saveUrl = `${GOOGLE_SAVE_URL}/${jwt}`;
+    }
+
+    return result;
+}
+
+function signJwt(claims, privateKey) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode(claims)}`;
+    const signature = createSign('RSA-SHA256').update(unsigned).sign(privateKey, 'base64url');
+    return `${unsigned}.${signature}`;
+}
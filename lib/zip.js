@@ -0,0 +1,81 @@
+/**
+ * Minimal ZIP writer
+ *
+ * Enough for wallet passes: deflated entries, UTF-8 names, no
+ * directories, no ZIP64.
+ */
+
+import { deflateRawSync } from 'zlib';
+
+// CRC-32 lookup table (zlib.crc32 needs Node 20.15+)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Build a ZIP archive from { name: Buffer | string }
+ */
+export function createZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const [name, content] of Object.entries(files)) {
+        const nameBytes = Buffer.from(name, 'utf8');
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+        const compressed = deflateRawSync(data);
+        const checksum = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);             // version needed
+        local.writeUInt16LE(0x0800, 6);         // UTF-8 names
+        local.writeUInt16LE(8, 8);              // deflate
+        local.writeUInt16LE(0, 10);             // time
+        local.writeUInt16LE(0x21, 12);          // date: 1980-01-01
+        local.writeUInt32LE(checksum, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);           // version made by
+        local.copy(central, 6, 4, 30);          // shared header fields
+        central.writeUInt16LE(0, 32);           // comment length
+        central.writeUInt16LE(0, 34);           // disk
+        central.writeUInt16LE(0, 36);           // internal attributes
+        central.writeUInt32LE(0, 38);           // external attributes
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBytes, compressed);
+        centrals.push(central, nameBytes);
+        offset += local.length + nameBytes.length + compressed.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * CRC-32 (ISO-HDLC, as ZIP uses) of a buffer
+ */
+export function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
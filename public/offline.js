@@ -0,0 +1,29 @@
+// List the cards the service worker has cached
+(async function () {
+    const list = document.getElementById('cards');
+    if (!('caches' in window)) {
+        return;
+    }
+
+    const cache = await caches.open('bizbuz-cards');
+    const keys = (await cache.keys())
+        .filter(request => new URL(request.url).pathname.startsWith('/card/'))
+        .reverse();
+
+    for (const request of keys) {
+        const response = await cache.match(request, { ignoreVary: true });
+        const html = response ? await response.text() : '';
+        const title = new DOMParser().parseFromString(html, 'text/html').title || new URL(request.url).pathname;
+
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = request.url;
+        link.textContent = title.replace(/ - Digital Business Card$/, '');
+        item.appendChild(link);
+        list.appendChild(item);
+    }
+
+    if (!keys.length) {
+        list.previousElementSibling.textContent = 'This page isn\'t saved on this device, and no cards have been saved for offline use yet.';
+    }
+})();
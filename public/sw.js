@@ -0,0 +1,95 @@
+/**
+ * BizBuz service worker
+ *
+ * Keeps the app shell and every card you view available
+ * offline. Cards, their vCards, QR codes and avatars are fetched
+ * network-first, so they stay current online, and served from
+ * the cache when the network is gone. Viewing a card also caches
+ * its vCard and QR, so Save Contact works offline too. Share
+ * links (/s/) and the API are never cached.
+ */
+
+const VERSION = 'v1';
+const SHELL_CACHE = `bizbuz-shell-${VERSION}`;
+const CARD_CACHE = 'bizbuz-cards';
+const MAX_CARD_ENTRIES = 200;
+
+const SHELL = ['/', '/landing.js', '/offline.html', '/offline.js', '/manifest.webmanifest', '/icon-192.png'];
+const CARD_PATH = /^\/(card|vcard|qr|avatar|manifest)\//;
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(SHELL_CACHE)
+        .then(cache => cache.addAll(SHELL))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('bizbuz-shell-') && key !== SHELL_CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (CARD_PATH.test(url.pathname)) {
+        // Only the card page itself is cached for /card, not
+        // other representations asked for through Accept
+        if (url.pathname.startsWith('/card/') && request.mode !== 'navigate') {
+            return;
+        }
+        event.respondWith(networkFirst(request, CARD_CACHE, event));
+    } else if (SHELL.includes(url.pathname)) {
+        event.respondWith(networkFirst(request, SHELL_CACHE, event));
+    }
+});
+
+async function networkFirst(request, cacheName, event) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            if (request.mode === 'navigate' && new URL(request.url).pathname.startsWith('/card/')) {
+                event.waitUntil(cacheCardFiles(cache, request.url).then(() => trim(cache)));
+            }
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreVary: true });
+        if (cached) {
+            return cached;
+        }
+        if (request.mode === 'navigate') {
+            return caches.match('/offline.html');
+        }
+        throw error;
+    }
+}
+
+// The vCard and QR code that go with a card page
+async function cacheCardFiles(cache, cardUrl) {
+    const rest = new URL(cardUrl).pathname.slice('/card/'.length);
+    await Promise.all([`/vcard/${rest}`, `/qr/${rest}`].map(async path => {
+        try {
+            const response = await fetch(path);
+            if (response.ok) {
+                await cache.put(path, response);
+            }
+        } catch (error) {
+            // Offline again; the page itself is cached
+        }
+    }));
+}
+
+// Drop the oldest entries past MAX_CARD_ENTRIES
+async function trim(cache) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_CARD_ENTRIES)).map(key => cache.delete(key)));
+}
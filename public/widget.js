@@ -0,0 +1,37 @@
+/**
+ * BizBuz card widget
+ *
+ * <script src="https://bizbuz.planetnine.app/widget.js" data-card="<identifier>" async></script>
+ *
+ * Puts an iframe of /embed/<identifier> where the script tag is
+ * and keeps it as tall as the card. Optional attributes:
+ * data-persona, data-theme and data-width (CSS width, default
+ * 100% up to 400px).
+ */
+(function () {
+    const script = document.currentScript;
+    if (!script || !script.dataset.card) {
+        console.error('BizBuz widget: add data-card="<identifier>" to the script tag');
+        return;
+    }
+
+    const origin = new URL(script.src).origin;
+    const { card, persona, theme, width } = script.dataset;
+
+    const iframe = document.createElement('iframe');
+    iframe.src = `${origin}/embed/${encodeURIComponent(card)}`
+        + (persona ? `/${encodeURIComponent(persona)}` : '')
+        + (theme ? `?theme=${encodeURIComponent(theme)}` : '');
+    iframe.title = 'Business card';
+    iframe.loading = 'lazy';
+    iframe.style.cssText = `border:0;display:block;width:${width || '100%'};max-width:${width ? 'none' : '400px'};height:460px;`;
+
+    window.addEventListener('message', event => {
+        if (event.source === iframe.contentWindow && event.origin === origin
+            && event.data && event.data.type === 'bizbuz:resize') {
+            iframe.style.height = `${Math.ceil(event.data.height)}px`;
+        }
+    });
+
+    script.parentNode.insertBefore(iframe, script.nextSibling);
+})();
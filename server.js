@@ -13,19 +13,154 @@
  */
 
 import express from 'express';
-import QRCode from 'qrcode';
 import sessionless from 'sessionless-node';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { createHash } from 'crypto';
+import { parseIdentifier, canonicalIdentifier, canonicalPath } from './lib/identifier.js';
+import { verifySignedRequest } from './lib/auth.js';
+import { generateVCard, generateJCard, negotiateVCardVersion } from './lib/vcard.js';
+import { buildQr, parseQrOptions } from './lib/qr.js';
+import { buildOfflinePayload, parseQrMode } from './lib/offline-qr.js';
+import { createProfileCache } from './lib/profile-cache.js';
+import { createProfileProvider } from './lib/providers/index.js';
+import { loadThemes } from './lib/themes.js';
+import { generateBusinessCardPage, generateEmbedPage } from './lib/card-page.js';
+import { parseOEmbedRequest, oembedResponse, renderEmailSignature, SIGNATURE_FORMATS } from './lib/embed.js';
+import { escapeHtml, getInitials } from './lib/html.js';
+import { renderAvatar, avatarDataUri, parseAvatarOptions } from './lib/avatar.js';
+import { cardModel, cardJsonLd, negotiateMediaType, CARD_MEDIA_TYPES } from './lib/card-data.js';
+import { siteManifest, cardManifest, renderAppIcon, MANIFEST_CONTENT_TYPE } from './lib/pwa.js';
+import { renderOgImage } from './lib/og-image.js';
+import { renderPrint, renderTeamPrint, parsePrintOptions } from './lib/print.js';
+import { createZip } from './lib/zip.js';
+import {
+    getPersonas,
+    getPersona,
+    savePersona,
+    deletePersona,
+    validatePersona,
+    validatePersonaName,
+    applyPersona,
+    publicPersonas
+} from './lib/personas.js';
+import {
+    validateShareRequest,
+    createShare,
+    listShares,
+    revokeShare,
+    openShare,
+    isPreviewRequest
+} from './lib/shares.js';
+import { parseNdefOptions, uriRecord, mimeRecord, encodeNdefMessage, ndefSizeReport } from './lib/ndef.js';
+import { loadPassSigner, createApplePass, loadGoogleWalletConfig, createGooglePass } from './lib/wallet.js';
+import {
+    spamReason,
+    validateExchangeContact,
+    cardContact,
+    addToInbox,
+    getInbox,
+    removeFromInbox,
+    publicEntry
+} from './lib/inbox.js';
+import {
+    ROLODEX_FORMATS,
+    validateRolodexEntry,
+    getRolodex,
+    saveRolodexEntry,
+    removeRolodexEntry,
+    refreshRolodex,
+    rolodexCsv
+} from './lib/rolodex.js';
+import {
+    getOrg,
+    findOrg,
+    createOrg,
+    updateOrg,
+    addOrgMember,
+    removeOrgMember,
+    assertOrgAdmin,
+    hasJoinedOrg,
+    validateOrg,
+    validateOrgMember,
+    orgLogo,
+    withOrgBranding
+} from './lib/orgs.js';
+import { generateOrgDirectoryPage, searchMembers } from './lib/org-page.js';
+import { createRateLimiter } from './lib/rate-limit.js';
+import { securityHeaders, allowFraming } from './lib/security.js';
+import {
+    getCardSettings,
+    saveCardSettings,
+    deleteCardSettings,
+    validateSettings,
+    applySettings,
+    publicSettings
+} from './lib/settings.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 3013;
+const PUBLIC_URL = (process.env.PUBLIC_URL || 'https://bizbuz.planetnine.app').replace(/\/+$/, '');
 
 // Configuration
+const PROFILE_PROVIDER = process.env.PROFILE_PROVIDER || 'prof';
 const PROF_BASE_URL = process.env.PROF_BASE_URL || 'http://localhost:3012';
+const FOUNT_BASE_URL = process.env.FOUNT_BASE_URL || 'http://localhost:3006';
+const PROFILES_DIR = process.env.PROFILES_DIR || join(__dirname, 'profiles');
+const THEMES_DIR = process.env.THEMES_DIR || null;
+const PROFILE_CACHE_TTL = Number(process.env.PROFILE_CACHE_TTL || 60);          // seconds
+const PROFILE_CACHE_STALE = Number(process.env.PROFILE_CACHE_STALE || 600);     // seconds
+const PROFILE_CACHE_MAX_STALE = Number(process.env.PROFILE_CACHE_MAX_STALE || 86400); // seconds
+const PROF_TIMEOUT_MS = Number(process.env.PROF_TIMEOUT_MS || 3000);
+const PROF_RETRIES = Number(process.env.PROF_RETRIES || 2);
+const VCARD_PHOTO_SIZE = 128;
+const PRINT_FONTS = {
+    regular: process.env.PRINT_FONT || null,       // TTF/OTF for PDF text; default Helvetica
+    bold: process.env.PRINT_FONT_BOLD || null
+};
+const PASS_ORGANIZATION = process.env.PASS_ORGANIZATION || 'BizBuz';
+const TRUST_PROXY = process.env.TRUST_PROXY || null;                            // e.g. 'loopback' or 1 behind a reverse proxy
+const EMBED_FRAME_ANCESTORS = process.env.EMBED_FRAME_ANCESTORS || '*';          // sites allowed to frame /embed
+const RATE_LIMIT_PER_MINUTE = Number(process.env.RATE_LIMIT_PER_MINUTE || 120);  // card lookups per IP
+const NOT_FOUND_LIMIT = Number(process.env.NOT_FOUND_LIMIT || 30);               // unknown identifiers per IP per 10 minutes
+
+// Fields copied from a sender's own card into the owner's inbox
+
+const profileProvider = createProfileProvider({
+    provider: PROFILE_PROVIDER,
+    profBaseUrl: PROF_BASE_URL,
+    fountBaseUrl: FOUNT_BASE_URL,
+    profilesDir: PROFILES_DIR,
+    timeout: PROF_TIMEOUT_MS,
+    retries: PROF_RETRIES
+});
+
+// Built-in themes, then any self-hosted ones (which may override)
+const themes = await loadThemes([join(__dirname, 'themes'), THEMES_DIR]);
+
+// Wallet signing material, read once from the configured paths
+const passSigner = loadPassSigner({
+    certPath: process.env.PASS_CERT,
+    keyPath: process.env.PASS_KEY,
+    keyPassphrase: process.env.PASS_KEY_PASSPHRASE,
+    wwdrPath: process.env.PASS_WWDR_CERT,
+    passTypeIdentifier: process.env.PASS_TYPE_ID,
+    teamIdentifier: process.env.PASS_TEAM_ID
+});
+const googleWallet = loadGoogleWalletConfig({
+    issuerId: process.env.GOOGLE_WALLET_ISSUER_ID,
+    keyPath: process.env.GOOGLE_WALLET_KEY
+});
+
+const profileCache = createProfileCache({
+    load: fetchProfile,
+    ttl: PROFILE_CACHE_TTL * 1000,
+    staleTtl: PROFILE_CACHE_STALE * 1000,
+    maxStale: PROFILE_CACHE_MAX_STALE * 1000
+});
 
 console.log('');
 console.log('  ____  _     ____            ');
@@ -38,12 +173,47 @@ console.log(' Digital Business Cards');
 console.log(' Powered by Planet Nine');
 console.log('================================');
 console.log(`Port: ${PORT}`);
-console.log(`Prof URL: ${PROF_BASE_URL}`);
+console.log(`Profile provider: ${PROFILE_PROVIDER}`);
+if (PROFILE_PROVIDER === 'prof') console.log(`Prof URL: ${PROF_BASE_URL}`);
+if (PROFILE_PROVIDER === 'fount') console.log(`Fount URL: ${FOUNT_BASE_URL}`);
+if (PROFILE_PROVIDER === 'local') console.log(`Profiles dir: ${PROFILES_DIR}`);
+console.log(`Apple Wallet: ${passSigner ? passSigner.passTypeIdentifier : 'not configured'}`);
+console.log(`Google Wallet: ${googleWallet ? googleWallet.issuerId : 'not configured'}`);
 console.log('');
 
+// Contact exchange spam limits: per sender IP, and per receiving owner
+const exchangeIpLimiter = createRateLimiter({ windowMs: 10 * 60 * 1000, max: 5 });
+const exchangeOwnerLimiter = createRateLimiter({
+    windowMs: 24 * 60 * 60 * 1000,
+    max: 100,
+    message: 'This card is not accepting more contacts today'
+});
+
+// Card lookup limits per IP: overall, and for lookups that find
+// nothing, so identifiers can't be enumerated against Prof
+const lookupLimiter = createRateLimiter({ windowMs: 60 * 1000, max: RATE_LIMIT_PER_MINUTE });
+const notFoundLimiter = createRateLimiter({
+    windowMs: 10 * 60 * 1000,
+    max: NOT_FOUND_LIMIT,
+    message: 'Too many unknown cards requested, try again later'
+});
+
+// Routes that look cards up (most of them through Prof); only
+// their reads are limited, as writes are signed by owners
+const LOOKUP_ROUTES = [
+    '/card', '/embed', '/oembed', '/signature', '/vcard', '/avatar', '/og', '/print',
+    '/pass', '/ndef', '/qr', '/s', '/org', '/manifest', '/api/profile', '/api/card', '/api/org'
+];
+const LOOKUP_METHODS = ['GET', 'HEAD'];
+
 // Middleware
+if (TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
+app.use(securityHeaders({ hsts: PUBLIC_URL.startsWith('https:') }));
 app.use(express.static(join(__dirname, 'public')));
 app.use(express.json());
+app.use(LOOKUP_ROUTES, limitLookups);
 
 /**
  * GET / - Landing page
@@ -55,582 +225,1946 @@ app.get('/', async (req, res) => {
 });
 
 /**
- * GET /card/:identifier - View business card
+ * GET /manifest.webmanifest - Web app manifest for the landing page
+ */
+app.get('/manifest.webmanifest', (req, res) => {
+    res.type(MANIFEST_CONTENT_TYPE).send(JSON.stringify(siteManifest()));
+});
+
+/**
+ * GET /manifest/:identifier/:persona? - Web app manifest for a card
  *
- * identifier can be:
- * - pubKey (66 hex chars)
- * - emojicode (8 emojis)
- * - prof UUID
+ * Installs the card as its own home screen app, with a
+ * "Present my QR" shortcut.
  */
-app.get('/card/:identifier', async (req, res) => {
+app.get('/manifest/:identifier/:persona?', async (req, res) => {
     try {
-        const { identifier } = req.params;
+        const { identifier, persona } = req.params;
+        const card = await resolveCard(identifier, persona);
 
-        console.log(`Fetching business card for: ${identifier}`);
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
 
-        // Fetch profile from Prof service
-        const profile = await fetchProfile(identifier);
+        if (card.identifier !== identifier) {
+            return redirectToCanonical(req, res, card.identifier);
+        }
 
-        if (!profile) {
-            return res.status(404).send(generateErrorPage('Profile not found'));
+        if (sendCacheHeaders(req, res, card)) {
+            return;
         }
 
-        // Generate the business card page
-        const html = await generateBusinessCardPage(profile, identifier);
-        res.send(html);
+        const theme = themes.get(card.settings.theme);
+        const manifest = cardManifest(card.profile, {
+            cardPath: cardPath(card),
+            accent: card.settings.accentColor || theme.accent
+        });
+        res.type(MANIFEST_CONTENT_TYPE).send(JSON.stringify(manifest));
 
     } catch (error) {
-        console.error('Error fetching card:', error);
-        res.status(500).send(generateErrorPage(error.message));
+        sendJsonError(res, error, 'Error generating manifest');
     }
 });
 
 /**
- * GET /vcard/:identifier - Download vCard file
+ * GET /icon-:size.png - App icon (192 or 512 px)
  */
-app.get('/vcard/:identifier', async (req, res) => {
+app.get('/icon-:size.png', async (req, res) => {
     try {
-        const { identifier } = req.params;
+        const icon = await renderAppIcon(join(__dirname, 'public', 'icon.svg'), Number(req.params.size));
+        if (!icon) {
+            return res.status(404).json({ error: 'Icon not found' });
+        }
+        res.setHeader('Cache-Control', 'public, max-age=86400');
+        res.type('png').send(icon);
+    } catch (error) {
+        sendJsonError(res, error, 'Error rendering icon');
+    }
+});
 
-        console.log(`Generating vCard for: ${identifier}`);
+/**
+ * GET /health - Service and upstream status
+ *
+ * Always 200 while BizBuz itself is up; status is 'degraded'
+ * when the profile source is unreachable or its circuit is
+ * open, since cached cards can still be served.
+ */
+app.get('/health', async (req, res) => {
+    const upstream = await profileProvider.health();
+    const healthy = upstream.reachable && (!upstream.circuit || upstream.circuit === 'closed');
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+        status: healthy ? 'ok' : 'degraded',
+        service: 'bizbuz',
+        uptime: Math.round(process.uptime()),
+        profileCache: { entries: profileCache.size },
+        provider: profileProvider.name,
+        upstream
+    });
+});
 
-        // Fetch profile from Prof service
-        const profile = await fetchProfile(identifier);
+/**
+ * GET /api/themes - List installed card themes
+ */
+app.get('/api/themes', (req, res) => {
+    res.json({ success: true, themes: themes.list() });
+});
 
-        if (!profile) {
-            return res.status(404).json({ error: 'Profile not found' });
+/**
+ * GET /card/:identifier/:persona? - View business card
+ *
+ * identifier can be:
+ * - pubKey (66 hex chars)
+ * - emojicode (8 emojis)
+ * - prof UUID
+ *
+ * persona optionally names one of the owner's personas.
+ * ?theme= picks a theme, overriding the owner's setting.
+ * Accept can ask for text/vcard, application/vcard+json or
+ * application/ld+json instead of the page.
+ */
+app.get('/card/:identifier/:persona?', async (req, res) => {
+    try {
+        const { identifier, persona } = req.params;
+        const type = negotiateMediaType(req.get('Accept'), [
+            CARD_MEDIA_TYPES.html, CARD_MEDIA_TYPES.vcard, CARD_MEDIA_TYPES.jcard, CARD_MEDIA_TYPES.jsonLd
+        ]);
+
+        console.log(`Fetching business card for: ${identifier}${persona ? ` (${persona})` : ''}`);
+
+        // Resolve identifier and fetch profile from Prof service
+        const card = await resolveCard(identifier, persona);
+
+        if (!card) {
+            return res.status(404).send(generateErrorPage('Profile not found'));
         }
 
-        // Generate vCard
-        const vcard = generateVCard(profile);
+        if (card.identifier !== identifier) {
+            return redirectToCanonical(req, res, card.identifier);
+        }
 
-        // Set headers for download
-        const filename = `${profile.name || 'contact'}.vcf`.replace(/[^a-zA-Z0-9.-]/g, '_');
-        res.setHeader('Content-Type', 'text/vcard');
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.send(vcard);
+        if (sendCacheHeaders(req, res, card, { html: type === CARD_MEDIA_TYPES.html })) {
+            return;
+        }
+
+        await sendCardAs(req, res, card, type);
 
     } catch (error) {
-        console.error('Error generating vCard:', error);
-        res.status(500).json({ error: error.message });
+        sendHtmlError(res, error, 'Error fetching card');
     }
 });
 
 /**
- * GET /qr/:identifier - Generate QR code for card URL
+ * GET /embed/:identifier/:persona? - Compact card for iframes
+ *
+ * Frameable by any site unless EMBED_FRAME_ANCESTORS narrows it.
+ * ?theme= as for /card.
  */
-app.get('/qr/:identifier', async (req, res) => {
+app.get('/embed/:identifier/:persona?', async (req, res) => {
     try {
-        const { identifier } = req.params;
-        const cardUrl = `${req.protocol}://${req.get('host')}/card/${identifier}`;
-
-        // Generate QR code as PNG
-        const qrBuffer = await QRCode.toBuffer(cardUrl, {
-            type: 'png',
-            width: 300,
-            margin: 2,
-            color: {
-                dark: '#10b981',  // Planet Nine green
-                light: '#0a001a'  // Dark background
-            }
-        });
+        const { identifier, persona } = req.params;
+        const card = await resolveCard(identifier, persona);
 
-        res.setHeader('Content-Type', 'image/png');
-        res.send(qrBuffer);
+        if (!card) {
+            return res.status(404).send(generateErrorPage('Profile not found'));
+        }
+
+        if (card.identifier !== identifier) {
+            return redirectToCanonical(req, res, card.identifier);
+        }
+
+        const theme = themes.get(req.query.theme || card.settings.theme);
+
+        allowFraming(res, EMBED_FRAME_ANCESTORS);
+        if (sendCacheHeaders(req, res, card, { html: true })) {
+            return;
+        }
+
+        const html = await generateEmbedPage(card.profile, card.identifier, card.settings, theme, {
+            baseUrl: PUBLIC_URL,
+            persona: card.persona,
+            org: card.org,
+            nonce: res.locals.nonce
+        });
+        res.send(html);
 
     } catch (error) {
-        console.error('Error generating QR:', error);
-        res.status(500).json({ error: error.message });
+        sendHtmlError(res, error, 'Error rendering embed');
     }
 });
 
 /**
- * GET /api/profile/:identifier - Get profile as JSON
+ * GET /oembed - oEmbed for card URLs
+ *
+ * Query: ?url=<card URL>[&maxwidth=&maxheight=&format=json]
  */
-app.get('/api/profile/:identifier', async (req, res) => {
+app.get('/oembed', async (req, res) => {
     try {
-        const { identifier } = req.params;
-        const profile = await fetchProfile(identifier);
+        const request = parseOEmbedRequest(req.query, PUBLIC_URL);
+        const card = await resolveCard(request.identifier, request.persona);
 
-        if (!profile) {
+        if (!card) {
             return res.status(404).json({ error: 'Profile not found' });
         }
 
-        res.json({ success: true, profile });
+        if (sendCacheHeaders(req, res, card)) {
+            return;
+        }
+
+        res.json(oembedResponse(card.profile, {
+            embedUrl: `${PUBLIC_URL}${cardPath(card, 'embed')}`,
+            baseUrl: PUBLIC_URL,
+            thumbnailUrl: `${PUBLIC_URL}/og/${encodeURIComponent(card.identifier)}.png`,
+            maxWidth: request.maxWidth,
+            maxHeight: request.maxHeight
+        }));
 
     } catch (error) {
-        console.error('Error fetching profile:', error);
-        res.status(500).json({ error: error.message });
+        sendJsonError(res, error, 'Error answering oEmbed request');
     }
 });
 
 /**
- * Fetch profile from Prof service
+ * GET /signature/:identifier/:persona? - Email signature snippet
+ *
+ * ?format=html (default, paste into the mail client's
+ * signature editor), text or json (both); ?qr=1 adds the card QR.
  */
-async function fetchProfile(identifier) {
+app.get('/signature/:identifier/:persona?', async (req, res) => {
     try {
-        // Try fetching by UUID first
-        const response = await fetch(`${PROF_BASE_URL}/profile/${identifier}`);
+        const { identifier, persona } = req.params;
+        const format = String(req.query.format || 'html').toLowerCase();
+        if (!SIGNATURE_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${SIGNATURE_FORMATS.join(', ')}` });
+        }
+
+        const card = await resolveCard(identifier, persona);
 
-        if (response.ok) {
-            const data = await response.json();
-            return data.profile || data;
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
         }
 
-        // If not found, return demo profile for testing
-        if (identifier === 'demo') {
-            return getDemoProfile();
+        if (card.identifier !== identifier) {
+            return redirectToCanonical(req, res, card.identifier);
         }
 
-        return null;
+        if (sendCacheHeaders(req, res, card)) {
+            return;
+        }
 
-    } catch (error) {
-        console.error('Prof fetch error:', error.message);
+        const theme = themes.get(card.settings.theme);
+        const id = encodeURIComponent(card.identifier);
+        const signature = renderEmailSignature(card.profile, card.settings, {
+            cardUrl: `${PUBLIC_URL}${cardPath(card)}`,
+            avatarUrl: `${PUBLIC_URL}/avatar/${id}?size=144&format=png`,
+            qrUrl: ['1', 'true', 'yes'].includes(String(req.query.qr).toLowerCase())
+                ? `${PUBLIC_URL}${cardPath(card, 'qr')}?size=144&margin=1&fg=111827&bg=ffffff`
+                : null,
+            accent: card.settings.accentColor || theme.accent
+        });
 
-        // Return demo profile if Prof service unavailable
-        if (identifier === 'demo') {
-            return getDemoProfile();
+        if (format === 'json') {
+            return res.json({ success: true, identifier: card.identifier, ...signature });
         }
+        res.type(format === 'text' ? 'text/plain' : 'text/html').send(signature[format]);
 
-        return null;
+    } catch (error) {
+        sendJsonError(res, error, 'Error rendering email signature');
     }
-}
-
-/**
- * Demo profile for testing
- */
-function getDemoProfile() {
-    return {
-        name: 'Ada Lovelace',
-        title: 'Software Enchantress',
-        company: 'Planet Nine',
-        email: 'ada@planetnine.app',
-        phone: '+1 (555) 123-4567',
-        website: 'https://planetnine.app',
-        location: 'The Cosmos',
-        bio: 'Building the future of privacy-first technology.',
-        social: {
-            github: 'planet-nine-app',
-            twitter: 'planetnine'
-        }
-    };
-}
+});
 
 /**
- * Generate vCard 3.0 format
+ * GET /vcard/:identifier/:persona? - Download vCard file
+ *
+ * ?version=3.0|4.0 (or Accept: text/vcard;version=4.0)
+ * selects the vCard version; 3.0 is the default.
  */
-function generateVCard(profile) {
-    const lines = [
-        'BEGIN:VCARD',
-        'VERSION:3.0',
-    ];
+app.get('/vcard/:identifier/:persona?', async (req, res) => {
+    try {
+        const { identifier, persona } = req.params;
+        const version = negotiateVCardVersion(req.query.version, req.get('Accept'));
 
-    if (profile.name) {
-        lines.push(`FN:${profile.name}`);
-        // Try to split into first/last name
-        const parts = profile.name.split(' ');
-        if (parts.length >= 2) {
-            lines.push(`N:${parts.slice(1).join(' ')};${parts[0]};;;`);
-        } else {
-            lines.push(`N:;${profile.name};;;`);
-        }
-    }
+        console.log(`Generating vCard ${version} for: ${identifier}`);
 
-    if (profile.title) {
-        lines.push(`TITLE:${profile.title}`);
-    }
+        // Resolve identifier and fetch profile from Prof service
+        const card = await resolveCard(identifier, persona);
 
-    if (profile.company) {
-        lines.push(`ORG:${profile.company}`);
-    }
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
 
-    if (profile.email) {
-        lines.push(`EMAIL;TYPE=INTERNET:${profile.email}`);
-    }
+        if (card.identifier !== identifier) {
+            return redirectToCanonical(req, res, card.identifier);
+        }
 
-    if (profile.phone) {
-        lines.push(`TEL;TYPE=CELL:${profile.phone}`);
-    }
+        if (sendCacheHeaders(req, res, card)) {
+            return;
+        }
 
-    if (profile.website) {
-        lines.push(`URL:${profile.website}`);
-    }
+        await sendVCard(res, card, version);
 
-    if (profile.location) {
-        lines.push(`ADR;TYPE=WORK:;;${profile.location};;;;`);
+    } catch (error) {
+        sendJsonError(res, error, 'Error generating vCard');
     }
+});
 
-    if (profile.bio) {
-        lines.push(`NOTE:${profile.bio}`);
-    }
+/**
+ * GET /avatar/:identifier - Card avatar image
+ *
+ * The profile photo, cropped square and resized, when the
+ * profile has one; otherwise an identicon generated from the
+ * owner's pubKey with their initials.
+ *
+ * Query options:
+ * - size: width and height in px (32-1024, default 256)
+ * - format: png | jpeg | webp (photos default to jpeg,
+ *   generated avatars to png)
+ */
+app.get('/avatar/:identifier', async (req, res) => {
+    try {
+        const { identifier } = req.params;
+        const options = parseAvatarOptions(req.query);
+        const card = await resolveCard(identifier);
 
-    // Add social links as URLs
-    if (profile.social) {
-        if (profile.social.github) {
-            lines.push(`URL;TYPE=GitHub:https://github.com/${profile.social.github}`);
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
         }
-        if (profile.social.twitter) {
-            lines.push(`URL;TYPE=Twitter:https://twitter.com/${profile.social.twitter}`);
+
+        if (card.identifier !== identifier) {
+            return redirectToCanonical(req, res, card.identifier);
         }
-        if (profile.social.linkedin) {
-            lines.push(`URL;TYPE=LinkedIn:https://linkedin.com/in/${profile.social.linkedin}`);
+
+        if (sendCacheHeaders(req, res, card)) {
+            return;
         }
-    }
 
-    lines.push('END:VCARD');
+        const avatar = await renderAvatar(card.profile, {
+            ...options,
+            seed: card.pubKey || card.identifier
+        });
 
-    return lines.join('\r\n');
-}
+        res.setHeader('X-Avatar-Source', avatar.source);
+        res.setHeader('Content-Type', avatar.contentType);
+        res.send(avatar.body);
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error rendering avatar');
+    }
+});
 
 /**
- * Generate business card HTML page
+ * GET /og/:identifier.png - Link preview image
+ *
+ * 1200x630 PNG with the card's name, title, company, avatar
+ * and QR, used for og:image / twitter:image. ?theme= as for
+ * /card. Renders are cached per profile version.
  */
-async function generateBusinessCardPage(profile, identifier) {
-    // Generate QR code as data URL
-    const cardUrl = `https://bizbuz.planetnine.app/card/${identifier}`;
-    const qrDataUrl = await QRCode.toDataURL(cardUrl, {
-        width: 150,
-        margin: 1,
-        color: {
-            dark: '#10b981',
-            light: '#1a0033'
-        }
-    });
+app.get('/og/:identifier.png', async (req, res) => {
+    try {
+        const { identifier } = req.params;
+        const card = await resolveCard(identifier);
 
-    return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${profile.name || 'BizBuz'} - Digital Business Card</title>
-    <meta name="description" content="${profile.title || ''} at ${profile.company || 'Planet Nine'}">
-    <style>
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
         }
 
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            background: linear-gradient(135deg, #0a001a 0%, #1a0033 50%, #0a001a 100%);
-            min-height: 100vh;
-            display: flex;
-            flex-direction: column;
-            align-items: center;
-            justify-content: center;
-            padding: 20px;
-            color: white;
+        if (card.identifier !== identifier) {
+            return redirectToCanonical(req, res, card.identifier);
         }
 
-        .card {
-            background: rgba(255, 255, 255, 0.05);
-            border: 1px solid rgba(16, 185, 129, 0.3);
-            border-radius: 24px;
-            padding: 40px;
-            max-width: 400px;
-            width: 100%;
-            text-align: center;
-            backdrop-filter: blur(10px);
-            box-shadow:
-                0 0 40px rgba(16, 185, 129, 0.1),
-                0 0 80px rgba(139, 92, 246, 0.05);
-            position: relative;
-            overflow: hidden;
-        }
+        const theme = themes.get(req.query.theme || card.settings.theme);
 
-        .card::before {
-            content: '';
-            position: absolute;
-            top: -50%;
-            left: -50%;
-            width: 200%;
-            height: 200%;
-            background: radial-gradient(circle, rgba(16, 185, 129, 0.1) 0%, transparent 50%);
-            animation: pulse 4s ease-in-out infinite;
+        if (sendCacheHeaders(req, res, card)) {
+            return;
         }
 
-        @keyframes pulse {
-            0%, 100% { opacity: 0.5; transform: scale(1); }
-            50% { opacity: 1; transform: scale(1.1); }
-        }
+        const image = await renderOgImage({
+            profile: card.profile,
+            identifier: card.identifier,
+            seed: card.pubKey,
+            theme,
+            accent: card.settings.accentColor || theme.accent,
+            cardUrl: `${PUBLIC_URL}/card/${encodeURIComponent(card.identifier)}`,
+            version: card.version
+        });
 
-        .card-content {
-            position: relative;
-            z-index: 1;
-        }
+        res.setHeader('Content-Type', 'image/png');
+        res.send(image);
 
-        .avatar {
-            width: 100px;
-            height: 100px;
-            border-radius: 50%;
-            background: linear-gradient(135deg, #10b981 0%, #059669 100%);
-            margin: 0 auto 20px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            font-size: 40px;
-            font-weight: bold;
-            color: white;
-            box-shadow: 0 0 30px rgba(16, 185, 129, 0.4);
-        }
+    } catch (error) {
+        sendJsonError(res, error, 'Error rendering preview image');
+    }
+});
 
-        .name {
-            font-size: 28px;
-            font-weight: 700;
-            margin-bottom: 8px;
-            background: linear-gradient(135deg, #10b981 0%, #a78bfa 100%);
-            -webkit-background-clip: text;
-            -webkit-text-fill-color: transparent;
-            background-clip: text;
-        }
+/**
+ * GET /print/:identifier - Print-ready card
+ *
+ * Query options:
+ * - format: pdf (default) | svg
+ * - size: us (3.5 x 2 in, default) | eu (85 x 55 mm)
+ * - side: front | back | both (PDF only; default both for
+ *   PDF, front for SVG)
+ * - layout: single (default) | sheet - 10-up imposition
+ * - paper: letter | a4 for sheets (default by size)
+ * - marks, bleed: crop marks and bleed, on unless 0/false
+ * - theme: as for /card
+ */
+app.get('/print/:identifier', async (req, res) => {
+    try {
+        const { identifier } = req.params;
+        const options = parsePrintOptions(req.query);
+        const card = await resolveCard(identifier);
 
-        .title {
-            font-size: 16px;
-            color: rgba(167, 139, 250, 0.9);
-            margin-bottom: 4px;
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
         }
 
-        .company {
-            font-size: 14px;
-            color: rgba(255, 255, 255, 0.6);
-            margin-bottom: 20px;
+        if (card.identifier !== identifier) {
+            return redirectToCanonical(req, res, card.identifier);
         }
 
-        .bio {
-            font-size: 14px;
-            color: rgba(255, 255, 255, 0.7);
-            line-height: 1.6;
-            margin-bottom: 24px;
-            font-style: italic;
-        }
+        const theme = themes.get(req.query.theme || card.settings.theme);
 
-        .contact-info {
-            text-align: left;
-            margin-bottom: 24px;
+        if (sendCacheHeaders(req, res, card)) {
+            return;
         }
 
-        .contact-item {
-            display: flex;
-            align-items: center;
-            gap: 12px;
-            padding: 10px 0;
-            border-bottom: 1px solid rgba(255, 255, 255, 0.1);
-            color: rgba(255, 255, 255, 0.8);
-            text-decoration: none;
-            transition: color 0.2s;
-        }
+        const print = await renderPrint(card, {
+            theme,
+            accent: card.settings.accentColor || theme.accent,
+            cardUrl: `${PUBLIC_URL}/card/${encodeURIComponent(card.identifier)}`,
+            fonts: PRINT_FONTS
+        }, options);
 
-        .contact-item:hover {
-            color: #10b981;
-        }
+        res.setHeader('Content-Type', print.contentType);
+        res.setHeader('Content-Disposition', `inline; filename="${print.filename}"`);
+        res.send(print.body);
 
-        .contact-item:last-child {
-            border-bottom: none;
-        }
+    } catch (error) {
+        sendJsonError(res, error, 'Error rendering print file');
+    }
+});
 
-        .contact-icon {
-            width: 20px;
-            text-align: center;
-            color: #10b981;
-        }
+/**
+ * GET /pass/:identifier.pkpass - Apple Wallet pass
+ *
+ * Generic pass with name, title, company and contacts; the
+ * barcode is the card QR. 501 unless PASS_CERT and friends are
+ * configured.
+ */
+app.get('/pass/:identifier.pkpass', async (req, res) => {
+    try {
+        const { identifier } = req.params;
+        const card = await resolveCard(identifier);
 
-        .qr-section {
-            margin-top: 24px;
-            padding-top: 24px;
-            border-top: 1px solid rgba(255, 255, 255, 0.1);
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
         }
 
-        .qr-code {
-            background: #1a0033;
-            padding: 10px;
-            border-radius: 12px;
-            display: inline-block;
-            margin-bottom: 12px;
+        if (card.identifier !== identifier) {
+            return redirectToCanonical(req, res, card.identifier);
         }
 
-        .qr-code img {
-            display: block;
+        if (sendCacheHeaders(req, res, card)) {
+            return;
         }
 
-        .qr-label {
-            font-size: 12px;
-            color: rgba(255, 255, 255, 0.5);
-        }
+        const pass = await createApplePass(card, walletDesign(card), passSigner);
 
-        .actions {
-            display: flex;
-            gap: 12px;
-            margin-top: 24px;
-        }
-
-        .btn {
-            flex: 1;
-            padding: 14px 20px;
-            border: none;
-            border-radius: 12px;
-            font-size: 14px;
-            font-weight: 600;
-            cursor: pointer;
-            transition: all 0.2s;
-            text-decoration: none;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            gap: 8px;
-        }
+        const filename = `${card.profile.name || 'card'}.pkpass`.replace(/[^a-zA-Z0-9.-]/g, '_');
+        res.setHeader('Content-Type', 'application/vnd.apple.pkpass');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(pass);
 
-        .btn-primary {
-            background: linear-gradient(135deg, #10b981 0%, #059669 100%);
-            color: white;
-            box-shadow: 0 4px 20px rgba(16, 185, 129, 0.3);
-        }
+    } catch (error) {
+        sendJsonError(res, error, 'Error generating Apple Wallet pass');
+    }
+});
 
-        .btn-primary:hover {
-            transform: translateY(-2px);
-            box-shadow: 0 6px 30px rgba(16, 185, 129, 0.4);
-        }
+/**
+ * GET /pass/:identifier.json - Google Wallet pass
+ *
+ * The generic class and object JSON, plus a signed
+ * "Add to Google Wallet" saveUrl when a service account key is
+ * configured. 501 without GOOGLE_WALLET_ISSUER_ID.
+ */
+app.get('/pass/:identifier.json', async (req, res) => {
+    try {
+        const { identifier } = req.params;
+        const card = await resolveCard(identifier);
 
-        .btn-secondary {
-            background: rgba(255, 255, 255, 0.1);
-            color: white;
-            border: 1px solid rgba(255, 255, 255, 0.2);
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
         }
 
-        .btn-secondary:hover {
-            background: rgba(255, 255, 255, 0.15);
+        if (card.identifier !== identifier) {
+            return redirectToCanonical(req, res, card.identifier);
         }
 
-        .footer {
-            margin-top: 30px;
-            text-align: center;
-            color: rgba(255, 255, 255, 0.4);
-            font-size: 12px;
+        if (sendCacheHeaders(req, res, card)) {
+            return;
         }
 
-        .footer a {
-            color: #10b981;
-            text-decoration: none;
-        }
+        const pass = createGooglePass(card, walletDesign(card), googleWallet);
+        res.json({ success: true, ...pass });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error generating Google Wallet pass');
+    }
+});
+
+/**
+ * GET /ndef/:identifier - NDEF message for an NFC tag
+ *
+ * A URI record with the card URL; ?vcard=1 adds a compact
+ * text/vcard record (?version= as for /vcard). Served as a raw
+ * .ndef file for tag writing tools, with the size and the
+ * NTAG chips it fits in X-NDEF-* headers; ?format=json returns
+ * the full size report instead.
+ */
+app.get('/ndef/:identifier', async (req, res) => {
+    try {
+        const { identifier } = req.params;
+        const options = parseNdefOptions(req.query);
+        const version = negotiateVCardVersion(req.query.version);
+        const card = await resolveCard(identifier);
 
-        /* Floating particles */
-        .particle {
-            position: fixed;
-            width: 4px;
-            height: 4px;
-            background: #10b981;
-            border-radius: 50%;
-            opacity: 0.3;
-            animation: float 10s infinite;
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
         }
 
-        @keyframes float {
-            0%, 100% { transform: translateY(100vh) rotate(0deg); opacity: 0; }
-            10% { opacity: 0.3; }
-            90% { opacity: 0.3; }
-            100% { transform: translateY(-100vh) rotate(720deg); opacity: 0; }
+        if (card.identifier !== identifier) {
+            return redirectToCanonical(req, res, card.identifier);
         }
-    </style>
-</head>
-<body>
-    <!-- Floating particles -->
-    <div class="particle" style="left: 10%; animation-delay: 0s;"></div>
-    <div class="particle" style="left: 30%; animation-delay: 2s;"></div>
-    <div class="particle" style="left: 50%; animation-delay: 4s;"></div>
-    <div class="particle" style="left: 70%; animation-delay: 6s;"></div>
-    <div class="particle" style="left: 90%; animation-delay: 8s;"></div>
-
-    <div class="card">
-        <div class="card-content">
-            <div class="avatar">${getInitials(profile.name)}</div>
-
-            <h1 class="name">${escapeHtml(profile.name || 'Anonymous')}</h1>
-            ${profile.title ? `<p class="title">${escapeHtml(profile.title)}</p>` : ''}
-            ${profile.company ? `<p class="company">${escapeHtml(profile.company)}</p>` : ''}
-            ${profile.bio ? `<p class="bio">"${escapeHtml(profile.bio)}"</p>` : ''}
-
-            <div class="contact-info">
-                ${profile.email ? `
-                <a href="mailto:${escapeHtml(profile.email)}" class="contact-item">
-                    <span class="contact-icon">@</span>
-                    <span>${escapeHtml(profile.email)}</span>
-                </a>
-                ` : ''}
-
-                ${profile.phone ? `
-                <a href="tel:${escapeHtml(profile.phone)}" class="contact-item">
-                    <span class="contact-icon">#</span>
-                    <span>${escapeHtml(profile.phone)}</span>
-                </a>
-                ` : ''}
-
-                ${profile.website ? `
-                <a href="${escapeHtml(profile.website)}" target="_blank" class="contact-item">
-                    <span class="contact-icon">~</span>
-                    <span>${escapeHtml(profile.website.replace(/^https?:\/\//, ''))}</span>
-                </a>
-                ` : ''}
-
-                ${profile.location ? `
-                <div class="contact-item">
-                    <span class="contact-icon">*</span>
-                    <span>${escapeHtml(profile.location)}</span>
-                </div>
-                ` : ''}
-            </div>
-
-            <div class="qr-section">
-                <div class="qr-code">
-                    <img src="${qrDataUrl}" alt="QR Code" width="150" height="150">
-                </div>
-                <p class="qr-label">Scan to save contact</p>
-            </div>
-
-            <div class="actions">
-                <a href="/vcard/${identifier}" class="btn btn-primary" download>
-                    Save Contact
-                </a>
-                <button class="btn btn-secondary" onclick="shareCard()">
-                    Share
-                </button>
-            </div>
-        </div>
-    </div>
 
-    <div class="footer">
-        <p>Powered by <a href="https://planetnine.app">Planet Nine</a></p>
-    </div>
+        if (sendCacheHeaders(req, res, card)) {
+            return;
+        }
 
-    <script>
-        async function shareCard() {
-            const url = window.location.href;
-            const title = '${escapeHtml(profile.name || 'Contact')} - Business Card';
+        const cardUrl = `${PUBLIC_URL}/card/${encodeURIComponent(card.identifier)}`;
+        const records = [uriRecord(cardUrl)];
 
-            if (navigator.share) {
-                try {
-                    await navigator.share({ title, url });
-                } catch (err) {
-                    copyToClipboard(url);
-                }
-            } else {
-                copyToClipboard(url);
-            }
+        if (options.vcard) {
+            records.push(mimeRecord('text/vcard', generateVCard(card.profile, {
+                version,
+                settings: card.settings,
+                identifier: card.identifier,
+                compact: true
+            })));
         }
 
-        function copyToClipboard(text) {
-            navigator.clipboard.writeText(text).then(() => {
-                alert('Link copied to clipboard!');
-            }).catch(() => {
-                prompt('Copy this link:', text);
+        const message = encodeNdefMessage(records);
+        const report = ndefSizeReport(message);
+
+        if (options.format === 'json') {
+            return res.json({
+                success: true,
+                identifier: card.identifier,
+                records: records.map(record => ({
+                    type: record.type.toString(),
+                    bytes: record.payload.length
+                })),
+                ...report,
+                hex: message.toString('hex')
             });
         }
-    </script>
-</body>
-</html>`;
-}
+
+        const filename = `${card.profile.name || 'card'}.ndef`.replace(/[^a-zA-Z0-9.-]/g, '_');
+        res.setHeader('X-NDEF-Size', report.tlvBytes);
+        res.setHeader('X-NDEF-Fits', report.tags.filter(tag => tag.fits).map(tag => tag.tag).join(', '));
+        res.setHeader('Content-Type', 'application/octet-stream');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(message);
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error generating NDEF message');
+    }
+});
 
 /**
- * Generate error page
+ * GET /qr/:identifier/:persona? - Generate QR code for card URL
+ *
+ * Query options:
+ * - format: png (default) | svg | utf8
+ * - size: width in px (64-2048, default 300)
+ * - margin: quiet zone in modules (0-16, default 2)
+ * - fg, bg: hex colors, must have at least 3:1 contrast
+ * - ecl: error correction level L | M | Q | H
+ * - logo: initials - centered overlay, forces ecl=H
+ * - mode: url (default) links to the card; vcard or mecard
+ *   embed the contact itself so it can be saved offline.
+ *   Fields trimmed to fit are listed in X-QR-Dropped-Fields.
+ */
+app.get('/qr/:identifier/:persona?', async (req, res) => {
+    try {
+        const { identifier, persona } = req.params;
+        const options = parseQrOptions(req.query);
+        const mode = parseQrMode(req.query.mode);
+        const card = await resolveCard(identifier, persona);
+
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        if (card.identifier !== identifier) {
+            return redirectToCanonical(req, res, card.identifier);
+        }
+
+        if (sendCacheHeaders(req, res, card)) {
+            return;
+        }
+
+        await sendQr(res, card, {
+            options,
+            mode,
+            url: `${req.protocol}://${req.get('host')}${cardPath(card)}`
+        });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error generating QR');
+    }
+});
+
+/**
+ * GET /api/profile/:identifier/:persona? - Get profile as JSON
+ *
+ * Negotiates like /card, with application/json the default.
+ */
+app.get('/api/profile/:identifier/:persona?', async (req, res) => {
+    try {
+        const { identifier, persona } = req.params;
+        const type = negotiateMediaType(req.get('Accept'), [
+            CARD_MEDIA_TYPES.json, CARD_MEDIA_TYPES.vcard, CARD_MEDIA_TYPES.jcard, CARD_MEDIA_TYPES.jsonLd, CARD_MEDIA_TYPES.html
+        ]);
+        const card = await resolveCard(identifier, persona);
+
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        if (card.identifier !== identifier) {
+            return redirectToCanonical(req, res, card.identifier);
+        }
+
+        if (sendCacheHeaders(req, res, card, { html: type === CARD_MEDIA_TYPES.html })) {
+            return;
+        }
+
+        await sendCardAs(req, res, card, type);
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error fetching profile');
+    }
+});
+
+/**
+ * GET /s/:token - Card through a share link
+ *
+ * Shows the fields the link unlocks on top of the public ones.
+ * Each page load uses up one view of the link; link previews
+ * and prefetches don't.
+ */
+app.get('/s/:token', async (req, res) => {
+    try {
+        const share = await openShare(req.params.token, { countView: !isPreviewRequest(req.method, req.headers) });
+        const card = await resolveShareCard(share);
+
+        if (!card) {
+            return res.status(404).send(generateErrorPage('Profile not found'));
+        }
+
+        const theme = themes.get(req.query.theme || card.settings.theme);
+        const html = await generateBusinessCardPage(card.profile, card.identifier, card.settings, theme, {
+            baseUrl: PUBLIC_URL,
+            persona: card.persona,
+            share: req.params.token,
+            org: card.org,
+            exchange: Boolean(card.pubKey),
+            nonce: res.locals.nonce
+        });
+
+        sendPrivateHeaders(res);
+        res.send(html);
+
+    } catch (error) {
+        sendHtmlError(res, error, 'Error opening share link');
+    }
+});
+
+/**
+ * GET /s/:token/vcard - vCard with the fields the link unlocks
+ */
+app.get('/s/:token/vcard', async (req, res) => {
+    try {
+        const version = negotiateVCardVersion(req.query.version, req.get('Accept'));
+        const share = await openShare(req.params.token);
+        const card = await resolveShareCard(share);
+
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        sendPrivateHeaders(res);
+        await sendVCard(res, card, version);
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error generating vCard');
+    }
+});
+
+/**
+ * GET /s/:token/qr - QR for the share link
+ *
+ * Options as for /qr; url mode encodes the share link itself,
+ * vcard/mecard modes the unlocked contact.
+ */
+app.get('/s/:token/qr', async (req, res) => {
+    try {
+        const options = parseQrOptions(req.query);
+        const mode = parseQrMode(req.query.mode);
+        const share = await openShare(req.params.token);
+        const card = await resolveShareCard(share);
+
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        sendPrivateHeaders(res);
+        await sendQr(res, card, {
+            options,
+            mode,
+            url: `${req.protocol}://${req.get('host')}/s/${encodeURIComponent(req.params.token)}`
+        });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error generating QR');
+    }
+});
+
+/**
+ * GET /api/card/:identifier/settings - Get the card's settings
+ *
+ * Anyone gets the public settings (as /api/profile shows them).
+ * The owner gets them as stored, including which fields are
+ * hidden or private, by signing the request:
+ *
+ * Query: ?timestamp=&signature=
+ * Signed message: timestamp + pubKey + 'card-settings-read'
+ */
+app.get('/api/card/:identifier/settings', async (req, res) => {
+    try {
+        const card = await resolveCard(req.params.identifier);
+
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        if (req.query.signature === undefined) {
+            return res.json({ success: true, identifier: card.identifier, settings: publicSettings(card.settings) });
+        }
+
+        verifySignedRequest({
+            timestamp: req.query.timestamp,
+            signature: req.query.signature,
+            pubKey: card.pubKey,
+            action: 'card-settings-read'
+        });
+
+        // As stored, without org branding filled in
+        res.setHeader('Cache-Control', 'no-store');
+        res.json({ success: true, identifier: card.identifier, settings: getCardSettings(card.identifier) });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error fetching settings');
+    }
+});
+
+/**
+ * PUT /api/card/:identifier/settings - Replace card settings (owner only)
+ *
+ * Body: { timestamp, signature, settings }
+ * Signed message: timestamp + pubKey + 'card-settings' + JSON.stringify(settings)
+ */
+app.put('/api/card/:identifier/settings', async (req, res) => {
+    try {
+        const card = await resolveCard(req.params.identifier);
+
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        const { timestamp, signature, settings } = req.body || {};
+        verifySignedRequest({
+            timestamp,
+            signature,
+            pubKey: card.pubKey,
+            action: 'card-settings',
+            payload: settings
+        });
+
+        const saved = await saveCardSettings(card.identifier, validateSettings(settings, { themes }));
+        console.log(`Updated settings for: ${card.identifier}`);
+
+        res.json({ success: true, identifier: card.identifier, settings: saved });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error updating settings');
+    }
+});
+
+/**
+ * DELETE /api/card/:identifier/settings - Reset card settings (owner only)
+ *
+ * Body: { timestamp, signature }
+ * Signed message: timestamp + pubKey + 'card-settings-reset'
+ */
+app.delete('/api/card/:identifier/settings', async (req, res) => {
+    try {
+        const card = await resolveCard(req.params.identifier);
+
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        const { timestamp, signature } = req.body || {};
+        verifySignedRequest({
+            timestamp,
+            signature,
+            pubKey: card.pubKey,
+            action: 'card-settings-reset'
+        });
+
+        await deleteCardSettings(card.identifier);
+        console.log(`Reset settings for: ${card.identifier}`);
+
+        res.json({ success: true, identifier: card.identifier, settings: {} });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error resetting settings');
+    }
+});
+
+/**
+ * GET /api/card/:identifier/personas - List the card's personas
+ */
+app.get('/api/card/:identifier/personas', async (req, res) => {
+    try {
+        const card = await resolveCard(req.params.identifier);
+
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        res.json({
+            success: true,
+            identifier: card.identifier,
+            personas: publicPersonas(getPersonas(card.identifier))
+        });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error fetching personas');
+    }
+});
+
+/**
+ * PUT /api/card/:identifier/personas/:persona - Create or replace a persona (owner only)
+ *
+ * Body: { timestamp, signature, persona: { label, fields, title, company } }
+ * Signed message: timestamp + pubKey + 'card-persona:<name>' + JSON.stringify(persona)
+ */
+app.put('/api/card/:identifier/personas/:persona', async (req, res) => {
+    try {
+        const name = validatePersonaName(req.params.persona);
+        const card = await resolveCard(req.params.identifier);
+
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        const { timestamp, signature, persona } = req.body || {};
+        verifySignedRequest({
+            timestamp,
+            signature,
+            pubKey: card.pubKey,
+            action: `card-persona:${name}`,
+            payload: persona
+        });
+
+        const saved = await savePersona(card.identifier, name, validatePersona(persona));
+        console.log(`Saved persona ${name} for: ${card.identifier}`);
+
+        res.json({ success: true, identifier: card.identifier, name, persona: saved });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error saving persona');
+    }
+});
+
+/**
+ * DELETE /api/card/:identifier/personas/:persona - Remove a persona (owner only)
+ *
+ * Body: { timestamp, signature }
+ * Signed message: timestamp + pubKey + 'card-persona-delete:<name>'
+ */
+app.delete('/api/card/:identifier/personas/:persona', async (req, res) => {
+    try {
+        const name = validatePersonaName(req.params.persona);
+        const card = await resolveCard(req.params.identifier);
+
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        const { timestamp, signature } = req.body || {};
+        verifySignedRequest({
+            timestamp,
+            signature,
+            pubKey: card.pubKey,
+            action: `card-persona-delete:${name}`
+        });
+
+        if (!await deletePersona(card.identifier, name)) {
+            return res.status(404).json({ error: `Persona "${name}" not found` });
+        }
+        console.log(`Deleted persona ${name} for: ${card.identifier}`);
+
+        res.json({ success: true, identifier: card.identifier, name });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error deleting persona');
+    }
+});
+
+/**
+ * POST /api/card/:identifier/shares - Create a share link (owner only)
+ *
+ * Body: { timestamp, signature, share: { unlock, expiresIn, maxViews, persona, label } }
+ * Signed message: timestamp + pubKey + 'card-share' + JSON.stringify(share)
+ */
+app.post('/api/card/:identifier/shares', async (req, res) => {
+    try {
+        const card = await resolveCard(req.params.identifier);
+
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        const { timestamp, signature, share } = req.body || {};
+        verifySignedRequest({
+            timestamp,
+            signature,
+            pubKey: card.pubKey,
+            action: 'card-share',
+            payload: share
+        });
+
+        const validated = validateShareRequest(share);
+        if (validated.persona) {
+            getPersona(card.identifier, validated.persona);
+        }
+
+        const created = await createShare(card.identifier, validated);
+        console.log(`Created share link for: ${card.identifier}`);
+
+        res.status(201).json({
+            success: true,
+            identifier: card.identifier,
+            token: created.token,
+            url: `${PUBLIC_URL}/s/${created.token}`,
+            share: created.share
+        });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error creating share link');
+    }
+});
+
+/**
+ * GET /api/card/:identifier/shares - List share links (owner only)
+ *
+ * Query: ?timestamp=&signature=
+ * Signed message: timestamp + pubKey + 'card-shares'
+ */
+app.get('/api/card/:identifier/shares', async (req, res) => {
+    try {
+        const card = await resolveCard(req.params.identifier);
+
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        verifySignedRequest({
+            timestamp: req.query.timestamp,
+            signature: req.query.signature,
+            pubKey: card.pubKey,
+            action: 'card-shares'
+        });
+
+        res.setHeader('Cache-Control', 'no-store');
+        res.json({ success: true, identifier: card.identifier, shares: listShares(card.identifier) });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error listing share links');
+    }
+});
+
+/**
+ * DELETE /api/card/:identifier/shares/:token - Revoke a share link (owner only)
+ *
+ * Body: { timestamp, signature }
+ * Signed message: timestamp + pubKey + 'card-share-revoke:<token>'
+ */
+app.delete('/api/card/:identifier/shares/:token', async (req, res) => {
+    try {
+        const card = await resolveCard(req.params.identifier);
+
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        const { timestamp, signature } = req.body || {};
+        verifySignedRequest({
+            timestamp,
+            signature,
+            pubKey: card.pubKey,
+            action: `card-share-revoke:${req.params.token}`
+        });
+
+        if (!await revokeShare(card.identifier, req.params.token)) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+        console.log(`Revoked share link for: ${card.identifier}`);
+
+        res.json({ success: true, identifier: card.identifier, revoked: true });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error revoking share link');
+    }
+});
+
+/**
+ * POST /api/card/:identifier/purge - Drop cached profile data (owner only)
+ *
+ * Use after editing the profile in Prof to see changes
+ * immediately instead of after the cache TTL.
+ *
+ * Body: { timestamp, signature }
+ * Signed message: timestamp + pubKey + 'card-purge'
+ */
+app.post('/api/card/:identifier/purge', async (req, res) => {
+    try {
+        const card = await resolveCard(req.params.identifier);
+
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        const { timestamp, signature } = req.body || {};
+        verifySignedRequest({
+            timestamp,
+            signature,
+            pubKey: card.pubKey,
+            action: 'card-purge'
+        });
+
+        const purged = profileCache.purge(profile =>
+            canonicalIdentifier(profile, card.parsed) === card.identifier);
+        console.log(`Purged ${purged} cached lookups for: ${card.identifier}`);
+
+        res.json({ success: true, identifier: card.identifier, purged });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error purging cache');
+    }
+});
+
+/**
+ * POST /api/card/:identifier/exchange - Send your contact to a card's owner
+ *
+ * Body: { identifier } to send your own BizBuz card, or
+ * { name, email, phone, company, title, note } from the form;
+ * plus persona (the persona page it was sent from), hp (honeypot,
+ * must stay empty) and startedAt (ms, when the form was opened).
+ * A card sent with { timestamp, signature } from its owner's key
+ * (action 'card-exchange:<identifier>') is stored as verified;
+ * unsigned ones are stored as unverified. Suspected spam gets the
+ * same response as a real submission but is not stored.
+ */
+app.post('/api/card/:identifier/exchange', async (req, res) => {
+    try {
+        const input = req.body || {};
+        exchangeIpLimiter.consume(req.ip);
+
+        const card = await resolveCard(req.params.identifier);
+
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+        if (!card.pubKey) {
+            return res.status(409).json({ error: 'This card does not accept contacts' });
+        }
+        if (input.persona) {
+            getPersona(card.identifier, validatePersonaName(input.persona));
+        }
+
+        const reason = spamReason(input);
+        if (reason) {
+            console.log(`Dropped contact exchange for ${card.identifier} (${reason})`);
+            return res.status(202).json({ success: true });
+        }
+
+        let contact;
+        let from;
+        let verified = false;
+        if (input.identifier) {
+            const sender = await resolveCard(identifierFromLink(input.identifier));
+            if (!sender) {
+                return res.status(404).json({ error: 'Your BizBuz card was not found' });
+            }
+            if (input.signature) {
+                const { timestamp, signature } = input;
+                verifySignedRequest({ timestamp, signature, pubKey: sender.pubKey, action: `card-exchange:${card.identifier}` });
+                verified = true;
+            }
+            from = sender.identifier;
+            contact = cardContact(sender.profile, `${PUBLIC_URL}/card/${sender.identifier}`);
+        } else {
+            contact = validateExchangeContact(input);
+        }
+
+        exchangeOwnerLimiter.consume(card.pubKey);
+        await addToInbox(card.pubKey, {
+            card: card.identifier,
+            persona: input.persona,
+            contact,
+            from,
+            verified
+        });
+        console.log(`Contact exchange received for: ${card.identifier}`);
+
+        res.status(202).json({ success: true });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error exchanging contacts');
+    }
+});
+
+/**
+ * GET /api/inbox - Contacts sent to your cards (owner only)
+ *
+ * Query: ?pubKey=&timestamp=&signature=[&format=vcf]
+ * Signed message: timestamp + pubKey + 'inbox'
+ * format=vcf downloads every contact as one multi-contact vCard.
+ */
+app.get('/api/inbox', async (req, res) => {
+    try {
+        const { pubKey, timestamp, signature } = req.query;
+        verifySignedRequest({ timestamp, signature, pubKey, action: 'inbox' });
+
+        const entries = getInbox(pubKey);
+        res.setHeader('Cache-Control', 'no-store');
+
+        if (req.query.format === 'vcf') {
+            const version = negotiateVCardVersion(req.query.version, req.get('Accept'));
+            const vcards = entries.map(({ contact, from, verified, receivedAt }) => generateVCard({
+                ...contact,
+                website: contact.website || contact.cardUrl,
+                bio: [
+                    contact.note,
+                    `Received via BizBuz ${receivedAt.slice(0, 10)}`,
+                    from && !verified ? 'Sent as this BizBuz card, but not signed by its owner' : null
+                ].filter(Boolean).join('\n')
+            }, { version, identifier: from || undefined }));
+
+            res.setHeader('Content-Type', 'text/vcard; charset=utf-8');
+            res.setHeader('Content-Disposition', 'attachment; filename="bizbuz-inbox.vcf"');
+            return res.send(vcards.join(''));
+        }
+
+        res.json({ success: true, count: entries.length, entries: entries.map(publicEntry) });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error reading inbox');
+    }
+});
+
+/**
+ * DELETE /api/inbox/:id - Remove a contact from your inbox (owner only)
+ *
+ * Body: { pubKey, timestamp, signature }
+ * Signed message: timestamp + pubKey + 'inbox-delete:<id>'
+ */
+app.delete('/api/inbox/:id', async (req, res) => {
+    try {
+        const { pubKey, timestamp, signature } = req.body || {};
+        verifySignedRequest({ timestamp, signature, pubKey, action: `inbox-delete:${req.params.id}` });
+
+        if (!await removeFromInbox(pubKey, req.params.id)) {
+            return res.status(404).json({ error: 'Inbox entry not found' });
+        }
+
+        res.json({ success: true, deleted: true });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error deleting inbox entry');
+    }
+});
+
+/**
+ * POST /api/rolodex - Save a card to your rolodex, or retag it (owner only)
+ *
+ * Body: { pubKey, timestamp, signature, entry: { card, tags, note } }
+ * Signed message: timestamp + pubKey + 'rolodex-save' + JSON.stringify(entry)
+ * card is an identifier or a card link, e.g. a scanned card QR.
+ */
+app.post('/api/rolodex', async (req, res) => {
+    try {
+        const { pubKey, timestamp, signature, entry } = req.body || {};
+        verifySignedRequest({ timestamp, signature, pubKey, action: 'rolodex-save', payload: entry });
+
+        const validated = validateRolodexEntry(entry);
+        if (!entry.card) {
+            return res.status(400).json({ error: 'entry.card is required' });
+        }
+
+        const card = await resolveCard(identifierFromLink(entry.card));
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        const saved = await saveRolodexEntry(pubKey, card.identifier, validated, card.profile);
+        console.log(`Saved ${card.identifier} to a rolodex`);
+
+        res.status(saved.created ? 201 : 200).json({ success: true, entry: saved.entry });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error saving rolodex entry');
+    }
+});
+
+/**
+ * GET /api/rolodex - Your saved cards (owner only)
+ *
+ * Query: ?pubKey=&timestamp=&signature=[&tag=][&format=json|vcf|csv|jcard]
+ * Signed message: timestamp + pubKey + 'rolodex'
+ */
+app.get('/api/rolodex', async (req, res) => {
+    try {
+        const { pubKey, timestamp, signature, tag } = req.query;
+        const format = String(req.query.format || 'json').toLowerCase();
+        if (!ROLODEX_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${ROLODEX_FORMATS.join(', ')}` });
+        }
+
+        verifySignedRequest({ timestamp, signature, pubKey, action: 'rolodex' });
+
+        const entries = getRolodex(pubKey, { tag });
+        const cardUrl = identifier => `${PUBLIC_URL}/card/${identifier}`;
+        const filename = `bizbuz-rolodex${tag ? `-${tag}` : ''}`.replace(/[^a-zA-Z0-9.-]/g, '_');
+        res.setHeader('Cache-Control', 'no-store');
+
+        // Saved notes and tags travel with the contact as NOTE and CATEGORIES
+        const contactOf = entry => ({
+            ...entry.profile,
+            website: entry.profile.website || cardUrl(entry.identifier),
+            bio: entry.note || entry.profile.bio,
+            categories: entry.tags
+        });
+
+        switch (format) {
+            case 'vcf': {
+                const version = negotiateVCardVersion(req.query.version, req.get('Accept'));
+                res.setHeader('Content-Type', 'text/vcard; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}.vcf"`);
+                return res.send(entries.map(entry =>
+                    generateVCard(contactOf(entry), { version, identifier: entry.identifier })).join(''));
+            }
+            case 'jcard':
+                res.setHeader('Content-Type', 'application/vcard+json; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+                return res.send(JSON.stringify(entries.map(entry =>
+                    generateJCard(contactOf(entry), { identifier: entry.identifier }))));
+            case 'csv':
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+                return res.send(rolodexCsv(entries, cardUrl));
+            default:
+                res.json({ success: true, count: entries.length, entries });
+        }
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error reading rolodex');
+    }
+});
+
+/**
+ * POST /api/rolodex/refresh - Re-fetch every saved card (owner only)
+ *
+ * Body: { pubKey, timestamp, signature }
+ * Signed message: timestamp + pubKey + 'rolodex-refresh'
+ */
+app.post('/api/rolodex/refresh', async (req, res) => {
+    try {
+        const { pubKey, timestamp, signature } = req.body || {};
+        verifySignedRequest({ timestamp, signature, pubKey, action: 'rolodex-refresh' });
+
+        // Straight from the profile source, not the cache, with each owner's settings applied
+        const result = await refreshRolodex(pubKey, async identifier => {
+            const parsed = parseIdentifier(identifier);
+            const profile = await fetchProfile(parsed);
+            return profile && applySettings(profile, getCardSettings(canonicalIdentifier(profile, parsed)));
+        });
+        console.log(`Refreshed rolodex: ${result.refreshed} cards, ${result.changed} changed`);
+
+        res.json({ success: true, ...result });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error refreshing rolodex');
+    }
+});
+
+/**
+ * DELETE /api/rolodex/:identifier - Remove a saved card (owner only)
+ *
+ * Body: { pubKey, timestamp, signature }
+ * Signed message: timestamp + pubKey + 'rolodex-delete:<identifier>'
+ */
+app.delete('/api/rolodex/:identifier', async (req, res) => {
+    try {
+        const { pubKey, timestamp, signature } = req.body || {};
+        verifySignedRequest({ timestamp, signature, pubKey, action: `rolodex-delete:${req.params.identifier}` });
+
+        if (!await removeRolodexEntry(pubKey, req.params.identifier)) {
+            return res.status(404).json({ error: 'Card is not in your rolodex' });
+        }
+
+        res.json({ success: true, deleted: true });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error deleting rolodex entry');
+    }
+});
+
+/**
+ * GET /org/:slug - Organization directory page
+ *
+ * ?q= filters members by name, title, company, email or location
+ */
+app.get('/org/:slug', async (req, res) => {
+    try {
+        const org = getOrg(req.params.slug);
+        const members = await resolveOrgMembers(org);
+        const query = String(req.query.q || '');
+
+        // Private: the page carries a per-response CSP nonce
+        res.setHeader('Cache-Control', `private, max-age=${PROFILE_CACHE_TTL}`);
+        res.send(generateOrgDirectoryPage(org, searchMembers(members, query), { query, total: members.length, nonce: res.locals.nonce }));
+
+    } catch (error) {
+        sendHtmlError(res, error, 'Error rendering org directory');
+    }
+});
+
+/**
+ * GET /org/:slug/logo - Organization logo image
+ */
+app.get('/org/:slug/logo', (req, res) => {
+    try {
+        const org = getOrg(req.params.slug);
+        const logo = orgLogo(org);
+
+        if (!logo) {
+            return res.status(404).json({ error: 'Organization has no logo' });
+        }
+
+        res.setHeader('ETag', `"${createHash('sha1').update(org.branding.logo).digest('hex')}"`);
+        res.setHeader('Cache-Control', 'public, max-age=86400');
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
+        res.setHeader('Content-Type', logo.contentType);
+        res.send(logo.body);
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error serving org logo');
+    }
+});
+
+/**
+ * GET /org/:slug/print - Every member's card on 10-up PDF sheets
+ *
+ * Takes the size, paper, side and marks options of /print.
+ */
+app.get('/org/:slug/print', async (req, res) => {
+    try {
+        const options = parsePrintOptions({ ...req.query, layout: 'sheet' });
+        const org = getOrg(req.params.slug);
+        const members = await resolveOrgMembers(org);
+
+        const print = await renderTeamPrint(members.map(card => {
+            const theme = themes.get(card.settings.theme);
+            return {
+                card,
+                design: {
+                    theme,
+                    accent: card.settings.accentColor || theme.accent,
+                    cardUrl: `${PUBLIC_URL}/card/${encodeURIComponent(card.identifier)}`
+                }
+            };
+        }), { title: org.name, fonts: PRINT_FONTS }, options);
+
+        res.setHeader('Content-Type', print.contentType);
+        res.setHeader('Content-Disposition', `inline; filename="${print.filename}"`);
+        res.send(print.body);
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error rendering team print file');
+    }
+});
+
+/**
+ * GET /org/:slug/qr.zip - A zip of every member's card QR
+ *
+ * Takes the options of /qr (format, size, colors, ...).
+ */
+app.get('/org/:slug/qr.zip', async (req, res) => {
+    try {
+        const options = parseQrOptions(req.query);
+        const org = getOrg(req.params.slug);
+        const members = await resolveOrgMembers(org);
+        const extension = options.format === 'utf8' ? 'txt' : options.format;
+
+        const files = {};
+        for (const card of members) {
+            const qr = await buildQr(`${PUBLIC_URL}/card/${encodeURIComponent(card.identifier)}`, {
+                ...options,
+                logo: options.logo && { text: getInitials(card.profile.name) }
+            });
+            const base = (card.profile.name || 'card').replace(/[^a-zA-Z0-9.-]/g, '_');
+            const name = files[`${base}.${extension}`] ? `${base}-${card.identifier.slice(0, 8)}` : base;
+            files[`${name}.${extension}`] = qr.body;
+        }
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${org.slug}-qr-codes.zip"`);
+        res.send(createZip(files));
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error building team QR codes');
+    }
+});
+
+/**
+ * GET /api/org/:slug - Organization, branding and members as JSON
+ */
+app.get('/api/org/:slug', async (req, res) => {
+    try {
+        const org = getOrg(req.params.slug);
+        const members = await resolveOrgMembers(org);
+
+        res.json({
+            success: true,
+            org: {
+                slug: org.slug,
+                name: org.name,
+                branding: {
+                    ...org.branding,
+                    logo: org.branding.logo ? `${PUBLIC_URL}/org/${org.slug}/logo` : null
+                },
+                url: `${PUBLIC_URL}/org/${org.slug}`
+            },
+            members: members.map(card => ({
+                identifier: card.identifier,
+                role: card.role,
+                name: card.profile.name || null,
+                title: card.profile.title || null,
+                cardUrl: `${PUBLIC_URL}/card/${encodeURIComponent(card.identifier)}`
+            }))
+        });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error fetching org');
+    }
+});
+
+/**
+ * POST /api/orgs - Create an organization; the signer becomes its owner
+ *
+ * Body: { pubKey, timestamp, signature, org: { slug, name, branding } }
+ * Signed message: timestamp + pubKey + 'org-create' + JSON.stringify(org)
+ */
+app.post('/api/orgs', async (req, res) => {
+    try {
+        const { pubKey, timestamp, signature, org } = req.body || {};
+        verifySignedRequest({ timestamp, signature, pubKey, action: 'org-create', payload: org });
+
+        const validated = validateOrg(org, { themes });
+        const created = await createOrg(org.slug, validated, pubKey);
+        console.log(`Created org: ${created.slug}`);
+
+        res.status(201).json({ success: true, org: created, url: `${PUBLIC_URL}/org/${created.slug}` });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error creating org');
+    }
+});
+
+/**
+ * PUT /api/org/:slug - Change an organization's name or branding (admins only)
+ *
+ * Body: { pubKey, timestamp, signature, org: { name, branding } }
+ * Signed message: timestamp + pubKey + 'org-update:<slug>' + JSON.stringify(org)
+ */
+app.put('/api/org/:slug', async (req, res) => {
+    try {
+        const { slug } = req.params;
+        const { pubKey, timestamp, signature, org } = req.body || {};
+        verifySignedRequest({ timestamp, signature, pubKey, action: `org-update:${slug}`, payload: org });
+        assertOrgAdmin(getOrg(slug), pubKey);
+
+        const updated = await updateOrg(slug, validateOrg(org, { themes }));
+        console.log(`Updated org: ${slug}`);
+
+        res.json({ success: true, org: updated });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error updating org');
+    }
+});
+
+/**
+ * POST /api/org/:slug/members - Add a member or change their role (admins only)
+ *
+ * Body: { pubKey, timestamp, signature, member: { card, role } }
+ * Signed message: timestamp + pubKey + 'org-member:<slug>' + JSON.stringify(member)
+ */
+app.post('/api/org/:slug/members', async (req, res) => {
+    try {
+        const { slug } = req.params;
+        const { pubKey, timestamp, signature, member } = req.body || {};
+        verifySignedRequest({ timestamp, signature, pubKey, action: `org-member:${slug}`, payload: member });
+        assertOrgAdmin(getOrg(slug), pubKey);
+
+        const validated = validateOrgMember(member);
+        const card = await resolveCard(identifierFromLink(validated.card));
+        if (!card) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        const added = await addOrgMember(slug, {
+            identifier: card.identifier,
+            pubKey: card.pubKey,
+            role: validated.role
+        });
+        console.log(`Org ${slug}: ${added.created ? 'added' : 'updated'} ${card.identifier}`);
+
+        res.status(added.created ? 201 : 200).json({ success: true, member: added.member });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error adding org member');
+    }
+});
+
+/**
+ * DELETE /api/org/:slug/members/:identifier - Remove a member (admins only)
+ *
+ * Body: { pubKey, timestamp, signature }
+ * Signed message: timestamp + pubKey + 'org-member-remove:<slug>:<identifier>'
+ */
+app.delete('/api/org/:slug/members/:identifier', async (req, res) => {
+    try {
+        const { slug, identifier } = req.params;
+        const { pubKey, timestamp, signature } = req.body || {};
+        verifySignedRequest({ timestamp, signature, pubKey, action: `org-member-remove:${slug}:${identifier}` });
+        assertOrgAdmin(getOrg(slug), pubKey);
+
+        if (!await removeOrgMember(slug, identifier)) {
+            return res.status(404).json({ error: 'Not a member of this organization' });
+        }
+        console.log(`Org ${slug}: removed ${identifier}`);
+
+        res.json({ success: true, removed: true });
+
+    } catch (error) {
+        sendJsonError(res, error, 'Error removing org member');
+    }
+});
+
+/**
+ * Resolve a raw identifier to its profile and canonical identifier
+ *
+ * The returned profile already has the owner's hidden fields
+ * and private fields removed (and the persona applied, when
+ * personaName is given); unlock lists private fields a share
+ * link reveals. settings include the branding of the card's
+ * org, if any. pubKey is the owner key signed requests must
+ * match.
+ * Throws InvalidIdentifierError for malformed identifiers and
+ * PersonaNotFoundError for unknown personas, returns null when
+ * no profile owns the identifier.
+ */
+async function resolveCard(identifier, personaName, { unlock = [] } = {}) {
+    const parsed = parseIdentifier(identifier);
+    const cached = await profileCache.get(parsed);
+    const profile = cached.profile;
+
+    if (!profile) {
+        return null;
+    }
+
+    const canonical = canonicalIdentifier(profile, parsed);
+    const ownSettings = getCardSettings(canonical);
+    const persona = personaName ? { name: personaName, ...getPersona(canonical, personaName) } : null;
+
+    // Org branding needs both sides: the org lists the card and the card names the org
+    const joined = ownSettings.org ? findOrg(ownSettings.org) : null;
+    const org = joined && hasJoinedOrg(joined, canonical, ownSettings) ? joined : null;
+    const settings = org ? withOrgBranding(ownSettings, org) : ownSettings;
+
+    const lastModified = [settings.updatedAt, persona && persona.updatedAt, org && org.updatedAt]
+        .filter(Boolean)
+        .map(date => new Date(date))
+        .reduce((latest, date) => (date > latest ? date : latest), cached.lastModified);
+
+    // Settings apply last so fields the owner hid stay hidden in every persona
+    return {
+        profile: applySettings(persona ? applyPersona(profile, persona) : profile, settings, unlock),
+        settings,
+        persona,
+        org: org && { slug: org.slug, name: org.name, logo: Boolean(org.branding.logo) },
+        parsed,
+        pubKey: profile.pubKey,
+        identifier: canonical,
+        version: `${cached.etag}:${settings.updatedAt || ''}:${persona ? persona.updatedAt : ''}:${org ? org.updatedAt : ''}`,
+        lastModified
+    };
+}
+
+/**
+ * Resolve an org's member cards, sorted by name
+ *
+ * Members whose profile is gone or can't be fetched are left
+ * out, as are cards whose owner hasn't joined the org.
+ */
+async function resolveOrgMembers(org) {
+    const cards = await Promise.all(org.members.map(member =>
+        resolveCard(member.identifier).catch(error => {
+            console.error(`Org ${org.slug}: could not resolve ${member.identifier}:`, error.message);
+            return null;
+        })));
+
+    return org.members
+        .map((member, index) => cards[index] && { ...cards[index], role: member.role })
+        .filter(card => card && card.org && card.org.slug === org.slug)
+        .sort((a, b) => (a.profile.name || '').localeCompare(b.profile.name || ''));
+}
+
+/**
+ * Identifier from what someone typed or scanned: the identifier
+ * itself or a link to the card
+ */
+function identifierFromLink(value) {
+    const text = String(value).trim();
+    const linked = /\/card\/([^/?#]+)/.exec(text);
+    return linked ? decodeURIComponent(linked[1]) : text;
+}
+
+/**
+ * Send a card's vCard as a download
+ */
+async function sendVCard(res, card, version) {
+    const { profile } = cardModel(card.profile, {
+        identifier: card.identifier,
+        persona: card.persona,
+        baseUrl: PUBLIC_URL,
+        org: card.org
+    });
+
+    // Embed the rendered avatar so the contact has a photo offline
+    const photo = await avatarDataUri(profile, {
+        seed: card.pubKey || card.identifier,
+        size: VCARD_PHOTO_SIZE,
+        format: 'jpeg'
+    });
+
+    const vcard = generateVCard({ ...profile, photo }, {
+        version,
+        settings: card.settings,
+        identifier: card.identifier
+    });
+
+    const filename = `${profile.name || 'contact'}.vcf`.replace(/[^a-zA-Z0-9.-]/g, '_');
+    res.setHeader('Content-Type', 'text/vcard; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(vcard);
+}
+
+/**
+ * Send a card as one of CARD_MEDIA_TYPES
+ *
+ * Every type is built from the card's cardModel(), so the page,
+ * JSON, JSON-LD, vCard and jCard always agree.
+ */
+async function sendCardAs(req, res, card, type) {
+    const model = cardModel(card.profile, {
+        identifier: card.identifier,
+        persona: card.persona,
+        baseUrl: PUBLIC_URL,
+        org: card.org
+    });
+    const vcardOptions = { settings: card.settings, identifier: card.identifier };
+
+    switch (type) {
+        case CARD_MEDIA_TYPES.json:
+            return res.json({
+                success: true,
+                identifier: card.identifier,
+                persona: card.persona && publicPersonas({ [card.persona.name]: card.persona })[0],
+                profile: model.profile,
+                settings: publicSettings(card.settings),
+                org: model.org
+            });
+        case CARD_MEDIA_TYPES.jsonLd:
+            return res.type(CARD_MEDIA_TYPES.jsonLd).send(JSON.stringify(cardJsonLd(model)));
+        case CARD_MEDIA_TYPES.jcard:
+            return res.type(CARD_MEDIA_TYPES.jcard)
+                .send(JSON.stringify(generateJCard({ ...model.profile, photo: model.avatar }, vcardOptions)));
+        case CARD_MEDIA_TYPES.vcard:
+            return sendVCard(res, card, negotiateVCardVersion(req.query.version, req.get('Accept')));
+        default: {
+            const theme = themes.get(req.query.theme || card.settings.theme);
+            const html = await generateBusinessCardPage(card.profile, card.identifier, card.settings, theme, {
+                baseUrl: PUBLIC_URL,
+                persona: card.persona,
+                org: card.org,
+                exchange: Boolean(card.pubKey),
+                nonce: res.locals.nonce
+            });
+            return res.send(html);
+        }
+    }
+}
+
+/**
+ * Send a card QR: url in url mode, else the offline contact
+ */
+async function sendQr(res, card, { options, mode, url }) {
+    let payload = url;
+
+    if (mode !== 'url') {
+        const offline = buildOfflinePayload(card.profile, {
+            mode,
+            ecl: options.logo ? 'H' : options.ecl
+        });
+        payload = offline.payload;
+        res.setHeader('X-QR-Dropped-Fields', offline.dropped.join(', '));
+    }
+
+    const qr = await buildQr(payload, {
+        ...options,
+        logo: options.logo && { text: getInitials(card.profile.name) }
+    });
+
+    res.setHeader('X-QR-Mode', mode);
+    res.setHeader('Content-Type', qr.contentType);
+    res.send(qr.body);
+}
+
+/**
+ * Resolve the card a share link points at, with its fields unlocked
+ */
+function resolveShareCard(share) {
+    return resolveCard(share.identifier, share.persona, { unlock: share.unlock });
+}
+
+/**
+ * Keep share link responses out of shared caches, logs and referrers
+ */
+function sendPrivateHeaders(res) {
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader('Referrer-Policy', 'no-referrer');
+    res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+}
+
+/**
+ * Path of the card page (or another per-card route, e.g.
+ * 'embed'), including the persona if any
+ */
+function cardPath(card, route = 'card') {
+    const persona = card.persona ? `/${encodeURIComponent(card.persona.name)}` : '';
+    return `/${route}/${encodeURIComponent(card.identifier)}${persona}`;
+}
+
+/**
+ * Look and links shared by both wallet passes
+ */
+function walletDesign(card) {
+    const theme = themes.get(card.settings.theme);
+    const path = encodeURIComponent(card.identifier);
+    return {
+        theme,
+        accent: card.settings.accentColor || theme.accent,
+        cardUrl: `${PUBLIC_URL}/card/${path}`,
+        avatarUrl: `${PUBLIC_URL}/avatar/${path}?size=512`,
+        organizationName: PASS_ORGANIZATION
+    };
+}
+
+/**
+ * Set ETag, Last-Modified and Cache-Control for a card response
+ *
+ * The ETag covers the profile version, the owner settings and
+ * the request variant (path, query and Accept), so it can be
+ * checked before rendering. Sends 304 and returns true when
+ * the client's copy is still current.
+ *
+ * html marks pages, which carry a per-response CSP nonce: they
+ * are private, since a shared cache would give every visitor
+ * the same nonce.
+ */
+function sendCacheHeaders(req, res, card, { html = false } = {}) {
+    const variant = `${req.originalUrl}|${req.get('Accept') || ''}`;
+    const etag = createHash('sha1').update(`${card.version}|${variant}`).digest('hex');
+
+    res.setHeader('ETag', `"${etag}"`);
+    res.setHeader('Last-Modified', card.lastModified.toUTCString());
+    res.setHeader('Cache-Control', `${html ? 'private' : 'public'}, max-age=${PROFILE_CACHE_TTL}, stale-while-revalidate=${PROFILE_CACHE_STALE}`);
+    res.setHeader('Vary', 'Accept');
+
+    if (req.fresh) {
+        // The cached page carries its own script nonce; a new CSP
+        // header would replace the one that matches it
+        res.removeHeader('Content-Security-Policy');
+        res.status(304).end();
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Redirect to the same route under the canonical identifier
+ */
+function redirectToCanonical(req, res, canonical) {
+    const path = canonicalPath(req.route.path, req.params, canonical);
+    const queryIndex = req.originalUrl.indexOf('?');
+    const query = queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex);
+
+    res.redirect(301, req.baseUrl + path + query);
+}
+
+/**
+ * Fetch profile from the configured profile provider
+ *
+ * Returns null when the provider has no such profile and throws
+ * when its upstream can't be reached, so the cache can serve a
+ * stale copy.
+ */
+async function fetchProfile(parsed) {
+    try {
+        const profile = await profileProvider.getProfile(parsed);
+
+        // Fall back to the demo profile if the provider doesn't have one
+        if (!profile && parsed.type === 'demo') {
+            return getDemoProfile();
+        }
+
+        return profile;
+    } catch (error) {
+        if (parsed.type === 'demo') {
+            return getDemoProfile();
+        }
+
+        console.error(`${profileProvider.name} fetch error:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Respond to a failed page request with an error page
+ *
+ * Errors carrying a status (bad identifier, Prof not found or
+ * unavailable, ...) are expected; anything else is logged as a 500.
+ */
+function sendHtmlError(res, error, context) {
+    if (!error.status) {
+        console.error(`${context}:`, error);
+    }
+    if (error.retryAfter) {
+        res.setHeader('Retry-After', String(error.retryAfter));
+    }
+    res.status(error.status || 500).send(generateErrorPage(error.message));
+}
+
+/**
+ * Apply the per-IP card lookup limits
+ *
+ * Every read counts towards the overall limit; 404s count
+ * towards the not-found limit once the response is sent.
+ * Signed owner writes (and exchanges, which have limits of
+ * their own) are not lookups.
+ */
+function limitLookups(req, res, next) {
+    if (!LOOKUP_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    try {
+        lookupLimiter.consume(req.ip);
+        notFoundLimiter.check(req.ip);
+    } catch (error) {
+        const api = req.originalUrl.startsWith('/api/') || req.originalUrl.startsWith('/oembed');
+        return api ? sendJsonError(res, error, 'Rate limit') : sendHtmlError(res, error, 'Rate limit');
+    }
+
+    res.on('finish', () => {
+        if (res.statusCode === 404) {
+            try {
+                notFoundLimiter.consume(req.ip);
+            } catch (error) {
+                // Already over; check() turns the next request away
+            }
+        }
+    });
+    next();
+}
+
+/**
+ * Respond to a failed API request with a JSON error
+ */
+function sendJsonError(res, error, context) {
+    if (!error.status) {
+        console.error(`${context}:`, error);
+    }
+    if (error.retryAfter) {
+        res.setHeader('Retry-After', String(error.retryAfter));
+    }
+    res.status(error.status || 500).json({ error: error.message });
+}
+
+/**
+ * Demo profile for testing
+ */
+function getDemoProfile() {
+    return {
+        name: 'Ada Lovelace',
+        title: 'Software Enchantress',
+        company: 'Planet Nine',
+        email: 'ada@planetnine.app',
+        phone: '+1 (555) 123-4567',
+        website: 'https://planetnine.app',
+        location: 'The Cosmos',
+        bio: 'Building the future of privacy-first technology.',
+        social: {
+            github: 'planet-nine-app',
+            twitter: 'planetnine'
+        }
+    };
+}
+
+/**
+ * Generate error page
  */
 function generateErrorPage(message) {
     return `<!DOCTYPE html>
@@ -673,32 +2207,6 @@ function generateErrorPage(message) {
 </html>`;
 }
 
-/**
- * Get initials from name
- */
-function getInitials(name) {
-    if (!name) return '?';
-    return name
-        .split(' ')
-        .map(word => word[0])
-        .join('')
-        .substring(0, 2)
-        .toUpperCase();
-}
-
-/**
- * Escape HTML special characters
- */
-function escapeHtml(str) {
-    if (!str) return '';
-    return String(str)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#039;');
-}
-
 // Start server
 app.listen(PORT, () => {
     console.log(`BizBuz running on http://localhost:${PORT}`);
@@ -706,9 +2214,19 @@ app.listen(PORT, () => {
     console.log('Endpoints:');
     console.log(`  GET /              - Landing page`);
     console.log(`  GET /card/:id      - View business card`);
+    console.log(`  GET /embed/:id     - Card for iframes`);
     console.log(`  GET /vcard/:id     - Download vCard`);
     console.log(`  GET /qr/:id        - QR code image`);
+    console.log(`  GET /avatar/:id    - Avatar image`);
+    console.log(`  GET /og/:id.png    - Link preview image`);
+    console.log(`  GET /print/:id     - Print-ready SVG/PDF`);
+    console.log(`  GET /pass/:id.pkpass - Apple Wallet pass`);
+    console.log(`  GET /pass/:id.json - Google Wallet pass`);
+    console.log(`  GET /ndef/:id      - NFC tag NDEF message`);
+    console.log(`  GET /s/:token      - Card through a share link`);
+    console.log(`  GET /org/:slug     - Organization directory`);
     console.log(`  GET /api/profile/:id - Profile JSON`);
+    console.log(`  GET /health        - Service status`);
     console.log('');
     console.log('Try: http://localhost:' + PORT + '/card/demo');
     console.log('');
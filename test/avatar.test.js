@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http, { createServer } from 'http';
+import dns from 'dns';
+import { Readable } from 'stream';
+import { EventEmitter } from 'events';
+import sharp from 'sharp';
+import { renderAvatar, isPrivateAddress } from '../lib/avatar.js';
+
+test('loopback, private and link-local addresses are not public', () => {
+    for (const address of ['127.0.0.1', '10.0.0.5', '172.16.3.4', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fe80::1', 'fd12::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', '64:ff9b::a9fe:a9fe', '2002:a9fe:a9fe::1']) {
+        assert.equal(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+        assert.equal(isPrivateAddress(address), false, address);
+    }
+});
+
+test('photos on the local network are never fetched', async () => {
+    const png = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#ff0000' } }).png().toBuffer();
+    let requests = 0;
+    const server = createServer((req, res) => {
+        requests++;
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(png);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    try {
+        for (const photo of [`http://127.0.0.1:${port}/photo.png`, `http://localhost:${port}/photo.png`, `http://[::ffff:127.0.0.1]:${port}/photo.png`]) {
+            const avatar = await renderAvatar({ name: 'Grace Hopper', photo }, { seed: photo, size: 64 });
+            assert.equal(avatar.source, 'generated', photo);
+        }
+        assert.equal(requests, 0);
+    } finally {
+        server.close();
+    }
+});
+
+test('hosts are checked at the address the request connects to', async () => {
+    let requests = 0;
+    const server = createServer((req, res) => {
+        requests++;
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    // A rebinding host: whatever was resolved before, the
+    // connection's own lookup now answers with loopback
+    const realLookup = dns.lookup;
+    const looked = [];
+    dns.lookup = (hostname, options, callback) => {
+        looked.push(hostname);
+        callback(null, [{ address: '127.0.0.1', family: 4 }]);
+    };
+
+    try {
+        const photo = `http://rebind.example:${port}/photo.png`;
+        const avatar = await renderAvatar({ name: 'Grace Hopper', photo }, { seed: photo, size: 64 });
+        assert.equal(avatar.source, 'generated');
+        assert.deepEqual(looked, ['rebind.example']);
+        assert.equal(requests, 0);
+    } finally {
+        dns.lookup = realLookup;
+        server.close();
+    }
+});
+
+test('redirects into the local network are not followed', async () => {
+    const realGet = http.get;
+    const fetched = [];
+    http.get = (url, options, callback) => {
+        fetched.push(String(url));
+        const response = Readable.from([]);
+        response.statusCode = 302;
+        response.headers = { location: 'http://169.254.169.254/latest/meta-data/' };
+        process.nextTick(callback, response);
+        return new EventEmitter();
+    };
+
+    try {
+        const avatar = await renderAvatar({ name: 'Grace Hopper', photo: 'http://8.8.8.8/photo.png' }, { seed: 'redirect', size: 64 });
+        assert.equal(avatar.source, 'generated');
+        assert.deepEqual(fetched, ['http://8.8.8.8/photo.png']);
+    } finally {
+        http.get = realGet;
+    }
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PROFILE, useTempDataDir } from './fixtures.js';
+
+await useTempDataDir();
+const { saveCardSettings } = await import('../lib/settings.js');
+const { resolvePeople, exportCards } = await import('../lib/bulk.js');
+const { loadThemes } = await import('../lib/themes.js');
+
+const UUID = PROFILE.uuid;
+const provider = { getProfile: async () => ({ ...PROFILE }) };
+
+test('exported cards leave out hidden and private fields', async () => {
+    await saveCardSettings(UUID, { hiddenFields: ['company'], publicFields: ['title', 'company', 'email'] });
+    const outDir = await mkdtemp(join(tmpdir(), 'bizbuz-out-'));
+
+    try {
+        const { cards, failed } = await resolvePeople([{ identifier: UUID, settings: {} }], provider);
+        assert.deepEqual(failed, []);
+        assert.equal(cards[0].profile.company, undefined);
+        assert.equal(cards[0].profile.phone, undefined);
+        assert.equal(cards[0].profile.bio, undefined);
+
+        const results = await exportCards(cards, {
+            outDir,
+            baseUrl: 'https://cards.example.com',
+            assets: ['vcf', 'html'],
+            themes: await loadThemes([join(import.meta.dirname, '..', 'themes')]),
+            vcardVersion: '3.0'
+        });
+        assert.equal(results[0].error, undefined);
+
+        const files = await readdir(outDir);
+        const vcard = await readFile(join(outDir, 'grace-hopper.vcf'), 'utf8');
+        const html = await readFile(join(outDir, files.find(file => file.endsWith('.html'))), 'utf8');
+        for (const body of [vcard, html]) {
+            assert.match(body, /Rear Admiral/);
+            assert.match(body, /grace@example\.com/);
+            assert.doesNotMatch(body, /US Navy/);
+            assert.doesNotMatch(body, /555 0100/);
+            assert.doesNotMatch(body, /Compilers/);
+        }
+    } finally {
+        await rm(outDir, { recursive: true, force: true });
+    }
+});
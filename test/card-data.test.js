@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { negotiateMediaType, cardModel, cardJsonLd, NotAcceptableError, CARD_MEDIA_TYPES } from '../lib/card-data.js';
+import { PROFILE } from './fixtures.js';
+
+const TYPES = Object.values(CARD_MEDIA_TYPES);
+const BASE_URL = 'https://bizbuz.planetnine.app';
+
+test('the best acceptable media type wins', () => {
+    assert.equal(negotiateMediaType('application/ld+json', TYPES), 'application/ld+json');
+    assert.equal(negotiateMediaType('text/vcard;version=4.0', TYPES), 'text/vcard');
+    assert.equal(negotiateMediaType('application/json;q=0.5, application/vcard+json', TYPES), 'application/vcard+json');
+    assert.equal(negotiateMediaType('text/html,application/xhtml+xml,*/*;q=0.8', TYPES), 'text/html');
+});
+
+test('wildcards, ties and a missing header go to the first type', () => {
+    assert.equal(negotiateMediaType(undefined, TYPES), 'text/html');
+    assert.equal(negotiateMediaType('*/*', TYPES), 'text/html');
+    assert.equal(negotiateMediaType('application/*', TYPES), 'application/json');
+});
+
+test('more specific ranges override wildcards', () => {
+    assert.equal(negotiateMediaType('*/*, text/html;q=0', TYPES), 'application/json');
+    assert.equal(negotiateMediaType('application/*;q=0.2, text/*;q=0.1, text/vcard', TYPES), 'text/vcard');
+});
+
+test('nothing acceptable is a 406', () => {
+    assert.throws(() => negotiateMediaType('image/png', TYPES), NotAcceptableError);
+    assert.throws(() => negotiateMediaType('text/html;q=0', ['text/html']), error => error.status === 406);
+});
+
+test('the card model keeps known fields, safe websites and card URLs', () => {
+    const model = cardModel({ ...PROFILE, website: 'javascript:alert(1)', secret: 'x', social: { github: 'ghopper' } }, {
+        identifier: PROFILE.uuid,
+        persona: { name: 'work' },
+        baseUrl: BASE_URL,
+        org: { slug: 'acme', name: 'Acme Corp' }
+    });
+
+    assert.equal(model.url, `${BASE_URL}/card/${PROFILE.uuid}/work`);
+    assert.equal(model.avatar, `${BASE_URL}/avatar/${PROFILE.uuid}`);
+    assert.deepEqual(model.org, { slug: 'acme', name: 'Acme Corp', url: `${BASE_URL}/org/acme` });
+    assert.equal(model.profile.website, undefined);
+    assert.equal(model.profile.secret, undefined);
+    assert.deepEqual(model.profile.links.map(link => link.url), ['https://github.com/ghopper']);
+});
+
+test('JSON-LD describes the card as a schema.org Person', () => {
+    const jsonLd = cardJsonLd(cardModel(PROFILE, { identifier: PROFILE.uuid, baseUrl: BASE_URL }));
+
+    assert.equal(jsonLd['@type'], 'Person');
+    assert.equal(jsonLd['@id'], `${BASE_URL}/card/${PROFILE.uuid}`);
+    assert.equal(jsonLd.givenName, 'Grace');
+    assert.equal(jsonLd.familyName, 'Hopper');
+    assert.equal(jsonLd.jobTitle, 'Rear Admiral');
+    assert.deepEqual(jsonLd.worksFor, { '@type': 'Organization', name: 'US Navy' });
+    assert.deepEqual(jsonLd.sameAs, ['https://example.com/']);
+});
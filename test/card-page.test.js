@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadThemes } from '../lib/themes.js';
+import { generateBusinessCardPage } from '../lib/card-page.js';
+
+const themes = await loadThemes([fileURLToPath(new URL('../themes', import.meta.url))]);
+
+test('the card page has the offline QR when the contact fits', async () => {
+    const html = await generateBusinessCardPage({ name: 'Grace Hopper', email: 'grace@example.com' }, 'demo', {}, themes.get());
+
+    assert.match(html, /data-qr="offline"/);
+    assert.match(html, /Offline contact QR Code/);
+});
+
+test('the card page renders without the offline QR when even the name is too big', async () => {
+    const name = 'Grace Brewster Murray Hopper '.repeat(80);
+    for (const theme of themes.list()) {
+        const html = await generateBusinessCardPage({ name }, 'demo', {}, themes.get(theme.name));
+
+        assert.match(html, /Scan to view card/);
+        assert.doesNotMatch(html, /data-qr="offline"|qr-toggle"/);
+    }
+});
@@ -0,0 +1,32 @@
+/**
+ * Shared test fixtures
+ */
+
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { after } from 'node:test';
+
+export const PROFILE = Object.freeze({
+    uuid: '3f2504e0-4f89-11d3-9a0c-0305e82c3301',
+    name: 'Grace Hopper',
+    title: 'Rear Admiral',
+    company: 'US Navy',
+    email: 'grace@example.com',
+    phone: '+1 555 0100',
+    website: 'https://example.com',
+    bio: 'Compilers'
+});
+
+/**
+ * Point DATA_DIR at a fresh directory, removed after the tests
+ *
+ * The stores read DATA_DIR when first imported, so call this
+ * before importing anything that opens one.
+ */
+export async function useTempDataDir() {
+    const dataDir = await mkdtemp(join(tmpdir(), 'bizbuz-data-'));
+    process.env.DATA_DIR = dataDir;
+    after(() => rm(dataDir, { recursive: true, force: true }));
+    return dataDir;
+}
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIdentifier, canonicalIdentifier, canonicalPath, isEmojicode, InvalidIdentifierError } from '../lib/identifier.js';
+import { PROFILE } from './fixtures.js';
+
+const PUBKEY = '02' + 'ab'.repeat(32);
+const EMOJICODE = '🌟🚀🎨💎🔥🌈🎯🦄';
+
+test('identifiers are detected and normalized', () => {
+    assert.deepEqual(parseIdentifier(' Demo '), { type: 'demo', value: 'demo' });
+    assert.deepEqual(parseIdentifier(PUBKEY.toUpperCase()), { type: 'pubKey', value: PUBKEY });
+    assert.deepEqual(parseIdentifier(PROFILE.uuid.toUpperCase()), { type: 'uuid', value: PROFILE.uuid });
+    assert.deepEqual(parseIdentifier(EMOJICODE), { type: 'emojicode', value: EMOJICODE });
+});
+
+test('emojicodes are exactly eight emoji, counting each sequence once', () => {
+    assert.equal(isEmojicode('👩‍💻🇺🇸👍🏽🌟🚀🎨💎🔥'), true);
+    assert.equal(isEmojicode(EMOJICODE.slice(0, -2)), false);
+    assert.equal(isEmojicode('🌟🚀🎨💎🔥🌈🎯a'), false);
+});
+
+test('anything else is an invalid identifier', () => {
+    for (const identifier of ['', 'grace', PUBKEY.slice(2), '04' + 'ab'.repeat(32), '../etc/passwd']) {
+        assert.throws(() => parseIdentifier(identifier), InvalidIdentifierError, identifier);
+    }
+});
+
+test('cards are canonical under their UUID, then their pubKey', () => {
+    const byPubKey = parseIdentifier(PUBKEY);
+
+    assert.equal(canonicalIdentifier({ uuid: PROFILE.uuid.toUpperCase(), pubKey: PUBKEY }, byPubKey), PROFILE.uuid);
+    assert.equal(canonicalIdentifier({ pubKey: PUBKEY.toUpperCase() }, parseIdentifier(EMOJICODE)), PUBKEY);
+    assert.equal(canonicalIdentifier({ uuid: 'not-a-uuid' }, parseIdentifier(EMOJICODE)), EMOJICODE);
+    assert.equal(canonicalIdentifier(PROFILE, parseIdentifier('demo')), 'demo');
+});
+
+test('canonical redirects keep the route and its other params', () => {
+    assert.equal(canonicalPath('/card/:identifier/:persona?', { identifier: EMOJICODE, persona: 'work' }, PROFILE.uuid),
+        `/card/${PROFILE.uuid}/work`);
+    assert.equal(canonicalPath('/card/:identifier/:persona?', { identifier: EMOJICODE }, PROFILE.uuid),
+        `/card/${PROFILE.uuid}`);
+    assert.equal(canonicalPath('/qr/:identifier', { identifier: PUBKEY }, 'a b'), '/qr/a%20b');
+});
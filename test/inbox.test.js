@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cardContact, spamReason } from '../lib/inbox.js';
+
+const CARD_URL = 'https://bizbuz.planetnine.app/card/3f2504e0-4f89-11d3-9a0c-0305e82c3301';
+
+test('a sent card keeps its contact fields and links back', () => {
+    const contact = cardContact({
+        uuid: '3f2504e0-4f89-11d3-9a0c-0305e82c3301',
+        name: 'Grace Hopper',
+        email: 'grace@example.com',
+        website: 'example.com',
+        bio: 'Compilers'
+    }, CARD_URL);
+
+    assert.deepEqual(contact, {
+        name: 'Grace Hopper',
+        email: 'grace@example.com',
+        website: 'https://example.com/',
+        cardUrl: CARD_URL
+    });
+});
+
+test('a sent card\'s website must be an http(s) URL', () => {
+    for (const website of ['javascript:alert(1)', 'data:text/html,hi', 'mailto:grace@example.com']) {
+        assert.equal(cardContact({ name: 'Grace Hopper', website }, CARD_URL).website, undefined, website);
+    }
+});
+
+test('form submissions need a plausible start time', () => {
+    const form = { name: 'Grace Hopper', email: 'grace@example.com' };
+
+    assert.equal(spamReason({ ...form, startedAt: Date.now() - 10000 }), null);
+    assert.equal(spamReason({ ...form, startedAt: Date.now() }), 'too-fast');
+    assert.equal(spamReason(form), 'no-start-time');
+    assert.equal(spamReason({ ...form, startedAt: 'soon' }), 'bad-start-time');
+    assert.equal(spamReason({ ...form, startedAt: 0 }), 'bad-start-time');
+    assert.equal(spamReason({ ...form, startedAt: Date.now() - 10000, hp: 'x' }), 'honeypot');
+});
+
+test('sent cards are only timed when they say when they started', () => {
+    assert.equal(spamReason({ identifier: 'demo' }), null);
+    assert.equal(spamReason({ identifier: 'demo', startedAt: Date.now() }), 'too-fast');
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { profileLinks } from '../lib/links.js';
+
+test('handles become URLs on their platform', () => {
+    const links = profileLinks({ social: { github: 'ghopper', twitter: '@grace', mastodon: '@grace@hachyderm.io' } });
+
+    assert.deepEqual(links.map(link => [link.platform, link.url, link.handle]), [
+        ['github', 'https://github.com/ghopper', 'ghopper'],
+        ['twitter', 'https://twitter.com/grace', 'grace'],
+        ['mastodon', 'https://hachyderm.io/@grace', 'grace@hachyderm.io']
+    ]);
+});
+
+test('bare domains without a platform are https links', () => {
+    const links = profileLinks({
+        links: [
+            'ada.dev',
+            { label: 'Bluesky', url: 'alice.bsky.social' },
+            'github.com/ghopper',
+            'calendly.com'
+        ]
+    });
+
+    assert.deepEqual(links.map(link => [link.platform, link.label, link.url]), [
+        ['link', 'ada.dev', 'https://ada.dev/'],
+        ['link', 'Bluesky', 'https://alice.bsky.social/'],
+        ['github', 'GitHub', 'https://github.com/ghopper'],
+        ['calendar', 'Book a meeting', 'https://calendly.com/']
+    ]);
+});
+
+test('unusable links are left out', () => {
+    const links = profileLinks({
+        links: ['javascript:alert(1)', 'data:text/html,hi', 'not a link', 'localhost', { url: '' }, 42],
+        social: { github: 'bad handle!' }
+    });
+
+    assert.deepEqual(links, []);
+});
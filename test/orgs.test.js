@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROFILE, useTempDataDir } from './fixtures.js';
+
+await useTempDataDir();
+const {
+    createOrg,
+    getOrg,
+    addOrgMember,
+    removeOrgMember,
+    isOrgMember,
+    isOrgAdmin,
+    assertOrgAdmin,
+    hasJoinedOrg,
+    validateOrgMember,
+    withOrgBranding,
+    OrgError,
+    OrgNotFoundError
+} = await import('../lib/orgs.js');
+const { AuthError } = await import('../lib/auth.js');
+
+const OWNER = '02' + 'aa'.repeat(32);
+const ADMIN = '03' + 'bb'.repeat(32);
+
+const ORG = {
+    slug: 'acme',
+    name: 'Acme Corp',
+    branding: {},
+    members: [{ identifier: 'grace', role: 'member', pubKey: null }]
+};
+
+test('a card joins an org only when both sides agree', () => {
+    assert.equal(hasJoinedOrg(ORG, 'grace', { org: 'acme' }), true);
+    assert.equal(hasJoinedOrg(ORG, 'grace', {}), false, 'listed by the org only');
+    assert.equal(hasJoinedOrg(ORG, 'grace', { org: 'other' }), false, 'owner named another org');
+    assert.equal(hasJoinedOrg(ORG, 'ada', { org: 'acme' }), false, 'named by the owner only');
+});
+
+test('admins add, promote and remove members', async () => {
+    await createOrg('navy', { name: 'US Navy' }, OWNER);
+    await assert.rejects(createOrg('navy', { name: 'Again' }, OWNER), OrgError);
+
+    const { member, created } = await addOrgMember('navy', { identifier: PROFILE.uuid, pubKey: ADMIN, role: 'member' });
+    assert.equal(created, true);
+    assert.equal(isOrgMember(getOrg('navy'), PROFILE.uuid), true);
+    assert.equal(isOrgAdmin(getOrg('navy'), ADMIN), false);
+
+    const promoted = await addOrgMember('navy', { identifier: PROFILE.uuid, pubKey: ADMIN, role: 'admin' });
+    assert.equal(promoted.created, false);
+    assert.equal(promoted.member.addedAt, member.addedAt);
+    assert.equal(getOrg('navy').members.length, 1);
+    assert.equal(isOrgAdmin(getOrg('navy'), ADMIN), true);
+
+    assert.equal(await removeOrgMember('navy', PROFILE.uuid), true);
+    assert.equal(await removeOrgMember('navy', PROFILE.uuid), false);
+    assert.equal(isOrgAdmin(getOrg('navy'), ADMIN), false);
+});
+
+test('only the owner and admins manage an org', async () => {
+    const org = await createOrg('harvard', { name: 'Harvard Mark I' }, OWNER);
+
+    assert.equal(isOrgAdmin(org, OWNER), true);
+    assert.equal(isOrgAdmin(org, ADMIN), false);
+    assert.equal(isOrgAdmin(org, null), false);
+    assert.throws(() => assertOrgAdmin(org, ADMIN), AuthError);
+    await assert.rejects(addOrgMember('harvard', { identifier: 'grace', role: 'admin' }), /pubKey/);
+    assert.throws(() => getOrg('nowhere'), OrgNotFoundError);
+});
+
+test('members are validated', () => {
+    assert.deepEqual(validateOrgMember({ card: 'demo' }), { card: 'demo', role: 'member' });
+    assert.throws(() => validateOrgMember({ role: 'member' }), OrgError);
+    assert.throws(() => validateOrgMember({ card: 'demo', role: 'owner' }), OrgError);
+});
+
+test('org branding sits under the member\'s own settings', () => {
+    const org = { branding: { theme: 'minimal', accentColor: '#dc2626' } };
+
+    assert.deepEqual(withOrgBranding({ org: 'acme' }, org), { theme: 'minimal', accentColor: '#dc2626', org: 'acme' });
+    assert.equal(withOrgBranding({ accentColor: '#10b981' }, org).accentColor, '#10b981');
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROFILE, useTempDataDir } from './fixtures.js';
+
+await useTempDataDir();
+const {
+    getPersona,
+    savePersona,
+    deletePersona,
+    validatePersona,
+    validatePersonaName,
+    applyPersona,
+    publicPersonas,
+    PersonaError,
+    PersonaNotFoundError,
+    MAX_PERSONAS
+} = await import('../lib/personas.js');
+const { applySettings } = await import('../lib/settings.js');
+
+test('personas are picked by name', async () => {
+    await savePersona(PROFILE.uuid, 'work', validatePersona({ label: 'Work', fields: ['title', 'email'] }));
+    await savePersona(PROFILE.uuid, 'rustconf', validatePersona({ company: ' Speaker, RustConf ' }));
+
+    assert.deepEqual(getPersona(PROFILE.uuid, 'work').fields, ['title', 'email']);
+    assert.equal(getPersona(PROFILE.uuid, 'rustconf').company, 'Speaker, RustConf');
+    assert.throws(() => getPersona(PROFILE.uuid, 'home'), PersonaNotFoundError);
+    assert.throws(() => getPersona('someone-else', 'work'), PersonaNotFoundError);
+});
+
+test('a persona shows its fields and overrides', () => {
+    const work = applyPersona(PROFILE, { fields: ['title', 'email'], company: 'Navy Reserve' });
+
+    assert.deepEqual(work, {
+        uuid: PROFILE.uuid,
+        name: 'Grace Hopper',
+        title: 'Rear Admiral',
+        email: 'grace@example.com',
+        company: 'Navy Reserve'
+    });
+    assert.deepEqual(applyPersona(PROFILE, {}), PROFILE);
+});
+
+test('fields hidden in the card settings stay hidden in every persona', () => {
+    const persona = applyPersona(PROFILE, { fields: ['title', 'phone'] });
+    const visible = applySettings(persona, { hiddenFields: ['phone'] });
+
+    assert.equal(visible.title, 'Rear Admiral');
+    assert.equal(visible.phone, undefined);
+});
+
+test('persona names and input are validated', async () => {
+    assert.equal(validatePersonaName('work-2'), 'work-2');
+    for (const name of ['', 'Work', '-work', 'a'.repeat(33), '../x']) {
+        assert.throws(() => validatePersonaName(name), PersonaError, name);
+    }
+    assert.throws(() => validatePersona({ fields: ['name'] }), PersonaError);
+    assert.throws(() => validatePersona({ title: 'x'.repeat(101) }), PersonaError);
+    assert.deepEqual(validatePersona({ fields: ['bio', 'bio'], label: null }), { fields: ['bio'] });
+});
+
+test('a card has at most MAX_PERSONAS personas', async () => {
+    for (let i = 0; i < MAX_PERSONAS; i++) {
+        await savePersona('busy', `p${i}`, {});
+    }
+    await assert.rejects(savePersona('busy', 'one-more', {}), PersonaError);
+    await savePersona('busy', 'p0', { label: 'Still fine' });
+
+    assert.equal(await deletePersona('busy', 'p0'), true);
+    assert.equal(await deletePersona('busy', 'p0'), false);
+});
+
+test('only names and labels are listed publicly', () => {
+    assert.deepEqual(publicPersonas({ work: { label: 'Work', fields: ['email'] }, home: {} }), [
+        { name: 'work', label: 'Work' },
+        { name: 'home', label: 'home' }
+    ]);
+});
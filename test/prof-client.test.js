@@ -0,0 +1,61 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProfClient, ProfUnavailableError } from '../lib/prof-client.js';
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+    globalThis.fetch = realFetch;
+});
+
+test('half-open lets one trial request through and fails the rest until it settles', async () => {
+    const client = createProfClient({ baseUrl: 'http://prof.test', retries: 0, failureThreshold: 1, cooldown: 0 });
+    const calls = [];
+    let settleTrial;
+
+    globalThis.fetch = async url => {
+        calls.push(url);
+        if (calls.length === 1) {
+            throw new TypeError('fetch failed');
+        }
+        if (calls.length === 2) {
+            await new Promise(resolve => {
+                settleTrial = resolve;
+            });
+        }
+        return Response.json({ uuid: 'u1', name: 'Grace Hopper' });
+    };
+
+    // One failure opens the circuit
+    await assert.rejects(client.getProfile({ type: 'uuid', value: 'u1' }), ProfUnavailableError);
+
+    const trial = client.getProfile({ type: 'uuid', value: 'u1' });
+    await assert.rejects(client.getProfile({ type: 'uuid', value: 'u1' }), ProfUnavailableError);
+    await assert.rejects(client.getProfile({ type: 'uuid', value: 'u1' }), ProfUnavailableError);
+    assert.equal(calls.length, 2);
+
+    settleTrial();
+    assert.equal((await trial).name, 'Grace Hopper');
+
+    // Closed again: requests go through
+    assert.equal((await client.getProfile({ type: 'uuid', value: 'u1' })).name, 'Grace Hopper');
+    assert.equal(calls.length, 3);
+});
+
+test('a failed trial reopens the circuit and frees the next trial', async () => {
+    const client = createProfClient({ baseUrl: 'http://prof.test', retries: 0, failureThreshold: 1, cooldown: 0 });
+    let calls = 0;
+
+    globalThis.fetch = async () => {
+        calls++;
+        if (calls <= 2) {
+            throw new TypeError('fetch failed');
+        }
+        return Response.json({ uuid: 'u1', name: 'Grace Hopper' });
+    };
+
+    await assert.rejects(client.getProfile({ type: 'uuid', value: 'u1' }), ProfUnavailableError);
+    await assert.rejects(client.getProfile({ type: 'uuid', value: 'u1' }), ProfUnavailableError);
+    assert.equal((await client.getProfile({ type: 'uuid', value: 'u1' })).name, 'Grace Hopper');
+    assert.equal(calls, 3);
+});
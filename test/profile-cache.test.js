@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { createProfileCache } from '../lib/profile-cache.js';
+import { PROFILE } from './fixtures.js';
+
+const PARSED = { type: 'uuid', value: PROFILE.uuid };
+
+// load() that answers with the queued results in turn
+function loader(...results) {
+    const load = async () => {
+        load.calls++;
+        const result = results.length > 1 ? results.shift() : results[0];
+        if (result instanceof Error) {
+            throw result;
+        }
+        return result && { ...result };
+    };
+    load.calls = 0;
+    return load;
+}
+
+test('concurrent lookups share one request', async () => {
+    const load = loader(PROFILE);
+    const cache = createProfileCache({ load });
+
+    const entries = await Promise.all([cache.get(PARSED), cache.get(PARSED), cache.get(PARSED)]);
+
+    assert.equal(load.calls, 1);
+    assert.deepEqual(entries[0].profile, PROFILE);
+    assert.ok(entries.every(entry => entry === entries[0]));
+});
+
+test('fresh entries are served without a lookup', async () => {
+    const load = loader(PROFILE);
+    const cache = createProfileCache({ load, ttl: 10000 });
+
+    await cache.get(PARSED);
+    await cache.get(PARSED);
+
+    assert.equal(load.calls, 1);
+});
+
+test('stale entries are served while they refresh in the background', async () => {
+    const load = loader(PROFILE, { ...PROFILE, title: 'Commodore' });
+    const cache = createProfileCache({ load, ttl: 20, staleTtl: 10000 });
+
+    const first = await cache.get(PARSED);
+    await sleep(40);
+    const stale = await cache.get(PARSED);
+
+    assert.equal(stale, first);
+    assert.equal(load.calls, 2);
+
+    await sleep(10);
+    const refreshed = await cache.get(PARSED);
+    assert.equal(refreshed.profile.title, 'Commodore');
+    assert.notEqual(refreshed.etag, first.etag);
+});
+
+test('a failed lookup falls back to the stale entry until maxStale', async () => {
+    const load = loader(PROFILE, new Error('Prof is down'));
+    const cache = createProfileCache({ load, ttl: 10, staleTtl: 0, maxStale: 60 });
+
+    const first = await cache.get(PARSED);
+    await sleep(20);
+    assert.equal(await cache.get(PARSED), first);
+
+    await sleep(60);
+    await assert.rejects(cache.get(PARSED), /Prof is down/);
+});
+
+test('profiles that are not found are remembered for negativeTtl', async () => {
+    const load = loader(null, PROFILE);
+    const cache = createProfileCache({ load, negativeTtl: 30 });
+
+    assert.equal((await cache.get(PARSED)).profile, null);
+    assert.equal((await cache.get(PARSED)).profile, null);
+    assert.equal(load.calls, 1);
+
+    await sleep(50);
+    assert.deepEqual((await cache.get(PARSED)).profile, PROFILE);
+});
+
+test('Last-Modified only moves when the profile changes', async () => {
+    const load = loader(PROFILE, PROFILE, { ...PROFILE, bio: 'COBOL' });
+    const cache = createProfileCache({ load, ttl: 0, staleTtl: 0 });
+
+    const first = await cache.get(PARSED);
+    await sleep(5);
+    const same = await cache.get(PARSED);
+    await sleep(5);
+    const changed = await cache.get(PARSED);
+
+    assert.equal(same.etag, first.etag);
+    assert.equal(same.lastModified, first.lastModified);
+    assert.notEqual(changed.etag, first.etag);
+    assert.ok(changed.lastModified > first.lastModified);
+});
+
+test('purge drops every lookup of a profile', async () => {
+    const load = loader(PROFILE);
+    const cache = createProfileCache({ load });
+
+    await cache.get(PARSED);
+    await cache.get({ type: 'pubKey', value: '02' + 'ab'.repeat(32) });
+    assert.equal(cache.purge(profile => profile.uuid === PROFILE.uuid), 2);
+    assert.equal(cache.size, 0);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQrOptions, buildQr, contrastRatio, QrOptionsError, QR_DEFAULTS } from '../lib/qr.js';
+
+test('no query means the defaults', () => {
+    assert.deepEqual(parseQrOptions({}), QR_DEFAULTS);
+});
+
+test('query options are normalized', () => {
+    assert.deepEqual(parseQrOptions({ format: 'SVG', size: '512', margin: '0', fg: '000', bg: '#FFFFFF', ecl: 'q', logo: 'Initials' }), {
+        format: 'svg',
+        size: 512,
+        margin: 0,
+        fg: '#000000',
+        bg: '#ffffff',
+        ecl: 'Q',
+        logo: 'initials'
+    });
+    assert.equal(parseQrOptions({ logo: 'none' }).logo, null);
+});
+
+test('route defaults apply under the query', () => {
+    const options = parseQrOptions({ size: '128' }, { format: 'svg', size: 200 });
+
+    assert.equal(options.format, 'svg');
+    assert.equal(options.size, 128);
+});
+
+test('out of range or unknown options are rejected', () => {
+    for (const query of [
+        { format: 'gif' },
+        { size: '10' },
+        { size: '3000' },
+        { size: '1.5' },
+        { margin: '-1' },
+        { fg: 'green' },
+        { ecl: 'X' },
+        { logo: 'photo' }
+    ]) {
+        assert.throws(() => parseQrOptions(query), QrOptionsError, JSON.stringify(query));
+    }
+});
+
+test('colors too close to scan reliably are rejected', () => {
+    assert.equal(Math.round(contrastRatio('#000000', '#ffffff')), 21);
+    assert.throws(() => parseQrOptions({ fg: '777777', bg: '888888' }), /contrast/);
+});
+
+test('QR codes build in every format, with a logo at level H', async () => {
+    const png = await buildQr('https://bizbuz.planetnine.app/card/demo', { ...QR_DEFAULTS, size: 64 });
+    assert.equal(png.contentType, 'image/png');
+    assert.deepEqual(png.body.subarray(1, 4), Buffer.from('PNG'));
+
+    const svg = await buildQr('https://bizbuz.planetnine.app/card/demo', { format: 'svg', logo: { text: 'GH' } });
+    assert.equal(svg.contentType, 'image/svg+xml');
+    assert.match(String(svg.body), /<svg[\s\S]*GH/);
+
+    const text = await buildQr('https://bizbuz.planetnine.app/card/demo', { format: 'utf8' });
+    assert.match(String(text.body), /█|▀|▄/);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, RateLimitError } from '../lib/rate-limit.js';
+
+test('keys over the limit are refused until the window ends', () => {
+    const limiter = createRateLimiter({ windowMs: 60000, max: 2 });
+
+    limiter.consume('a');
+    limiter.consume('a');
+    assert.throws(() => limiter.consume('a'), RateLimitError);
+    assert.throws(() => limiter.check('a'), RateLimitError);
+    limiter.consume('b');
+});
+
+test('the number of tracked keys never exceeds maxKeys', () => {
+    const limiter = createRateLimiter({ windowMs: 60000, max: 5, maxKeys: 100 });
+
+    for (let i = 0; i < 1000; i++) {
+        limiter.consume(`10.0.${Math.floor(i / 256)}.${i % 256}`);
+        assert.ok(limiter.size <= 100);
+    }
+    assert.equal(limiter.size, 100);
+});
+
+test('the oldest window is evicted first', () => {
+    const limiter = createRateLimiter({ windowMs: 60000, max: 1, maxKeys: 2 });
+
+    limiter.consume('old');
+    limiter.consume('newer');
+    assert.throws(() => limiter.consume('newer'), RateLimitError);
+
+    // Evicts 'old', which starts over; that in turn evicts 'newer'
+    limiter.consume('newest');
+    limiter.consume('old');
+    assert.throws(() => limiter.check('newest'), RateLimitError);
+    limiter.consume('newer');
+});
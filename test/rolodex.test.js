@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir } from './fixtures.js';
+
+await useTempDataDir();
+const { saveRolodexEntry, getRolodex, rolodexCsv } = await import('../lib/rolodex.js');
+
+const OWNER = '02' + 'ab'.repeat(32);
+const cardUrl = identifier => `https://bizbuz.planetnine.app/card/${identifier}`;
+
+test('saved cards keep only http(s) websites', async () => {
+    await saveRolodexEntry(OWNER, 'grace', {}, { name: 'Grace Hopper', website: 'javascript:alert(1)' });
+    await saveRolodexEntry(OWNER, 'ada', {}, { name: 'Ada Lovelace', website: 'planetnine.app' });
+
+    const [ada, grace] = getRolodex(OWNER);
+    assert.equal(ada.profile.website, 'https://planetnine.app/');
+    assert.equal(grace.profile.website, undefined);
+    assert.doesNotMatch(rolodexCsv([ada, grace], cardUrl), /javascript:/);
+});
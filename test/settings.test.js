@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applySettings, validateSettings, SettingsError } from '../lib/settings.js';
+import { PROFILE } from './fixtures.js';
+
+test('without settings, every field is public', () => {
+    assert.deepEqual(applySettings(PROFILE, {}), PROFILE);
+});
+
+test('only fields marked public are shown', () => {
+    const visible = applySettings(PROFILE, { publicFields: ['email', 'title'] });
+
+    assert.deepEqual(visible, {
+        uuid: PROFILE.uuid,
+        name: 'Grace Hopper',
+        title: 'Rear Admiral',
+        email: 'grace@example.com'
+    });
+});
+
+test('share links unlock non-public fields, but never hidden ones', () => {
+    const settings = { publicFields: ['title'], hiddenFields: ['bio'] };
+    const visible = applySettings(PROFILE, settings, ['phone', 'bio']);
+
+    assert.equal(visible.phone, '+1 555 0100');
+    assert.equal(visible.bio, undefined);
+    assert.equal(visible.email, undefined);
+});
+
+test('settings saved with privateFields keep their meaning', () => {
+    const visible = applySettings(PROFILE, { privateFields: ['phone'] });
+
+    assert.equal(visible.email, 'grace@example.com');
+    assert.equal(visible.phone, undefined);
+});
+
+test('publicFields only takes hideable fields', () => {
+    assert.deepEqual(validateSettings({ publicFields: ['email', 'email', 'phone'] }), { publicFields: ['email', 'phone'] });
+    assert.throws(() => validateSettings({ publicFields: ['name'] }), SettingsError);
+});
+
+test('address and department go with location and company', () => {
+    const profile = { ...PROFILE, location: 'Arlington', address: { street: '1 Secret Rd' }, department: 'Naval Data Automation' };
+    const visible = applySettings(profile, { publicFields: ['title', 'company'], hiddenFields: ['company'] });
+
+    assert.equal(visible.location, undefined);
+    assert.equal(visible.address, undefined);
+    assert.equal(visible.company, undefined);
+    assert.equal(visible.department, undefined);
+
+    const shown = applySettings(profile, { publicFields: ['company', 'location'] });
+    assert.deepEqual(shown.address, { street: '1 Secret Rd' });
+    assert.equal(shown.department, 'Naval Data Automation');
+});
+
+test('fields outside the allowlist are never shown', () => {
+    const profile = { ...PROFILE, emojicode: '🌟🚀🎨💎🔥🌈🎯🦄🍕', photo: 'https://example.com/grace.jpg', ssn: '000-00-0000' };
+    const visible = applySettings(profile, { publicFields: ['title'] });
+
+    assert.deepEqual(visible, {
+        uuid: PROFILE.uuid,
+        emojicode: profile.emojicode,
+        name: 'Grace Hopper',
+        title: 'Rear Admiral'
+    });
+    assert.equal(applySettings(profile, { publicFields: ['photo'] }).photo, profile.photo);
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isPreviewRequest } from '../lib/shares.js';
+
+const BROWSER = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+test('people opening a share link count as views', () => {
+    assert.equal(isPreviewRequest('GET', { 'user-agent': BROWSER }), false);
+    assert.equal(isPreviewRequest('GET', {}), false);
+});
+
+test('link previews, HEAD requests and prefetches do not', () => {
+    for (const agent of [
+        'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)',
+        'facebookexternalhit/1.1 Facebot Twitterbot/1.0',
+        'WhatsApp/2.23.20.0',
+        'TelegramBot (like TwitterBot)',
+        'Mozilla/5.0 (compatible; Discordbot/2.0; +https://discordapp.com)',
+        'LinkedInBot/1.0 (compatible; Mozilla/5.0; Apache-HttpClient +http://www.linkedin.com)'
+    ]) {
+        assert.equal(isPreviewRequest('GET', { 'user-agent': agent }), true, agent);
+    }
+
+    assert.equal(isPreviewRequest('HEAD', { 'user-agent': BROWSER }), true);
+    assert.equal(isPreviewRequest('GET', { 'user-agent': BROWSER, 'sec-purpose': 'prefetch;prerender' }), true);
+    assert.equal(isPreviewRequest('GET', { 'user-agent': BROWSER, purpose: 'prefetch' }), true);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateVCard, parseVCards } from '../lib/vcard.js';
+
+const UUID = '3f2504e0-4f89-11d3-9a0c-0305e82c3301';
+
+// The one card in a generated vCard, with properties by name
+function roundTrip(profile, options) {
+    const output = generateVCard(profile, options);
+    const cards = parseVCards(output);
+    assert.equal(cards.length, 1);
+    const [card] = cards;
+    const get = name => card.properties.find(property => property.name === name);
+    return { output, card, get };
+}
+
+test('text values with , ; \\ and newlines survive a round trip', () => {
+    const bio = 'Builds compilers, debuggers; writes C:\\tools\nand ships\r\nweekly';
+    const title = 'Lead, Platform; Infra';
+    const { output, get } = roundTrip({ name: 'Grace Hopper', title, bio });
+
+    const lines = output.split('\r\n');
+    assert.ok(lines.includes('TITLE:Lead\\, Platform\\; Infra'));
+    assert.ok(lines.includes('NOTE:Builds compilers\\, debuggers\\; writes C:\\\\tools\\nand ships\\nweekly'));
+    assert.equal(get('TITLE').value, title);
+    assert.equal(get('NOTE').value, bio.replace(/\r\n/g, '\n'));
+});
+
+test('long lines fold at 75 octets without splitting multibyte characters', () => {
+    const bio = 'Ünïcödé ✓ 日本語のテキスト 🚀 '.repeat(12);
+    const { output, get } = roundTrip({ name: 'Zoë Ångström', bio });
+
+    const lines = output.split('\r\n').filter(Boolean);
+    assert.ok(lines.some(line => line.startsWith(' ')), 'expected folded continuation lines');
+    for (const line of lines) {
+        assert.ok(Buffer.byteLength(line) <= 75, `line exceeds 75 octets: ${line}`);
+        assert.ok(!line.includes('\uFFFD'));
+    }
+    assert.equal(get('NOTE').value, bio);
+    assert.equal(get('FN').value, 'Zoë Ångström');
+});
+
+test('N, ADR and ORG are structured', () => {
+    const { get } = roundTrip({
+        name: 'Dr. Grace Brewster Hopper PhD',
+        company: 'US Navy; Reserve',
+        department: 'Computing, Research',
+        location: 'Arlington, VA, USA'
+    });
+
+    assert.deepEqual(get('N').value, ['Hopper', 'Grace', 'Brewster', 'Dr.', 'PhD']);
+    assert.deepEqual(get('ORG').value, ['US Navy; Reserve', 'Computing, Research']);
+    assert.deepEqual(get('ADR').value, ['', '', '', 'Arlington', 'VA', '', 'USA']);
+});
+
+test('a structured address fills the ADR components', () => {
+    const { get } = roundTrip({
+        name: 'Ada Lovelace',
+        location: 'London',
+        address: { street: '12 St James\'s Square', city: 'London', postalCode: 'SW1Y 4JH', country: 'UK' }
+    });
+
+    assert.deepEqual(get('ADR').value, ['', '', '12 St James\'s Square', 'London', '', 'SW1Y 4JH', 'UK']);
+});
+
+test('3.0 and 4.0 differ in TEL, PHOTO and UID', () => {
+    const profile = {
+        uuid: UUID,
+        name: 'Grace Hopper',
+        phone: '+1 (555) 010-0100',
+        photo: 'data:image/jpeg;base64,/9j/4AAQ'
+    };
+
+    const v3 = roundTrip(profile, { version: '3.0' });
+    assert.equal(v3.card.version, '3.0');
+    assert.deepEqual(v3.get('TEL').params, { TYPE: ['CELL'] });
+    assert.equal(v3.get('TEL').value, '+1 (555) 010-0100');
+    assert.deepEqual(v3.get('PHOTO').params, { ENCODING: ['b'], TYPE: ['JPEG'] });
+    assert.equal(v3.get('PHOTO').value, '/9j/4AAQ');
+    assert.equal(v3.get('UID').value, UUID);
+    assert.equal(v3.get('KIND'), undefined);
+
+    const v4 = roundTrip(profile, { version: '4.0' });
+    assert.equal(v4.card.version, '4.0');
+    assert.deepEqual(v4.get('TEL').params, { TYPE: ['cell'], VALUE: ['uri'] });
+    assert.equal(v4.get('TEL').value, 'tel:+15550100100');
+    assert.deepEqual(v4.get('PHOTO').params, {});
+    assert.equal(v4.get('PHOTO').value, profile.photo);
+    assert.equal(v4.get('UID').value, `urn:uuid:${UUID}`);
+    assert.equal(v4.get('KIND').value, 'individual');
+});
+
+test('a photo URL is marked VALUE=uri in 3.0', () => {
+    const { get } = roundTrip({ name: 'Grace Hopper', photo: 'https://example.com/grace.jpg' }, { version: '3.0' });
+
+    assert.deepEqual(get('PHOTO').params, { VALUE: ['uri'] });
+    assert.equal(get('PHOTO').value, 'https://example.com/grace.jpg');
+});
+
+test('cards without a UUID get a bizbuz UID from the identifier', () => {
+    const { get } = roundTrip({ name: 'Grace Hopper' }, { identifier: 'demo' });
+
+    assert.equal(get('UID').value, 'urn:bizbuz:demo');
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inflateRawSync } from 'zlib';
+import { createZip, crc32 } from '../lib/zip.js';
+
+test('crc32 matches the standard check values', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+    assert.equal(crc32(Buffer.from('The quick brown fox jumps over the lazy dog')), 0x414fa339);
+});
+
+test('zip entries carry their CRC and inflate back to the content', () => {
+    const zip = createZip({ 'pass.json': '{"name":"Grace"}', 'icon.png': Buffer.from([0, 1, 2, 255]) });
+
+    let offset = 0;
+    const entries = {};
+    while (zip.readUInt32LE(offset) === 0x04034b50) {
+        const checksum = zip.readUInt32LE(offset + 14);
+        const compressedSize = zip.readUInt32LE(offset + 18);
+        const nameLength = zip.readUInt16LE(offset + 26);
+        const name = zip.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const start = offset + 30 + nameLength;
+        const data = inflateRawSync(zip.subarray(start, start + compressedSize));
+        assert.equal(checksum, crc32(data), name);
+        entries[name] = data;
+        offset = start + compressedSize;
+    }
+
+    assert.equal(entries['pass.json'].toString(), '{"name":"Grace"}');
+    assert.deepEqual([...entries['icon.png']], [0, 1, 2, 255]);
+});
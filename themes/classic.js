@@ -0,0 +1,232 @@
+/**
+ * Classic theme
+ *
+ * Looks like a printed card: serif type on cream stock in a
+ * 3.5:2 landscape layout, details on the left and the QR on the
+ * right. Overrides the layout as well as the CSS.
+ */
+
+export default {
+    name: 'classic',
+    label: 'Classic Print',
+    accent: '#7f1d1d',
+    qr: { fg: '#1c1917', bg: '#fbf8f1' },
+
+    layout: parts => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${parts.pageTitle}</title>
+    <meta name="description" content="${parts.description}">${parts.meta}
+    <style>${parts.rootCss}${parts.baseCss}${CSS}
+    </style>
+</head>
+<body class="theme-${parts.theme}">
+    <div class="card h-card">
+        <div class="card-front">
+            <div class="card-details">
+                ${parts.name}
+                ${parts.title}
+                ${parts.company}
+                ${parts.org}
+                ${parts.tagline}
+                <div class="rule"></div>
+${parts.contacts}
+            </div>
+            <div class="card-side">
+${parts.qrSection}
+            </div>
+        </div>
+        ${parts.bio}
+    </div>
+${parts.actions}
+${parts.footer}
+${parts.script}
+</body>
+</html>`
+};
+
+const CSS = `
+    body {
+        font-family: Georgia, 'Times New Roman', serif;
+        background: #e7e5e4;
+        min-height: 100vh;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        padding: 20px;
+        color: #1c1917;
+    }
+
+    .card {
+        background: #fbf8f1;
+        width: 100%;
+        max-width: 560px;
+        padding: 32px 36px;
+        box-shadow: 0 2px 6px rgba(0, 0, 0, 0.15), 0 12px 30px rgba(0, 0, 0, 0.08);
+    }
+
+    .card-front {
+        display: flex;
+        gap: 24px;
+        align-items: center;
+        aspect-ratio: 3.5 / 2;
+    }
+
+    .card-details {
+        flex: 1;
+        min-width: 0;
+    }
+
+    .name {
+        font-size: 26px;
+        font-weight: normal;
+        letter-spacing: 0.04em;
+        color: var(--accent);
+    }
+
+    .title {
+        font-size: 14px;
+        font-style: italic;
+        margin-top: 4px;
+    }
+
+    .company {
+        font-size: 13px;
+        text-transform: uppercase;
+        letter-spacing: 0.12em;
+        margin-top: 2px;
+    }
+
+    .tagline {
+        font-size: 13px;
+        margin-top: 8px;
+    }
+
+    .rule {
+        width: 48px;
+        border-top: 1px solid var(--accent);
+        margin: 14px 0;
+    }
+
+    .contact-item {
+        display: block;
+        font-size: 13px;
+        line-height: 1.8;
+        color: #1c1917;
+        text-decoration: none;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+    }
+
+    .contact-item:hover {
+        color: var(--accent);
+    }
+
+    .contact-icon {
+        display: none;
+    }
+
+    .card-side {
+        text-align: center;
+    }
+
+    .qr-toggle {
+        display: flex;
+        justify-content: center;
+        gap: 8px;
+        margin-bottom: 6px;
+    }
+
+    .qr-toggle button {
+        background: none;
+        border: none;
+        font-family: inherit;
+        font-size: 11px;
+        color: #78716c;
+        cursor: pointer;
+    }
+
+    .qr-toggle button.active {
+        color: var(--accent);
+        text-decoration: underline;
+    }
+
+    .qr-code img {
+        display: block;
+        width: 120px;
+        height: 120px;
+    }
+
+    .qr-label {
+        font-size: 10px;
+        color: #78716c;
+        max-width: 130px;
+        margin-top: 4px;
+    }
+
+    .bio {
+        font-size: 13px;
+        font-style: italic;
+        color: #57534e;
+        border-top: 1px solid #e7e5e4;
+        margin-top: 20px;
+        padding-top: 14px;
+    }
+
+    .actions {
+        display: flex;
+        gap: 12px;
+        margin-top: 24px;
+        width: 100%;
+        max-width: 560px;
+    }
+
+    .btn {
+        flex: 1;
+        padding: 12px 18px;
+        font-family: inherit;
+        font-size: 14px;
+        cursor: pointer;
+        text-decoration: none;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        border: 1px solid var(--accent);
+    }
+
+    .btn-primary {
+        background: var(--accent);
+        color: #fbf8f1;
+    }
+
+    .btn-secondary {
+        background: transparent;
+        color: var(--accent);
+    }
+
+    .footer {
+        margin-top: 20px;
+        font-size: 12px;
+        color: #78716c;
+    }
+
+    .footer a {
+        color: inherit;
+    }
+
+    @media (max-width: 520px) {
+        .card-front {
+            flex-direction: column;
+            aspect-ratio: auto;
+            text-align: center;
+        }
+
+        .rule {
+            margin: 14px auto;
+        }
+    }
+`;
@@ -0,0 +1,275 @@
+/**
+ * Cosmic theme
+ *
+ * The original Planet Nine look: glowing glass card on a deep
+ * purple gradient with floating particles.
+ */
+
+export default {
+    name: 'cosmic',
+    label: 'Cosmic',
+    accent: '#10b981',
+    qr: { bg: '#1a0033' },
+
+    decorations: `
+    <!-- Floating particles -->
+    <div class="particle" style="left: 10%; animation-delay: 0s;"></div>
+    <div class="particle" style="left: 30%; animation-delay: 2s;"></div>
+    <div class="particle" style="left: 50%; animation-delay: 4s;"></div>
+    <div class="particle" style="left: 70%; animation-delay: 6s;"></div>
+    <div class="particle" style="left: 90%; animation-delay: 8s;"></div>`,
+
+    css: `
+    body {
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        background: linear-gradient(135deg, #0a001a 0%, #1a0033 50%, #0a001a 100%);
+        min-height: 100vh;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        padding: 20px;
+        color: white;
+    }
+
+    .card {
+        background: rgba(255, 255, 255, 0.05);
+        border: 1px solid rgba(16, 185, 129, 0.3);
+        border-radius: 24px;
+        padding: 40px;
+        max-width: 400px;
+        width: 100%;
+        text-align: center;
+        backdrop-filter: blur(10px);
+        box-shadow:
+            0 0 40px rgba(16, 185, 129, 0.1),
+            0 0 80px rgba(139, 92, 246, 0.05);
+        position: relative;
+        overflow: hidden;
+    }
+
+    .card::before {
+        content: '';
+        position: absolute;
+        top: -50%;
+        left: -50%;
+        width: 200%;
+        height: 200%;
+        background: radial-gradient(circle, rgba(16, 185, 129, 0.1) 0%, transparent 50%);
+        animation: pulse 4s ease-in-out infinite;
+    }
+
+    @keyframes pulse {
+        0%, 100% { opacity: 0.5; transform: scale(1); }
+        50% { opacity: 1; transform: scale(1.1); }
+    }
+
+    .card-content {
+        position: relative;
+        z-index: 1;
+    }
+
+    .avatar {
+        width: 100px;
+        height: 100px;
+        border-radius: 50%;
+        background: linear-gradient(135deg, var(--accent) 0%, var(--accent-dark) 100%);
+        margin: 0 auto 20px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-size: 40px;
+        font-weight: bold;
+        color: white;
+        box-shadow: 0 0 30px rgba(16, 185, 129, 0.4);
+    }
+
+    .name {
+        font-size: 28px;
+        font-weight: 700;
+        margin-bottom: 8px;
+        background: linear-gradient(135deg, var(--accent) 0%, #a78bfa 100%);
+        -webkit-background-clip: text;
+        -webkit-text-fill-color: transparent;
+        background-clip: text;
+    }
+
+    .title {
+        font-size: 16px;
+        color: rgba(167, 139, 250, 0.9);
+        margin-bottom: 4px;
+    }
+
+    .company {
+        font-size: 14px;
+        color: rgba(255, 255, 255, 0.6);
+        margin-bottom: 20px;
+    }
+
+    .tagline {
+        font-size: 15px;
+        color: var(--accent);
+        margin-bottom: 20px;
+    }
+
+    .bio {
+        font-size: 14px;
+        color: rgba(255, 255, 255, 0.7);
+        line-height: 1.6;
+        margin-bottom: 24px;
+        font-style: italic;
+    }
+
+    .contact-info {
+        text-align: left;
+        margin-bottom: 24px;
+    }
+
+    .contact-item {
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        padding: 10px 0;
+        border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+        color: rgba(255, 255, 255, 0.8);
+        text-decoration: none;
+        transition: color 0.2s;
+    }
+
+    .contact-item:hover {
+        color: var(--accent);
+    }
+
+    .contact-item:last-child {
+        border-bottom: none;
+    }
+
+    .contact-icon {
+        width: 20px;
+        text-align: center;
+        color: var(--accent);
+    }
+
+    .qr-section {
+        margin-top: 24px;
+        padding-top: 24px;
+        border-top: 1px solid rgba(255, 255, 255, 0.1);
+    }
+
+    .qr-code {
+        background: #1a0033;
+        padding: 10px;
+        border-radius: 12px;
+        display: inline-block;
+        margin-bottom: 12px;
+    }
+
+    .qr-code img {
+        display: block;
+    }
+
+    .qr-label {
+        font-size: 12px;
+        color: rgba(255, 255, 255, 0.5);
+    }
+
+    .qr-toggle {
+        display: inline-flex;
+        margin-bottom: 12px;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 8px;
+        overflow: hidden;
+    }
+
+    .qr-toggle button {
+        background: none;
+        border: none;
+        color: rgba(255, 255, 255, 0.6);
+        font-size: 12px;
+        padding: 6px 12px;
+        cursor: pointer;
+    }
+
+    .qr-toggle button.active {
+        background: rgba(255, 255, 255, 0.1);
+        color: var(--accent);
+    }
+
+    .qr-panel[hidden] {
+        display: none;
+    }
+
+    .actions {
+        display: flex;
+        gap: 12px;
+        margin-top: 24px;
+    }
+
+    .btn {
+        flex: 1;
+        padding: 14px 20px;
+        border: none;
+        border-radius: 12px;
+        font-size: 14px;
+        font-weight: 600;
+        cursor: pointer;
+        transition: all 0.2s;
+        text-decoration: none;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        gap: 8px;
+    }
+
+    .btn-primary {
+        background: linear-gradient(135deg, var(--accent) 0%, var(--accent-dark) 100%);
+        color: white;
+        box-shadow: 0 4px 20px rgba(16, 185, 129, 0.3);
+    }
+
+    .btn-primary:hover {
+        transform: translateY(-2px);
+        box-shadow: 0 6px 30px rgba(16, 185, 129, 0.4);
+    }
+
+    .btn-secondary {
+        background: rgba(255, 255, 255, 0.1);
+        color: white;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+    }
+
+    .btn-secondary:hover {
+        background: rgba(255, 255, 255, 0.15);
+    }
+
+    .footer {
+        margin-top: 30px;
+        text-align: center;
+        color: rgba(255, 255, 255, 0.4);
+        font-size: 12px;
+    }
+
+    .footer a {
+        color: var(--accent);
+        text-decoration: none;
+    }
+
+    /* Floating particles */
+    .particle {
+        position: fixed;
+        width: 4px;
+        height: 4px;
+        background: var(--accent);
+        border-radius: 50%;
+        opacity: 0.3;
+        animation: float 10s infinite;
+    }
+
+    @keyframes float {
+        0%, 100% { transform: translateY(100vh) rotate(0deg); opacity: 0; }
+        10% { opacity: 0.3; }
+        90% { opacity: 0.3; }
+        100% { transform: translateY(-100vh) rotate(720deg); opacity: 0; }
+    }
+`
+};
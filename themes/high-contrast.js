@@ -0,0 +1,198 @@
+/**
+ * High-contrast theme
+ *
+ * Black and white with a bright accent, larger type, underlined
+ * links and visible focus rings, for low-vision readers and
+ * bright outdoor screens. The QR stays black on white.
+ */
+
+export default {
+    name: 'high-contrast',
+    label: 'High Contrast',
+    accent: '#ffd500',
+    qr: { fg: '#000000', bg: '#ffffff' },
+
+    css: `
+    body {
+        font-family: Verdana, 'Segoe UI', Arial, sans-serif;
+        background: #000000;
+        min-height: 100vh;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        padding: 20px;
+        color: #ffffff;
+        font-size: 18px;
+        line-height: 1.5;
+    }
+
+    a:focus-visible,
+    button:focus-visible {
+        outline: 3px solid var(--accent);
+        outline-offset: 3px;
+    }
+
+    .card {
+        background: #000000;
+        border: 3px solid #ffffff;
+        border-radius: 8px;
+        padding: 32px;
+        max-width: 440px;
+        width: 100%;
+        text-align: center;
+    }
+
+    .avatar {
+        width: 96px;
+        height: 96px;
+        border-radius: 50%;
+        background: var(--accent);
+        color: #000000;
+        margin: 0 auto 20px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-size: 40px;
+        font-weight: 700;
+    }
+
+    .name {
+        font-size: 32px;
+        font-weight: 700;
+        margin-bottom: 8px;
+    }
+
+    .title,
+    .company {
+        font-size: 20px;
+        margin-bottom: 4px;
+    }
+
+    .tagline {
+        font-size: 20px;
+        color: var(--accent);
+        margin: 12px 0;
+    }
+
+    .bio {
+        font-size: 18px;
+        margin: 16px 0 24px;
+    }
+
+    .contact-info {
+        text-align: left;
+        margin-bottom: 24px;
+    }
+
+    .contact-item {
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        padding: 12px 0;
+        border-bottom: 2px solid #ffffff;
+        color: #ffffff;
+        font-size: 20px;
+        text-decoration: underline;
+        word-break: break-word;
+    }
+
+    .contact-item:hover {
+        color: var(--accent);
+    }
+
+    .contact-item:last-child {
+        border-bottom: none;
+    }
+
+    .contact-icon {
+        width: 24px;
+        text-align: center;
+        color: var(--accent);
+        font-weight: 700;
+        text-decoration: none;
+    }
+
+    .qr-section {
+        margin-top: 24px;
+        padding-top: 24px;
+        border-top: 3px solid #ffffff;
+    }
+
+    .qr-toggle {
+        display: inline-flex;
+        margin-bottom: 12px;
+        border: 2px solid #ffffff;
+    }
+
+    .qr-toggle button {
+        background: #000000;
+        border: none;
+        color: #ffffff;
+        font-size: 16px;
+        padding: 8px 16px;
+        cursor: pointer;
+    }
+
+    .qr-toggle button.active {
+        background: #ffffff;
+        color: #000000;
+        font-weight: 700;
+    }
+
+    .qr-code {
+        background: #ffffff;
+        padding: 12px;
+        display: inline-block;
+        margin-bottom: 12px;
+    }
+
+    .qr-code img {
+        display: block;
+    }
+
+    .qr-label {
+        font-size: 16px;
+    }
+
+    .actions {
+        display: flex;
+        gap: 12px;
+        margin-top: 24px;
+    }
+
+    .btn {
+        flex: 1;
+        padding: 16px 20px;
+        border: 3px solid #ffffff;
+        border-radius: 6px;
+        font-size: 18px;
+        font-weight: 700;
+        cursor: pointer;
+        text-decoration: none;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+    }
+
+    .btn-primary {
+        background: var(--accent);
+        color: #000000;
+        border-color: var(--accent);
+    }
+
+    .btn-secondary {
+        background: #000000;
+        color: #ffffff;
+    }
+
+    .footer {
+        margin-top: 24px;
+        font-size: 16px;
+    }
+
+    .footer a {
+        color: var(--accent);
+    }
+`
+};
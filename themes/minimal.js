@@ -0,0 +1,202 @@
+/**
+ * Minimal theme
+ *
+ * Light, quiet and flat: a white card on a pale gray page.
+ */
+
+export default {
+    name: 'minimal',
+    label: 'Minimal Light',
+    accent: '#2563eb',
+    qr: { fg: '#111827', bg: '#ffffff' },
+
+    css: `
+    body {
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        background: #f3f4f6;
+        min-height: 100vh;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        padding: 20px;
+        color: #111827;
+    }
+
+    .card {
+        background: #ffffff;
+        border: 1px solid #e5e7eb;
+        border-radius: 16px;
+        padding: 36px;
+        max-width: 400px;
+        width: 100%;
+        text-align: center;
+        box-shadow: 0 1px 3px rgba(0, 0, 0, 0.06);
+    }
+
+    .avatar {
+        width: 88px;
+        height: 88px;
+        border-radius: 50%;
+        background: var(--accent);
+        margin: 0 auto 20px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-size: 34px;
+        font-weight: 600;
+        color: white;
+    }
+
+    .name {
+        font-size: 26px;
+        font-weight: 600;
+        margin-bottom: 6px;
+    }
+
+    .title {
+        font-size: 15px;
+        color: #374151;
+        margin-bottom: 2px;
+    }
+
+    .company {
+        font-size: 14px;
+        color: #6b7280;
+        margin-bottom: 16px;
+    }
+
+    .tagline {
+        font-size: 15px;
+        color: var(--accent);
+        margin-bottom: 16px;
+    }
+
+    .bio {
+        font-size: 14px;
+        color: #4b5563;
+        line-height: 1.6;
+        margin-bottom: 20px;
+    }
+
+    .contact-info {
+        text-align: left;
+        margin-bottom: 20px;
+    }
+
+    .contact-item {
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        padding: 10px 0;
+        border-bottom: 1px solid #f3f4f6;
+        color: #1f2937;
+        text-decoration: none;
+    }
+
+    .contact-item:hover {
+        color: var(--accent);
+    }
+
+    .contact-item:last-child {
+        border-bottom: none;
+    }
+
+    .contact-icon {
+        width: 20px;
+        text-align: center;
+        color: #9ca3af;
+    }
+
+    .qr-section {
+        margin-top: 20px;
+        padding-top: 20px;
+        border-top: 1px solid #f3f4f6;
+    }
+
+    .qr-toggle {
+        display: inline-flex;
+        margin-bottom: 12px;
+        border: 1px solid #e5e7eb;
+        border-radius: 8px;
+        overflow: hidden;
+    }
+
+    .qr-toggle button {
+        background: none;
+        border: none;
+        color: #6b7280;
+        font-size: 12px;
+        padding: 6px 12px;
+        cursor: pointer;
+    }
+
+    .qr-toggle button.active {
+        background: #f3f4f6;
+        color: #111827;
+    }
+
+    .qr-code {
+        display: inline-block;
+        margin-bottom: 8px;
+    }
+
+    .qr-code img {
+        display: block;
+    }
+
+    .qr-label {
+        font-size: 12px;
+        color: #9ca3af;
+    }
+
+    .actions {
+        display: flex;
+        gap: 12px;
+        margin-top: 20px;
+    }
+
+    .btn {
+        flex: 1;
+        padding: 12px 18px;
+        border-radius: 10px;
+        font-size: 14px;
+        font-weight: 600;
+        cursor: pointer;
+        text-decoration: none;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+    }
+
+    .btn-primary {
+        background: var(--accent);
+        color: white;
+        border: 1px solid var(--accent);
+    }
+
+    .btn-primary:hover {
+        background: var(--accent-dark);
+    }
+
+    .btn-secondary {
+        background: white;
+        color: #111827;
+        border: 1px solid #d1d5db;
+    }
+
+    .btn-secondary:hover {
+        background: #f9fafb;
+    }
+
+    .footer {
+        margin-top: 24px;
+        color: #9ca3af;
+        font-size: 12px;
+    }
+
+    .footer a {
+        color: #6b7280;
+    }
+`
+};